@@ -0,0 +1,248 @@
+/**
+ * Mock Anthropic Messages API
+ * Offline stand-in for api.anthropic.com that understands the three pipeline
+ * tool calls (pre-filter, batch analysis, email) and can inject failures
+ *
+ * Run standalone:
+ *   node src/mock/anthropic-mock-server.js
+ *   ANTHROPIC_API_URL=http://localhost:3010/v1/messages npm start
+ *
+ * Environment (standalone only):
+ *   MOCK_ANTHROPIC_PORT - Port (default 3010)
+ *   MOCK_FAILURES       - Comma-separated failures to inject, in order
+ *
+ * Failure types: overloaded (529), rate_limited (429), server_error (500),
+ * invalid_request (400), malformed_json, truncated (tool calls: half the
+ * items, last one incomplete; text: cut in half), truncated_empty (tool call
+ * cut off before any item)
+ */
+
+import express from 'express';
+import { pathToFileURL } from 'node:url';
+
+const CATEGORIES = ['news', 'business', 'politics', 'eu_relations'];
+
+const HTTP_FAILURES = {
+  overloaded: { status: 529, type: 'overloaded_error', message: 'Overloaded' },
+  rate_limited: { status: 429, type: 'rate_limit_error', message: 'Rate limited' },
+  server_error: { status: 500, type: 'api_error', message: 'Internal server error' },
+  invalid_request: { status: 400, type: 'invalid_request_error', message: 'Invalid request' }
+};
+
+/**
+ * Rough token estimate for the usage block
+ * @param {string} text - Text to measure
+ * @returns {number} Token estimate
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Get the user prompt text from a Messages API body
+ * @param {Object} body - Request body
+ * @returns {string} First user message as text
+ */
+function getPromptText(body) {
+  const content = body.messages?.find(m => m.role === 'user')?.content;
+  if (typeof content === 'string') return content;
+  return (content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+}
+
+/**
+ * Pre-filter tool: keep every listed article, up to the requested count
+ * @param {string} prompt - Pre-filter prompt
+ * @returns {Object} Tool input
+ */
+function mockPreFilter(prompt) {
+  const ids = [...prompt.matchAll(/^\[\d+\] ID: (.+)$/gm)].map(m => m[1].trim());
+  const target = parseInt(prompt.match(/select the top (\d+) articles/)?.[1] || `${ids.length}`, 10);
+  const kept = ids.slice(0, target);
+
+  return {
+    filtered_articles: kept.map(id => ({
+      article_id: id,
+      relevance_score: 7,
+      relevance_reason: 'Mock relevance'
+    })),
+    excluded_count: ids.length - kept.length
+  };
+}
+
+/**
+ * Batch analysis: one filtered article per article in the prompt
+ * Alternates main/b_side and cycles categories so every report section is exercised.
+ * @param {string} prompt - Batch prompt
+ * @returns {Object} Batch result JSON
+ */
+function mockBatch(prompt) {
+  const blocks = prompt.split(/^Article \d+: /m).slice(1);
+
+  const filtered = blocks.map((block, idx) => {
+    const title = block.split('\n')[0].trim();
+    const source = block.match(/^Source: (.*)$/m)?.[1]?.trim() || 'Mock Source';
+    const url = block.match(/^URL: (.*)$/m)?.[1]?.trim() || '';
+    const articleId = block.match(/^ID: (.*)$/m)?.[1]?.trim();
+
+    return {
+      ...(articleId ? { article_id: articleId } : {}),
+      title,
+      source: { name: source, url },
+      relevance_score: 10 - (idx % 5),
+      category: CATEGORIES[idx % CATEGORIES.length],
+      priority: idx % 2 === 0 ? 'main' : 'b_side',
+      paragraphs: [`Mock summary of ${title}.`],
+      continued_from_previous: false
+    };
+  });
+
+  return {
+    filtered_articles: filtered,
+    skipped_count: 0,
+    duplicate_count: 0
+  };
+}
+
+/**
+ * Email tool: fixed subject/body built from the client name in the prompt
+ * @param {string} prompt - Email prompt
+ * @returns {Object} Tool input
+ */
+function mockEmail(prompt) {
+  const clientName = prompt.match(/^- Name: (.*)$/m)?.[1]?.trim() || 'Client';
+  return {
+    subject: `Mock Digest for ${clientName}`.substring(0, 60),
+    body_html: `<p>Dear ${clientName},</p><p>Here is your mock digest.</p><p>Best regards,<br>The Mundus Team</p>`,
+    key_highlights: ['Mock highlight one', 'Mock highlight two', 'Mock highlight three']
+  };
+}
+
+/**
+ * Build a successful Messages API response for a request
+ * @param {Object} body - Request body
+ * @param {string|null} failure - Content-level failure to inject (malformed_json, truncated)
+ * @returns {Object} Messages API response
+ */
+function buildResponse(body, failure) {
+  const prompt = getPromptText(body);
+  const toolName = body.tool_choice?.name;
+  const lastMessage = body.messages?.[body.messages.length - 1];
+  const prefill = lastMessage?.role === 'assistant' && typeof lastMessage.content === 'string' ? lastMessage.content : '';
+
+  let content;
+  let stopReason = 'end_turn';
+
+  if (toolName && (failure === 'truncated' || failure === 'truncated_empty')) {
+    const items = toolName === 'submit_batch_analysis' ? mockBatch(prompt).filtered_articles : [];
+    const kept = failure === 'truncated' ? items.slice(0, Math.ceil(items.length / 2)) : [];
+    if (kept.length > 0) {
+      const { paragraphs, ...partial } = kept[kept.length - 1];  // Cut off mid-article
+      kept[kept.length - 1] = partial;
+    }
+    content = [{ type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: toolName, input: kept.length > 0 ? { filtered_articles: kept } : {} }];
+    stopReason = 'max_tokens';
+  } else if (toolName && !failure) {
+    const input = toolName === 'filter_articles_by_topic' ? mockPreFilter(prompt)
+      : toolName === 'submit_batch_analysis' ? mockBatch(prompt)
+      : toolName === 'generate_digest_email' ? mockEmail(prompt)
+      : {};
+    content = [{ type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: toolName, input }];
+    stopReason = 'tool_use';
+  } else {
+    let text = prefill.trim().startsWith('{')
+      ? JSON.stringify(mockBatch(prompt)).substring(prefill.length)  // Continue after the prefill
+      : toolName ? JSON.stringify(mockBatch(prompt)) : 'Mock response';
+
+    if (failure === 'malformed_json') {
+      text = ' "filtered_articles": [ {"title": "Broken" oops this is not JSON';
+    } else if (failure === 'truncated') {
+      text = text.substring(0, Math.floor(text.length / 2));
+      stopReason = 'max_tokens';
+    }
+    content = [{ type: 'text', text }];
+  }
+
+  const outputText = content.map(c => c.text || JSON.stringify(c.input)).join('');
+  return {
+    id: `msg_mock_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content,
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage: {
+      input_tokens: estimateTokens(prompt),
+      output_tokens: estimateTokens(outputText)
+    }
+  };
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 = random)
+ * @param {Array<string>} options.failures - Failures to inject, consumed one per request
+ * @returns {Promise<Object>} { url, port, requests, inject, close }
+ */
+export function startMockAnthropicServer({ port = 0, failures = [] } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+
+  const queue = [...failures];
+  const requests = [];
+
+  app.post('/v1/messages', (req, res) => {
+    requests.push(req.body);
+    const failure = queue.shift() || null;
+
+    if (failure && HTTP_FAILURES[failure]) {
+      const { status, type, message } = HTTP_FAILURES[failure];
+      console.log(`[MOCK-ANTHROPIC] Injecting ${failure} (${status})`);
+      return res
+        .status(status)
+        .set('retry-after', '0')
+        .json({ type: 'error', error: { type, message } });
+    }
+
+    if (failure) {
+      console.log(`[MOCK-ANTHROPIC] Injecting ${failure}`);
+    }
+    res.json(buildResponse(req.body, failure));
+  });
+
+  // Runtime control for the standalone server
+  app.post('/_mock/failures', (req, res) => {
+    queue.push(...(req.body?.failures || []));
+    res.json({ queued: queue });
+  });
+  app.get('/_mock/requests', (req, res) => {
+    res.json({ count: requests.length, requests });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}/v1/messages`,
+        port: actualPort,
+        requests,
+        inject: (...more) => queue.push(...more),
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Standalone mode
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = parseInt(process.env.MOCK_ANTHROPIC_PORT || '3010', 10);
+  const failures = (process.env.MOCK_FAILURES || '').split(',').map(f => f.trim()).filter(Boolean);
+
+  startMockAnthropicServer({ port, failures }).then(({ url }) => {
+    console.log(`[MOCK-ANTHROPIC] Listening at ${url}`);
+    if (failures.length > 0) {
+      console.log(`[MOCK-ANTHROPIC] Queued failures: ${failures.join(', ')}`);
+    }
+  });
+}
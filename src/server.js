@@ -1,10 +1,45 @@
 import express from 'express';
+import { randomUUID } from 'node:crypto';
 import { generateDigest } from './services/digest-generator.js';
+import { validateDigestRequest, SchemaValidationError } from './services/digest-schema.js';
+import { validateMimeOptions } from './services/mime-message.js';
+import { createJob, getJob, cancelJob, serializeJob, subscribeToJob, isJobFinished } from './services/job-manager.js';
+import { loadVariantOutcomes, loadUsageRecords } from './services/prompt-loader.js';
+import { summarizeUsage } from './services/usage-tracker.js';
+import { QuotaExceededError } from './services/quota.js';
+import { aggregateVariantStats } from './services/prompt-experiments.js';
+import { requireApiKey, requireSignature, requireAdmin, authorizeClient, logAuthConfiguration } from './services/auth.js';
+import { renderMetrics, httpRequests, httpDuration } from './services/metrics.js';
+import { createLogger, runWithLogContext, addLogContext } from './services/logger.js';
+
+const log = createLogger('digest');
 
 const app = express();
 
-// Middleware
-app.use(express.json({ limit: '50mb' })); // Large payload for 100 articles
+// Routes that take article lists; every other route gets a small body limit
+const DIGEST_ROUTES = new Set(['/generate-digest', '/generate-digest/stream', '/jobs']);
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };  // Signed requests are verified over the raw body
+const parseDigestBody = express.json({ limit: '50mb', verify: keepRawBody });  // Large payload for 100 articles
+const parseBody = express.json({ limit: '100kb', verify: keepRawBody });
+
+// Request ID from X-Request-ID (or generated), echoed back and attached to every log line of the request
+app.use((req, res, next) => {
+  const header = req.get('X-Request-ID');
+  req.id = header && /^[\w.:-]{1,128}$/.test(header) ? header : randomUUID();
+  res.set('X-Request-ID', req.id);
+  runWithLogContext({ request_id: req.id }, next);
+});
+
+// Request count and latency per route (route pattern, not the raw path, to bound label values)
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route, method: req.method }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -15,39 +50,74 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Everything below requires an API key, checked before any body is read
+app.use(requireApiKey);
+
+app.use((req, res, next) => (req.method === 'POST' && DIGEST_ROUTES.has(req.path) ? parseDigestBody : parseBody)(req, res, next));
+
+// The body parser's stream callbacks do not carry the log context, so enter it again
+app.use((req, res, next) => runWithLogContext({ request_id: req.id }, next));
+
+app.use(requireSignature);
+
+/**
+ * Validate and authorize a digest request and build generateDigest options
+ * Answers 400 or 403 itself; client details are logged only once the key may act for the client.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} generateDigest options, or null when the request was answered
+ */
+function parseDigestRequest(req, res) {
+  const body = req.body;
+
+  // Validate input against the declared request schema
+  const details = validateDigestRequest(body);
+  if (details.length === 0) details.push(...validateMimeOptions(body.mime));
+  if (details.length > 0) {
+    log.warn(`Invalid request: ${details.map(d => `${d.path} ${d.message}`).join('; ')}`);
+    res.status(400).json({
+      success: false,
+      error: 'Invalid request body',
+      details
+    });
+    return null;
+  }
+
+  const { client_id, articles, country, context, last_digest, mime } = body;
+  if (!authorizeClient(req, res, client_id)) return null;
+  addLogContext({ client_id });
+
+  log.info(`Processing ${articles.length} articles for client ${client_id}`);
+  if (context) {
+    log.info(`Client context: topics=${context.topics?.join(',') || 'none'}, countries=${context.countries?.join(',') || country}, keywords=${context.keywords?.length || 0}`);
+  }
+  if (last_digest) {
+    log.info(`With previous digest context from ${last_digest.created_at}`);
+  }
+
+  return {
+    client_id,
+    articles,
+    country: country || context?.country_primary,  // Backward compatibility
+    context,  // Pass full context object
+    last_digest,
+    mime
+  };
+}
+
 // Main digest generation endpoint
 app.post('/generate-digest', async (req, res) => {
   try {
-    const { client_id, articles, country, context, last_digest } = req.body;
+    const options = parseDigestRequest(req, res);
+    if (!options) return;
 
-    // Validate input
-    if (!client_id || !articles || articles.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'client_id and articles are required'
-      });
-    }
-
-    console.log(`[DIGEST] Processing ${articles.length} articles for client ${client_id}`);
-    if (context) {
-      console.log(`[DIGEST] Client context: topics=${context.topics?.join(',') || 'none'}, countries=${context.countries?.join(',') || country}, keywords=${context.keywords?.length || 0}`);
-    }
-    if (last_digest) {
-      console.log(`[DIGEST] With previous digest context from ${last_digest.created_at}`);
-    }
     const startTime = Date.now();
 
     // Generate digest with full client context
-    const result = await generateDigest({
-      client_id,
-      articles,
-      country: country || context?.country_primary,  // Backward compatibility
-      context,  // Pass full context object
-      last_digest
-    });
+    const result = await generateDigest({ ...options, request_id: req.id });
 
     const duration = Date.now() - startTime;
-    console.log(`[DIGEST] Completed in ${duration}ms`);
+    log.info(`Completed in ${duration}ms`);
 
     // Return success response
     res.json({
@@ -60,7 +130,213 @@ app.post('/generate-digest', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('[DIGEST] Error:', error.message);
+    log.error('Digest generation failed', { error: error.message });
+    if (error instanceof QuotaExceededError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        limit: error.limit,
+        limit_value: error.limitValue,
+        current: error.current
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      ...(error instanceof SchemaValidationError ? { details: error.errors } : {})
+    });
+  }
+});
+
+/**
+ * Stream a job's progress events to the client as Server-Sent Events
+ * The stream closes after the terminal done/failed/cancelled event.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} job - Job record from the job manager
+ * @param {Object} options - Stream options
+ * @param {boolean} options.cancelOnDisconnect - Cancel the job if the client goes away before it finishes
+ */
+function streamJobEvents(req, res, job, { cancelOnDisconnect = false } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'  // Stop nginx-style proxies from buffering the stream
+  });
+  res.write(`: job ${job.id}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  let unsubscribe = () => {};
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+  unsubscribe = subscribeToJob(job.id, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (['done', 'failed', 'cancelled'].includes(event.type)) {
+      setImmediate(close);
+    }
+  }, lastEventId) || (() => {});
+
+  res.on('close', () => {
+    if (cancelOnDisconnect && !isJobFinished(job)) {
+      log.info(`Stream client disconnected, cancelling job ${job.id}`);
+      cancelJob(job.id);
+    }
+    close();
+  });
+}
+
+// Streaming digest generation: same body as /generate-digest, progress as SSE
+app.post('/generate-digest/stream', (req, res) => {
+  const options = parseDigestRequest(req, res);
+  if (!options) return;
+
+  const job = createJob({ ...options, request_id: req.id });
+  log.info(`Streaming job ${job.id}`);
+  streamJobEvents(req, res, job, { cancelOnDisconnect: true });
+});
+
+// Async digest generation: returns a job ID immediately
+app.post('/jobs', (req, res) => {
+  const options = parseDigestRequest(req, res);
+  if (!options) return;
+
+  const job = createJob({ ...options, request_id: req.id });
+  log.info(`Accepted async job ${job.id}`);
+
+  res.status(202).json({
+    success: true,
+    ...serializeJob(job)
+  });
+});
+
+// Job status and result
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  if (!authorizeClient(req, res, job.clientId)) return;
+
+  res.json({
+    success: true,
+    ...serializeJob(job)
+  });
+});
+
+// Job progress as Server-Sent Events
+app.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  if (!authorizeClient(req, res, job.clientId)) return;
+
+  streamJobEvents(req, res, job);
+});
+
+// Cancel a job
+app.delete('/jobs/:id', (req, res) => {
+  const existing = getJob(req.params.id);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  if (!authorizeClient(req, res, existing.clientId)) return;
+
+  const job = cancelJob(req.params.id);
+  res.json({
+    success: true,
+    ...serializeJob(job)
+  });
+});
+
+// Prometheus metrics (admin keys only: series carry client IDs)
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// Aggregate outcome stats per prompt variant (?prompt=digest-batch&since=ISO timestamp)
+app.get('/prompt-variants/stats', requireAdmin, async (req, res) => {
+  try {
+    const outcomes = await loadVariantOutcomes({ promptName: req.query.prompt, since: req.query.since });
+    res.json({
+      success: true,
+      variants: aggregateVariantStats(outcomes)
+    });
+  } catch (error) {
+    log.error('Failed to load prompt variant stats', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Parse a /usage date bound
+ * A date-only `to` (YYYY-MM-DD) includes that whole day.
+ * @param {string} value - ISO date or timestamp
+ * @param {boolean} isUpperBound - True for `to`
+ * @returns {string|null|undefined} ISO timestamp, undefined when absent, null when invalid
+ */
+function parseUsageDate(value, isUpperBound) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+// Token usage and cost per client (?client_id=&from=&to=)
+app.get('/usage', async (req, res) => {
+  const from = parseUsageDate(req.query.from, false);
+  const to = parseUsageDate(req.query.to, true);
+  if (from === null || to === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be ISO dates or timestamps'
+    });
+  }
+  // Usage across all clients is admin-only
+  if (req.query.client_id) {
+    if (!authorizeClient(req, res, req.query.client_id)) return;
+  } else if (!req.auth.admin) {
+    return requireAdmin(req, res);
+  }
+
+  try {
+    const records = await loadUsageRecords({ clientId: req.query.client_id, from, to });
+    res.json({
+      success: true,
+      client_id: req.query.client_id || null,
+      from: from || null,
+      to: to || null,
+      ...summarizeUsage(records)
+    });
+  } catch (error) {
+    log.error('Failed to load usage', { error: error.message });
     res.status(500).json({
       success: false,
       error: error.message
@@ -78,7 +354,15 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error('[DIGEST] Unhandled error:', err);
+  // Body parser errors (malformed JSON, body over the route's limit) are the client's
+  if (err.type && err.status >= 400 && err.status < 500) {
+    log.warn(`Rejected ${req.method} ${req.path}: ${err.message}`);
+    return res.status(err.status).json({
+      success: false,
+      error: err.message
+    });
+  }
+  log.error('Unhandled error', { error: err });
   res.status(500).json({
     success: false,
     error: 'Internal server error'
@@ -87,7 +371,8 @@ app.use((err, req, res, next) => {
 
 // Start server
 const PORT = process.env.PORT || 3003;
+logAuthConfiguration();
 app.listen(PORT, () => {
-  console.log(`[DIGEST] Service running on port ${PORT}`);
-  console.log(`[DIGEST] Ready to process digests`);
+  log.info(`Service running on port ${PORT}`);
+  log.info(`Ready to process digests`);
 });
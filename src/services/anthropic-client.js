@@ -1,72 +1,463 @@
 /**
  * Anthropic API Client
+ * Single entry point for every LLM call: retries with backoff, per-call
+ * timeouts, tool use, assistant prefill and normalized errors. The wire
+ * format is delegated to a provider (see ./providers); responses always come
+ * back in the Anthropic Messages shape.
  */
 
-export async function callAnthropicAPI({ prompt, model = 'claude-sonnet-4-5-20250929', max_tokens = 16000, temperature = 0.2 }) {
-  const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-  if (!ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY not configured');
-
-  console.log('[ANTHROPIC] Calling API with model:', model);
-
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json',
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens,
-      temperature,
-      messages: [{ role: 'user', content: prompt }]
-    })
+import { getProvider, resolveStageConfig } from './providers/index.js';
+import { replayFixture, recordFixture } from './llm-fixtures.js';
+import { sleep } from './worker-pool.js';
+import { llmResponses } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('anthropic');
+const parseLog = createLogger('parse');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.ANTHROPIC_TIMEOUT_MS || '120000', 10);
+const DEFAULT_MAX_RETRIES = parseInt(process.env.ANTHROPIC_MAX_RETRIES || '3', 10);
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+/**
+ * Normalized error for failed LLM calls
+ * `type` is one of: rate_limited, overloaded, invalid_request, authentication,
+ * api_error, timeout, network
+ */
+export class LLMAPIError extends Error {
+  constructor(message, { type, provider = null, status = null, retryable = false, retryAfterMs = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'LLMAPIError';
+    this.type = type;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Map an HTTP status to a normalized error type
+ * @param {number} status - HTTP status code
+ * @returns {string} Error type
+ */
+function errorTypeForStatus(status) {
+  if (status === 429) return 'rate_limited';
+  if (status === 529 || status === 503) return 'overloaded';
+  if (status === 401 || status === 403) return 'authentication';
+  if (status >= 400 && status < 500) return 'invalid_request';
+  return 'api_error';
+}
+
+/**
+ * Parse a retry-after header (seconds or HTTP date)
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function parseRetryAfter(headers) {
+  const value = headers.get('retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Full-jitter exponential backoff
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), BACKOFF_MAX_MS);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Build the error for a non-2xx response
+ * @param {Response} response - Fetch response
+ * @param {Object} provider - Provider that made the call
+ * @param {string} label - Caller label for messages
+ * @returns {Promise<LLMAPIError>} Normalized error
+ */
+async function errorFromResponse(response, provider, label) {
+  const errorText = await response.text();
+  let detail = errorText;
+  try {
+    detail = JSON.parse(errorText).error?.message || errorText;
+  } catch {
+    // Non-JSON error body - keep raw text
+  }
+
+  return new LLMAPIError(`LLM API failed (${provider.name}, ${label}): ${response.status} - ${detail}`, {
+    type: errorTypeForStatus(response.status),
+    provider: provider.name,
+    status: response.status,
+    retryable: provider.retryableStatuses.includes(response.status),
+    retryAfterMs: parseRetryAfter(response.headers)
   });
+}
+
+/**
+ * Perform one HTTP request with a per-call timeout
+ * @param {Object} provider - Provider implementation
+ * @param {Object} request - { url, headers, body } from provider.buildRequest
+ * @param {Object} options - { stage, timeoutMs, signal, label }
+ * @returns {Promise<Object>} Raw response JSON
+ */
+async function sendRequest(provider, request, { stage, timeoutMs, signal, label }) {
+  const countResponse = (status) => llmResponses.inc({ provider: provider.name, stage: stage || 'other', status });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error('timeout')), timeoutMs);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: controller.signal
+    });
+    countResponse(response.status);
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, provider, label);
+    }
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Anthropic API failed: ${response.status} - ${errorText}`);
+    return await response.json();
+  } catch (error) {
+    if (error instanceof LLMAPIError) throw error;
+    if (signal?.aborted) throw signal.reason;
+
+    if (controller.signal.aborted) {
+      countResponse('timeout');
+      throw new LLMAPIError(`LLM API timed out after ${timeoutMs}ms (${provider.name}, ${label})`, {
+        type: 'timeout',
+        provider: provider.name,
+        retryable: true
+      });
+    }
+
+    countResponse('network');
+    throw new LLMAPIError(`LLM API request failed (${provider.name}, ${label}): ${error.message}`, {
+      type: 'network',
+      provider: provider.name,
+      retryable: true
+    });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
   }
+}
+
+/**
+ * Send a built request, retrying retryable failures
+ * Replays/records fixtures when fixture mode is on.
+ * @param {Object} provider - Provider implementation
+ * @param {Object} request - Request built by provider.buildRequest
+ * @param {Object} options - { stage, label, timeoutMs, maxRetries, signal }
+ * @returns {Promise<Object>} Normalized response
+ */
+async function requestWithRetry(provider, request, { stage, label, timeoutMs, maxRetries, signal }) {
+  const recorded = await replayFixture(provider, request, label);
+  if (recorded) {
+    return provider.parseResponse(recorded, request);
+  }
+
+  try {
+    provider.validateConfig();
+  } catch (error) {
+    throw new LLMAPIError(error.message, { type: 'authentication', provider: provider.name });
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const raw = await sendRequest(provider, request, { stage, timeoutMs, signal, label });
+      await recordFixture(provider, request, raw, { stage, label });
+      const data = provider.parseResponse(raw, request);
+      log.info(`Response received (${label}), stop_reason: ${data.stop_reason}`);
+      return data;
+    } catch (error) {
+      if (!(error instanceof LLMAPIError)) throw error;  // Caller cancellation or unparseable response
+      error.attempts = attempt;
 
-  const data = await response.json();
-  console.log('[ANTHROPIC] Response received');
+      if (!error.retryable || attempt > maxRetries) {
+        log.error(`${error.type} (${label}) after ${attempt} attempt(s): ${error.message}`);
+        throw error;
+      }
+
+      const delay = error.retryAfterMs ?? backoffDelay(attempt);
+      log.warn(`${error.type} (${label}), retry ${attempt}/${maxRetries} in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Add two usage blocks together
+ * @param {Object} a - Usage block (optional)
+ * @param {Object} b - Usage block (optional)
+ * @returns {Object} Summed usage
+ */
+function addUsage(a = {}, b = {}) {
+  const total = { ...a };
+  Object.entries(b || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') total[key] = (total[key] || 0) + value;
+  });
+  return total;
+}
+
+/**
+ * Call the configured LLM
+ * Provider and model come from the stage configuration unless given
+ * explicitly. Retries retryable statuses (429/500/529 for Anthropic),
+ * timeouts and network errors with jittered exponential backoff, honoring
+ * retry-after when the API sends it.
+ *
+ * With continueOnMaxTokens, a text response cut off at max_tokens is
+ * continued by sending the output so far back as assistant prefill; the
+ * pieces are stitched into one text block and `continuations` is set on the
+ * response. Tool calls cannot be continued and are returned as-is.
+ * @param {Object} options - Call options
+ * @param {string} options.stage - Pipeline stage for provider/model selection ('pre_filter', 'batch', 'email')
+ * @param {string} options.provider - Provider name override (optional)
+ * @param {string} options.model - Model override (optional)
+ * @param {string} options.prompt - User prompt (ignored when messages is given)
+ * @param {Array<Object>} options.messages - Full message list (optional)
+ * @param {string} options.system - System prompt (optional)
+ * @param {string} options.prefill - Assistant prefill the reply must start with (optional)
+ * @param {Array<Object>} options.tools - Tool definitions in Anthropic format (optional)
+ * @param {Object} options.tool_choice - Tool choice in Anthropic format (optional)
+ * @param {number} options.max_tokens - Max output tokens
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.continueOnMaxTokens - Continuation requests allowed after max_tokens (default 0)
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {AbortSignal} options.signal - Cancels the call, including backoff waits (optional)
+ * @param {string} options.label - Caller name for logs and errors (e.g. 'batch 2')
+ * @param {Function} options.onUsage - Called with { stage, provider, model, usage, label } once the call completes (optional)
+ * @returns {Promise<Object>} Response in Anthropic Messages shape
+ */
+export async function callLLM({
+  stage,
+  provider: providerName,
+  model,
+  prompt,
+  messages,
+  system,
+  prefill,
+  tools,
+  tool_choice,
+  max_tokens = 16000,
+  temperature = 0.2,
+  continueOnMaxTokens = 0,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  signal,
+  label = stage || 'request',
+  onUsage
+}) {
+  const stageConfig = resolveStageConfig(stage);
+  const provider = providerName ? getProvider(providerName) : stageConfig.provider;
+  const resolvedModel = model || (providerName ? provider.defaultModel : stageConfig.model);
+  const baseMessages = messages || [{ role: 'user', content: prompt }];
+  const retryOptions = { stage, label, timeoutMs, maxRetries, signal };
+
+  const buildRequest = (requestPrefill) => provider.buildRequest({
+    model: resolvedModel,
+    max_tokens,
+    temperature,
+    system,
+    messages: baseMessages,
+    prefill: requestPrefill,
+    tools,
+    tool_choice
+  });
+
+  log.info(`Calling ${provider.name} (${label}) with model: ${resolvedModel}`);
+  let data = await requestWithRetry(provider, buildRequest(prefill), retryOptions);
+
+  let continuations = 0;
+  while (
+    data.stop_reason === 'max_tokens' &&
+    continuations < continueOnMaxTokens &&
+    !data.content?.some(c => c.type === 'tool_use')
+  ) {
+    // The API rejects assistant prefill ending in whitespace
+    const textSoFar = getResponseText(data).trimEnd();
+    continuations++;
+    log.warn(`${label} hit max_tokens, requesting continuation ${continuations}/${continueOnMaxTokens}`);
+
+    const next = await requestWithRetry(
+      provider,
+      buildRequest((prefill || '') + textSoFar),
+      { ...retryOptions, label: `${label} continuation ${continuations}` }
+    );
+
+    data = {
+      ...next,
+      content: [{ type: 'text', text: textSoFar + getResponseText(next) }],
+      usage: addUsage(data.usage, next.usage)
+    };
+  }
+
+  if (continuations > 0) {
+    data.continuations = continuations;
+  }
+  onUsage?.({ stage, provider: provider.name, model: resolvedModel, usage: data.usage || {}, label });
   return data;
 }
 
-export function parseClaudeJSON(responseText) {
+// Original name, kept for existing imports
+export const callAnthropicAPI = callLLM;
+
+/**
+ * Get the text output of a response, with the prefill restored
+ * @param {Object} data - API response
+ * @param {string} prefill - Prefill that was sent (optional)
+ * @returns {string} Full assistant text
+ */
+export function getResponseText(data, prefill = '') {
+  const text = (data.content || [])
+    .filter(c => c.type === 'text')
+    .map(c => c.text)
+    .join('');
+  return prefill + text;
+}
+
+/**
+ * Get the input of a tool call from a response
+ * @param {Object} data - API response
+ * @param {string} toolName - Expected tool name (optional)
+ * @returns {Object} Tool input
+ */
+export function getToolInput(data, toolName) {
+  const toolUseContent = (data.content || []).find(c =>
+    c.type === 'tool_use' && (!toolName || c.name === toolName)
+  );
+  if (!toolUseContent) {
+    throw new Error('No tool use in Claude response');
+  }
+  return toolUseContent.input;
+}
+
+/**
+ * Recover the complete elements of a JSON document cut off mid-output
+ * Walks the text tracking strings and brackets, remembers every point where
+ * an array element has just been completed, and closes the open brackets at
+ * the latest such point in the outermost array that parses. Partially
+ * emitted elements are dropped.
+ * @param {string} text - Truncated JSON text
+ * @returns {Object|null} { value, salvagedLength } or null if nothing could be recovered
+ */
+export function salvageTruncatedJSON(text) {
+  const stack = [];
+  const cutPoints = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch);
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      if (stack[stack.length - 1] === '[') {
+        cutPoints.push({ end: i + 1, stack: [...stack] });
+      }
+    } else if (ch === ',' && stack[stack.length - 1] === '[') {
+      cutPoints.push({ end: i, stack: [...stack] });
+    }
+  }
+
+  // Shallowest array first so whole elements win over partially emitted nested arrays
+  const candidates = cutPoints
+    .map((point, index) => ({ ...point, index }))
+    .sort((x, y) => x.stack.length - y.stack.length || y.index - x.index);
+
+  for (const { end, stack: open } of candidates) {
+    const closing = open.slice().reverse().map(b => (b === '{' ? '}' : ']')).join('');
+    try {
+      return { value: JSON.parse(text.substring(0, end) + closing), salvagedLength: end };
+    } catch {
+      // Try an earlier cut point
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse JSON from model output
+ * @param {string} responseText - Model text (markdown fences are stripped)
+ * @param {Object} options - Parse options
+ * @param {string} options.stopReason - stop_reason of the response; 'max_tokens' enables salvage
+ * @param {Function} options.onSalvage - Called with { originalLength, salvagedLength } when truncated output was salvaged
+ * @returns {Object} Parsed JSON
+ */
+export function parseClaudeJSON(responseText, { stopReason, onSalvage } = {}) {
   let aiText = responseText.trim();
 
-  console.log('[PARSE] Input length:', aiText.length);
-  console.log('[PARSE] First 100 chars:', aiText.substring(0, 100));
+  parseLog.debug('Parsing model output', { length: aiText.length, response_preview: aiText.substring(0, 100) });
 
   // Remove markdown code blocks if present (simple string operations)
   // Remove opening ```json or ```
   if (aiText.startsWith('```json')) {
     aiText = aiText.substring(7).trim(); // Remove ```json
-    console.log('[PARSE] Removed opening ```json');
+    parseLog.debug('Removed opening ```json');
   } else if (aiText.startsWith('```')) {
     aiText = aiText.substring(3).trim(); // Remove ```
-    console.log('[PARSE] Removed opening ```');
+    parseLog.debug('Removed opening ```');
   }
 
   // Remove closing ```
   if (aiText.endsWith('```')) {
     aiText = aiText.substring(0, aiText.length - 3).trim();
-    console.log('[PARSE] Removed closing ```');
+    parseLog.debug('Removed closing ```');
   }
 
-  console.log('[PARSE] After stripping, length:', aiText.length);
-  console.log('[PARSE] First 100 after strip:', aiText.substring(0, 100));
+  parseLog.debug('Stripped markdown fences', { length: aiText.length, response_preview: aiText.substring(0, 100) });
 
   let digestData;
   try {
     digestData = JSON.parse(aiText);
-    console.log('[PARSE] ✅ Successfully parsed JSON');
+    parseLog.debug('Successfully parsed JSON');
     return digestData;
   } catch (parseError) {
-    console.error('[PARSE] ❌ Failed to parse AI JSON response:', parseError.message);
-    console.error('[PARSE] Text being parsed (first 300):', aiText.substring(0, 300));
-    console.error('[PARSE] Text being parsed (last 100):', aiText.substring(aiText.length - 100));
+    if (stopReason === 'max_tokens') {
+      const salvaged = salvageTruncatedJSON(aiText);
+      if (salvaged) {
+        parseLog.warn(`Output truncated at max_tokens, salvaged ${salvaged.salvagedLength}/${aiText.length} chars`);
+        onSalvage?.({ originalLength: aiText.length, salvagedLength: salvaged.salvagedLength });
+        return salvaged.value;
+      }
+      parseLog.error('Output truncated at max_tokens and nothing could be salvaged');
+      throw new Error(`AI output was truncated at max_tokens after ${aiText.length} chars and no complete items could be salvaged`);
+    }
+
+    // Model output is only logged in full at LOG_LEVEL=debug (length otherwise)
+    parseLog.error('Failed to parse AI JSON response', {
+      error: parseError.message,
+      length: aiText.length,
+      response_preview: aiText.substring(0, 300),
+      response_tail: aiText.substring(aiText.length - 100)
+    });
     throw new Error('AI did not return valid JSON');
   }
 }
@@ -0,0 +1,332 @@
+/**
+ * Article Cache Service
+ * Caches per-article batch analysis (paragraphs, category, score - or "not
+ * relevant") by a hash of the article content, client context and batch
+ * prompt version, so re-runs only send new articles to the LLM
+ *
+ * Configuration (environment, read on every call):
+ *   ARTICLE_CACHE             - 'on' (default) or 'off'
+ *   ARTICLE_CACHE_STORE       - Persistent tier: 'file', 'supabase' (article_analysis_cache table) or unset (memory only)
+ *   ARTICLE_CACHE_DIR         - Directory for the file tier (default: .cache/articles)
+ *   ARTICLE_CACHE_TTL_MS      - Entry lifetime in both tiers (default: 86400000, 24h)
+ *   ARTICLE_CACHE_MAX_ENTRIES - In-memory LRU size (default: 5000)
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { resolveStageConfig } from './providers/index.js';
+import { loadArticleAnalyses, saveArticleAnalyses } from './prompt-loader.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('article-cache');
+
+const DEFAULT_CACHE_DIR = '.cache/articles';
+
+/**
+ * Create an in-memory LRU cache
+ * Map insertion order is the recency order: reads move an entry to the end,
+ * writes past the limit evict from the front.
+ * @param {number} maxEntries - Maximum entries kept
+ * @returns {Object} { get, set, delete, clear, size }
+ */
+export function createLruCache(maxEntries) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+const memory = createLruCache(parseInt(process.env.ARTICLE_CACHE_MAX_ENTRIES || '5000', 10));
+
+function isEnabled() {
+  return process.env.ARTICLE_CACHE !== 'off';
+}
+
+function getTtlMs() {
+  return parseInt(process.env.ARTICLE_CACHE_TTL_MS || '86400000', 10);
+}
+
+function getCacheDir() {
+  return process.env.ARTICLE_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+/**
+ * Drop all in-memory entries (the persistent tier is left alone)
+ */
+export function clearArticleCache() {
+  memory.clear();
+}
+
+/**
+ * Hash of everything besides the article that shapes its analysis
+ * @param {Object} options - { client, context, country, last_digest, prompt, taxonomy } - prompt as in _metadata.prompts.batch
+ * @returns {string} Scope hash
+ */
+export function articleCacheScope({ client, context, country, last_digest, prompt, taxonomy }) {
+  const scope = {
+    client_id: client.id,
+    client_brief: client.preferences?.client_brief || client.brief || client.description || null,
+    language: context?.language || client.preferences?.language || 'en',
+    topics: context?.topics || [],
+    keywords: context?.keywords || [],
+    categories: context?.categories || [],
+    countries: context?.countries || [],
+    country: context?.country_primary || country || null,
+    last_digest: last_digest?.created_at || null,
+    prompt: prompt ? { name: prompt.name, version: prompt.version, source: prompt.source, variant: prompt.variant } : null,
+    taxonomy: taxonomy ? { version: taxonomy.version, fingerprint: taxonomy.fingerprint } : null,
+    model: resolveStageConfig('batch').model
+  };
+  return createHash('sha256').update(JSON.stringify(scope)).digest('hex');
+}
+
+/**
+ * Cache key of an article within a scope (content fields only, not the ID)
+ * @param {Object} article - Input article
+ * @param {string} scope - Scope hash from articleCacheScope
+ * @returns {string} Cache key
+ */
+export function articleCacheKey(article, scope) {
+  const content = {
+    title: article.title || '',
+    summary: article.summary || article.description || '',
+    content: article.content || article.text || '',
+    url: article.url || '',
+    source: article.source_name || article.source?.name || article.source || '',
+    published: article.published_at || article.published || ''
+  };
+  return createHash('sha256')
+    .update(`${scope}\n${JSON.stringify(content)}`)
+    .digest('hex')
+    .substring(0, 32);
+}
+
+/**
+ * Best-effort identifier for an input article (matches batch output article_id)
+ * @param {Object} article - Input article
+ * @returns {string|null} Article ID
+ */
+function getArticleId(article) {
+  const id = article.article_id || article.id || article.url || article.title;
+  return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * Pair batch output with its input articles
+ * Matched by ID first (with the same fallback as getArticleId), then by
+ * source URL, then by title - the model only sees IDs for articles that have
+ * one, so ID-less articles come back identified by URL or title.
+ * @param {Array<Object>} batch - Input articles
+ * @param {Array<Object>} outputs - Output articles of the batch
+ * @returns {Object} { matched: Map<article, output>, unmatched: number of outputs without an input }
+ */
+function matchOutputs(batch, outputs) {
+  const matched = new Map();
+  const remaining = new Set(outputs);
+  const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+  const passes = [
+    [getArticleId, (output, id) => output.article_id !== undefined && output.article_id !== null && String(output.article_id) === id],
+    [(article) => article.url || null, (output, url) => output.source?.url === url],
+    [(article) => normalize(article.title) || null, (output, title) => normalize(output.title) === title]
+  ];
+
+  for (const [identify, matches] of passes) {
+    for (const article of batch) {
+      const value = matched.has(article) ? null : identify(article);
+      if (!value) continue;
+      const output = [...remaining].find(o => matches(o, value));
+      if (output) {
+        matched.set(article, output);
+        remaining.delete(output);
+      }
+    }
+  }
+
+  return { matched, unmatched: remaining.size };
+}
+
+function isFresh(entry) {
+  return entry && Date.now() - new Date(entry.stored_at).getTime() < getTtlMs();
+}
+
+/**
+ * Read entries from the persistent tier
+ * @param {Array<string>} keys - Cache keys
+ * @returns {Promise<Map<string, Object>>} Key → entry
+ */
+async function readPersistent(keys) {
+  const store = process.env.ARTICLE_CACHE_STORE;
+  const found = new Map();
+
+  if (store === 'file') {
+    await Promise.all(keys.map(async (key) => {
+      try {
+        found.set(key, JSON.parse(await readFile(path.join(getCacheDir(), `${key}.json`), 'utf8')));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }));
+  } else if (store === 'supabase') {
+    const wanted = new Set(keys);
+    for (const row of await loadArticleAnalyses(keys)) {
+      if (wanted.has(row.cache_key)) found.set(row.cache_key, row.entry);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Write entries to the persistent tier
+ * @param {Array<Array>} entries - [key, entry] pairs
+ * @returns {Promise<void>}
+ */
+async function writePersistent(entries) {
+  const store = process.env.ARTICLE_CACHE_STORE;
+
+  if (store === 'file') {
+    const dir = getCacheDir();
+    await mkdir(dir, { recursive: true });
+    await Promise.all(entries.map(([key, entry]) => writeFile(path.join(dir, `${key}.json`), JSON.stringify(entry))));
+  } else if (store === 'supabase') {
+    await saveArticleAnalyses(entries.map(([key, entry]) => ({ cache_key: key, entry, stored_at: entry.stored_at })));
+  }
+}
+
+/**
+ * Split articles into cached analyses and articles that still need a batch
+ * Memory is checked first, then the persistent tier (hits there are promoted
+ * to memory). Persistent-tier errors count as misses.
+ * @param {Array<Object>} articles - Articles about to be batched
+ * @param {string} scope - Scope hash from articleCacheScope
+ * @returns {Promise<Object>} { hits: [{ article, entry }], misses, stats }
+ */
+export async function lookupArticleAnalyses(articles, scope) {
+  const stats = { enabled: isEnabled(), hits: 0, misses: articles.length, memory_hits: 0, persistent_hits: 0, hit_rate: 0, stored: 0 };
+  if (!stats.enabled || articles.length === 0) {
+    return { hits: [], misses: articles, stats };
+  }
+
+  const keyed = articles.map(article => ({ article, key: articleCacheKey(article, scope) }));
+  const found = new Map();
+
+  for (const { key } of keyed) {
+    const entry = memory.get(key);
+    if (isFresh(entry)) {
+      found.set(key, entry);
+      stats.memory_hits++;
+    }
+  }
+
+  const remaining = keyed.filter(k => !found.has(k.key)).map(k => k.key);
+  if (remaining.length > 0 && process.env.ARTICLE_CACHE_STORE) {
+    try {
+      for (const [key, entry] of await readPersistent(remaining)) {
+        if (!isFresh(entry)) continue;
+        found.set(key, entry);
+        memory.set(key, entry);
+        stats.persistent_hits++;
+      }
+    } catch (error) {
+      log.warn('Persistent tier read failed, treating as misses', { error: error.message });
+    }
+  }
+
+  const hits = keyed.filter(k => found.has(k.key)).map(({ article, key }) => ({ article, entry: found.get(key) }));
+  const misses = keyed.filter(k => !found.has(k.key)).map(k => k.article);
+
+  stats.hits = hits.length;
+  stats.misses = misses.length;
+  stats.hit_rate = Math.round(hits.length / articles.length * 1000) / 1000;
+  log.info(`${hits.length}/${articles.length} articles cached (${stats.memory_hits} memory, ${stats.persistent_hits} persistent)`);
+
+  return { hits, misses, stats };
+}
+
+/**
+ * Cache the analysis of one processed batch
+ * Included articles are cached with their output. Articles without output
+ * are cached as skipped only when the whole batch came back clean and every
+ * output was matched to an input - after failures, truncation, dropped output
+ * or output that could not be attributed, a missing article may simply not
+ * have been analyzed (or may be that unattributed output).
+ * @param {Array<Object>} batch - Input articles of the batch
+ * @param {Object} result - Result from processBatchWithRecovery
+ * @param {string} scope - Scope hash from articleCacheScope
+ * @returns {Promise<number>} Number of entries stored
+ */
+export async function storeArticleAnalyses(batch, result, scope) {
+  if (!isEnabled()) return 0;
+
+  const { matched, unmatched } = matchOutputs(batch, result.articles);
+  const clean = result.failures.length === 0 && result.truncations.length === 0 &&
+    result.validation.dropped.length === 0 && unmatched === 0;
+  const stored_at = new Date().toISOString();
+
+  const entries = [];
+  for (const article of batch) {
+    const output = matched.get(article);
+    if (output) {
+      entries.push([articleCacheKey(article, scope), { status: 'included', output, stored_at }]);
+    } else if (clean) {
+      entries.push([articleCacheKey(article, scope), { status: 'skipped', stored_at }]);
+    }
+  }
+
+  entries.forEach(([key, entry]) => memory.set(key, entry));
+
+  if (process.env.ARTICLE_CACHE_STORE && entries.length > 0) {
+    try {
+      await writePersistent(entries);
+    } catch (error) {
+      log.warn('Persistent tier write failed', { error: error.message });
+    }
+  }
+
+  return entries.length;
+}
+
+/**
+ * Batch-result-shaped view of cache hits, merged like any other batch
+ * @param {Array<Object>} hits - Hits from lookupArticleAnalyses
+ * @returns {Object} Batch result with `cached: true`
+ */
+export function cachedBatchResult(hits) {
+  const included = hits.filter(h => h.entry.status === 'included');
+
+  return {
+    batchNumber: 'cached',
+    // Keep the current request's ID - the same content may arrive under a new one
+    articles: included.map(({ article, entry }) => ({ ...entry.output, article_id: getArticleId(article) ?? entry.output.article_id })),
+    skipped: hits.length - included.length,
+    duplicates: 0,
+    usage: null,
+    validation: { repaired: [], dropped: [] },
+    truncations: [],
+    failures: [],
+    split: false,
+    outputErrors: 0,
+    cached: true
+  };
+}
@@ -3,6 +3,10 @@
  * Formats articles for use in AI prompts
  */
 
+import { createLogger } from './logger.js';
+
+const log = createLogger('article-formatter');
+
 /**
  * Format articles for AI prompt input
  * @param {Array<Object>} articles - Array of article objects
@@ -21,7 +25,12 @@ export function formatArticlesForPrompt(articles) {
       const url = article.url || '';
       const published = article.published_at || article.publishedAt || '';
 
+      const id = article.article_id || article.id || '';
+
       let formatted = `Article ${index + 1}: ${title}\n`;
+      if (id) {
+        formatted += `ID: ${id}\n`;
+      }
       formatted += `Source: ${source}\n`;
 
       if (url) {
@@ -82,12 +91,65 @@ export function filterValidArticles(articles) {
   const validArticles = articles.filter(isValidArticle);
 
   if (validArticles.length < articles.length) {
-    console.log(`[ARTICLE-FORMATTER] Filtered ${articles.length - validArticles.length} invalid articles`);
+    log.info(`Filtered ${articles.length - validArticles.length} invalid articles`);
   }
 
   return validArticles;
 }
 
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|cmpid|ocid)$/i;
+
+/**
+ * Canonical form of an article URL for duplicate matching
+ * Drops protocol, www., fragment, tracking parameters and trailing slashes,
+ * and sorts the remaining query parameters.
+ * @param {string} url - Article URL
+ * @returns {string|null} Canonical URL, or null when missing or unparseable
+ */
+export function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+  const pathname = parsed.pathname.replace(/\/(amp|index\.html?)?$/i, '').replace(/\/+$/, '');
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `${host}${pathname}${query}`;
+}
+
+/**
+ * Remove input articles that point at the same canonical URL
+ * The first occurrence is kept; articles without a usable URL are always kept.
+ * @param {Array<Object>} articles - Articles to check
+ * @returns {Array<Object>} Articles with URL duplicates removed
+ */
+export function dedupeArticlesByUrl(articles) {
+  const seen = new Set();
+
+  const unique = articles.filter(article => {
+    const canonical = canonicalizeUrl(article.url);
+    if (!canonical) return true;
+    if (seen.has(canonical)) return false;
+    seen.add(canonical);
+    return true;
+  });
+
+  if (unique.length < articles.length) {
+    log.info(`Removed ${articles.length - unique.length} articles with duplicate URLs`);
+  }
+
+  return unique;
+}
+
 /**
  * Prepare articles summary
  * @param {Array<Object>} articles - Articles to summarize
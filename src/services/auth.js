@@ -0,0 +1,359 @@
+/**
+ * Auth Service
+ * API-key authentication, client scoping and optional HMAC request signing
+ * for the HTTP endpoints (everything except /health)
+ *
+ * Keys are configured as a JSON array:
+ *   [{ "name": "mundus-backend", "key_sha256": "<hex>", "client_ids": ["*"], "admin": false, "signing_secret": "..." }]
+ * - key_sha256: SHA-256 of the key (or `key` in plain text for local setups)
+ * - client_ids: clients the key may act for; "*" is any client
+ * - admin: may also read cross-client data (/usage without client_id, /prompt-variants/stats)
+ * - signing_secret: when set, every request with this key must be signed
+ *
+ * Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`. Signed
+ * requests add `X-Digest-Timestamp` (unix seconds) and `X-Digest-Signature`
+ * (hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path with query>.<raw body>").
+ *
+ * The key is checked before the body is read (requireApiKey), so requests
+ * without a valid key never get a body parsed; signatures need the raw body
+ * and are checked after parsing (requireSignature).
+ *
+ * Configuration (environment):
+ *   AUTH                       - 'on' (default) or 'off' (local development only: every request is admin)
+ *   API_KEYS                   - Key list as JSON
+ *   API_KEYS_FILE              - Key list as a JSON file (used when API_KEYS is unset)
+ *   SIGNATURE_MAX_SKEW_SECONDS - Accepted clock difference for signed requests (default: 300)
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('auth');
+
+const ANY_CLIENT = '*';
+
+let apiKeys = null;
+const seenSignatures = new Map();  // Signature → expiry (ms), for replay protection
+const requestKeys = new WeakMap();  // Request → key record, from requireApiKey to requireSignature
+
+/**
+ * Thrown when a request cannot be authenticated or is not allowed
+ * `status` is 401 for missing or invalid credentials, 403 for valid
+ * credentials without access.
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * SHA-256 of an API key, as stored in key_sha256
+ * @param {string} key - API key
+ * @returns {string} Hex digest
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Configured API keys (loaded once)
+ * @returns {Array<Object>} [{ name, hash, client_ids, admin, signing_secret }]
+ * @throws {Error} When the key list is not valid JSON or an entry has no key
+ */
+export function getApiKeys() {
+  if (!apiKeys) {
+    let source = '[]';
+    if (process.env.API_KEYS) {
+      source = process.env.API_KEYS;
+    } else if (process.env.API_KEYS_FILE) {
+      source = readFileSync(process.env.API_KEYS_FILE, 'utf8');
+    }
+
+    let entries;
+    try {
+      entries = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`API keys are not valid JSON: ${error.message}`);
+    }
+
+    apiKeys = entries.map((entry, index) => {
+      const name = entry.name || `key-${index + 1}`;
+      if (!entry.key_sha256 && !entry.key) {
+        throw new Error(`API key ${name} has neither key_sha256 nor key`);
+      }
+      return {
+        name,
+        hash: Buffer.from((entry.key_sha256 || hashApiKey(entry.key)).toLowerCase(), 'hex'),
+        client_ids: entry.client_ids || [],
+        admin: entry.admin === true,
+        signing_secret: entry.signing_secret || null
+      };
+    });
+  }
+  return apiKeys;
+}
+
+/**
+ * Forget loaded keys and seen signatures (re-read on next use)
+ */
+export function resetApiKeys() {
+  apiKeys = null;
+  seenSignatures.clear();
+}
+
+function isAuthEnabled() {
+  return process.env.AUTH !== 'off';
+}
+
+/**
+ * HMAC signature of a request
+ * @param {Object} request - { secret, timestamp, method, path, body }
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function signRequest({ secret, timestamp, method, path, body = '' }) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex strings
+ * @param {string} a - Hex string
+ * @param {string} b - Hex string
+ * @returns {boolean} True when equal
+ */
+function hexEquals(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && left.length > 0 && timingSafeEqual(left, right);
+}
+
+/**
+ * API key presented by a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Key
+ */
+function getPresentedKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : (req.get('X-API-Key') || null);
+}
+
+/**
+ * Check a signed request: fresh timestamp, valid HMAC, not seen before
+ * @param {Object} req - Express request (rawBody set by the JSON parser)
+ * @param {Object} key - Key record with signing_secret
+ * @param {number} now - Current time in ms
+ * @throws {AuthError} When the signature is missing, stale, invalid or replayed
+ */
+function verifySignature(req, key, now) {
+  const timestamp = req.get('X-Digest-Timestamp');
+  const signature = (req.get('X-Digest-Signature') || '').replace(/^sha256=/, '');
+  if (!timestamp || !signature) {
+    throw new AuthError('Request signature required');
+  }
+
+  const maxSkewMs = parseInt(process.env.SIGNATURE_MAX_SKEW_SECONDS || '300', 10) * 1000;
+  const signedAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(signedAt) || Math.abs(now - signedAt) > maxSkewMs) {
+    throw new AuthError('Request timestamp outside the accepted window');
+  }
+
+  const expected = signRequest({
+    secret: key.signing_secret,
+    timestamp,
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody ? req.rawBody.toString('utf8') : ''
+  });
+  if (!hexEquals(signature, expected)) {
+    throw new AuthError('Invalid request signature');
+  }
+
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(seen);
+  }
+  if (seenSignatures.has(expected)) {
+    throw new AuthError('Request signature already used');
+  }
+  // Remember until the timestamp can no longer pass the window check
+  seenSignatures.set(expected, signedAt + maxSkewMs);
+}
+
+/**
+ * Key record for the API key a request presents
+ * @param {Object} req - Express request
+ * @returns {Object} Key record
+ * @throws {AuthError} When the key is missing or unknown
+ */
+function findApiKey(req) {
+  const presented = getPresentedKey(req);
+  if (!presented) {
+    throw new AuthError('API key required');
+  }
+
+  const hash = Buffer.from(hashApiKey(presented), 'hex');
+  const key = getApiKeys().find(k => k.hash.length === hash.length && timingSafeEqual(k.hash, hash));
+  if (!key) {
+    throw new AuthError('Invalid API key');
+  }
+  return key;
+}
+
+/**
+ * req.auth for a key record
+ * @param {Object} key - Key record
+ * @returns {Object} { name, client_ids, admin, signed }
+ */
+function describeKey(key) {
+  return { name: key.name, client_ids: key.client_ids, admin: key.admin, signed: !!key.signing_secret };
+}
+
+/**
+ * Authenticate a request (key and, for signing keys, the signature over rawBody)
+ * @param {Object} req - Express request
+ * @param {number} now - Current time in ms
+ * @returns {Object} { name, client_ids, admin, signed }
+ * @throws {AuthError} When credentials are missing or invalid
+ */
+export function authenticateRequest(req, now = Date.now()) {
+  const key = findApiKey(req);
+
+  if (key.signing_secret) {
+    verifySignature(req, key, now);
+  }
+
+  return describeKey(key);
+}
+
+/**
+ * Log a rejected request (never the presented key)
+ * @param {Object} req - Express request
+ * @param {string} reason - Why it was rejected
+ */
+function logRejection(req, reason) {
+  log.warn(`Rejected ${req.method} ${req.path}: ${reason}`, { ip: req.ip, key_name: req.auth?.name });
+}
+
+/**
+ * Answer an authentication failure
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} error - Thrown error (anything but AuthError is rethrown)
+ */
+function rejectRequest(req, res, error) {
+  if (!(error instanceof AuthError)) throw error;
+  logRejection(req, error.message);
+  res.status(error.status).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * Express middleware: check the API key and set req.auth, or answer 401
+ * Runs before the body parser; keys with a signing secret still need requireSignature.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireApiKey(req, res, next) {
+  if (!isAuthEnabled()) {
+    req.auth = { name: 'anonymous', client_ids: [ANY_CLIENT], admin: true, signed: false };
+    return next();
+  }
+
+  let key;
+  try {
+    key = findApiKey(req);
+  } catch (error) {
+    return rejectRequest(req, res, error);
+  }
+  requestKeys.set(req, key);
+  req.auth = describeKey(key);
+  next();
+}
+
+/**
+ * Express middleware: verify the signature of requests made with a signing key, or answer 401
+ * Runs after requireApiKey and the body parser (which sets req.rawBody).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireSignature(req, res, next) {
+  const key = requestKeys.get(req);
+  if (key?.signing_secret) {
+    try {
+      verifySignature(req, key, Date.now());
+    } catch (error) {
+      return rejectRequest(req, res, error);
+    }
+  }
+  next();
+}
+
+/**
+ * Express middleware: only admin keys may continue
+ * @param {Object} req - Express request (after requireApiKey)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireAdmin(req, res, next) {
+  if (req.auth?.admin) return next();
+
+  logRejection(req, 'admin key required');
+  res.status(403).json({
+    success: false,
+    error: 'Admin API key required'
+  });
+}
+
+/**
+ * Whether an authenticated request may act for a client
+ * @param {Object} auth - req.auth
+ * @param {string} clientId - Client ID
+ * @returns {boolean} True when allowed
+ */
+export function canAccessClient(auth, clientId) {
+  if (!auth) return false;
+  return auth.admin || auth.client_ids.includes(ANY_CLIENT) || auth.client_ids.includes(clientId);
+}
+
+/**
+ * Check client access for a request, answering 403 when it is not allowed
+ * @param {Object} req - Express request (after requireApiKey)
+ * @param {Object} res - Express response
+ * @param {string} clientId - Client ID the request acts for
+ * @returns {boolean} True when the handler may continue
+ */
+export function authorizeClient(req, res, clientId) {
+  if (canAccessClient(req.auth, clientId)) return true;
+
+  logRejection(req, `no access to client ${clientId}`);
+  res.status(403).json({
+    success: false,
+    error: 'API key has no access to this client'
+  });
+  return false;
+}
+
+/**
+ * Startup check: warn when no request could ever authenticate
+ */
+export function logAuthConfiguration() {
+  if (!isAuthEnabled()) {
+    log.warn('Authentication is disabled (AUTH=off), every request is treated as admin');
+    return;
+  }
+  const keys = getApiKeys();
+  if (keys.length === 0) {
+    log.warn('No API keys configured (API_KEYS / API_KEYS_FILE), all requests except /health will be rejected');
+  } else {
+    log.info(`${keys.length} API key(s) loaded (${keys.filter(k => k.signing_secret).length} with request signing)`);
+  }
+}
@@ -3,10 +3,52 @@
  * Processes articles in batches of 25 for reliable JSON generation
  */
 
-import { callAnthropicAPI } from './anthropic-client.js';
+import { callLLM, getResponseText, parseClaudeJSON } from './anthropic-client.js';
 import { formatArticlesForPrompt } from './article-formatter.js';
+import { normalizeArticle } from './result-merger.js';
+import { runPool, createTokenBudget } from './worker-pool.js';
+import { BATCH_TOOL, BATCH_TOOL_NAME, ARTICLE_CATEGORIES, MAX_PARAGRAPHS, validateBatchOutput } from './batch-schema.js';
+import { getDefaultTaxonomy, resolveTopics, describeTopicsForPrompt } from './taxonomy.js';
+import { stageDuration } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('batch-processor', { stage: 'batch' });
 
 const BATCH_SIZE = 25;
+const BATCH_MAX_TOKENS = 4000;  // Smaller batch = smaller response needed
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+const BATCH_TOKENS_PER_MINUTE = parseInt(process.env.BATCH_TOKENS_PER_MINUTE || '0', 10);  // 0 = unlimited
+const BATCH_MAX_ATTEMPTS = parseInt(process.env.BATCH_MAX_ATTEMPTS || '2', 10);  // Per batch (and per split half)
+const BATCH_MAX_CONTINUATIONS = parseInt(process.env.BATCH_MAX_CONTINUATIONS || '2', 10);  // Text fallback after truncation
+
+const LANGUAGE_NAMES = {
+  'en': 'English',
+  'sv': 'Swedish',
+  'no': 'Norwegian',
+  'da': 'Danish',
+  'fi': 'Finnish'
+};
+
+/**
+ * Error for batch output that could not be used (missing/invalid tool output or truncation)
+ * These are the failures that splitting the batch can fix.
+ */
+export class BatchOutputError extends Error {
+  constructor(message, { reason }) {
+    super(message);
+    this.name = 'BatchOutputError';
+    this.reason = reason;  // 'invalid_json' | 'truncated'
+  }
+}
+
+/**
+ * Best-effort identifier for an input article
+ * @param {Object} article - Input article
+ * @returns {string|null} Article ID
+ */
+function getArticleId(article) {
+  return article.article_id || article.id || article.url || article.title || null;
+}
 
 /**
  * Split articles into batches
@@ -22,12 +64,54 @@ export function chunkArticles(articles, batchSize = BATCH_SIZE) {
   return chunks;
 }
 
+/**
+ * Variables available to a stored batch template
+ * @param {Object} options - Batch processing options
+ * @returns {Object} Template variables
+ */
+export function buildBatchPromptVariables({ batch, batchNumber, totalBatches, client, country, context, last_digest, taxonomy = getDefaultTaxonomy() }) {
+  const topics = context?.topics || [];
+  const { hints, exclusions } = describeTopicsForPrompt(resolveTopics(taxonomy, topics));
+  const primaryCountry = context?.country_primary || country || null;
+  const language = context?.language || client.preferences?.language || 'en';
+
+  return {
+    client_name: client.name,
+    client_brief: client.preferences?.client_brief || client.brief || client.description || null,
+    batch_number: batchNumber,
+    total_batches: totalBatches,
+    article_count: batch.length,
+    country: primaryCountry,
+    countries: context?.countries || (primaryCountry ? [primaryCountry] : []),
+    topics,
+    topic_list: topics.join(', '),
+    topic_hints: topics.length > 0 ? hints : '',
+    exclusions: topics.length > 0 ? exclusions : '',
+    keywords: context?.keywords || [],
+    categories: context?.categories || [],
+    language,
+    language_name: LANGUAGE_NAMES[language] || 'English',
+    last_digest: last_digest || null,
+    last_digest_stories: (last_digest?.sections?.news || []).slice(0, 5).map(story => story.title),
+    articles: batch,
+    articles_text: formatArticlesForPrompt(batch),
+    tool_name: BATCH_TOOL_NAME,
+    output_categories: ARTICLE_CATEGORIES,
+    max_paragraphs: MAX_PARAGRAPHS
+  };
+}
+
 /**
  * Build prompt for a single batch with context
+ * Renders the stored batch template when one is configured, otherwise the built-in prompt.
  * @param {Object} options - Batch processing options
  * @returns {string} Batch prompt
  */
-export function buildBatchPrompt({ batch, batchNumber, totalBatches, client, country, context, last_digest, promptTemplate }) {
+export function buildBatchPrompt({ batch, batchNumber, totalBatches, client, country, context, last_digest, promptTemplate, taxonomy = getDefaultTaxonomy() }) {
+  if (promptTemplate?.render) {
+    return promptTemplate.render(buildBatchPromptVariables({ batch, batchNumber, totalBatches, client, country, context, last_digest, taxonomy }));
+  }
+
   let prompt = `BATCH ${batchNumber}/${totalBatches}: Analyzing ${batch.length} articles for ${client.name}\n\n`;
 
   // Add geographic focus if available
@@ -55,9 +139,11 @@ export function buildBatchPrompt({ batch, batchNumber, totalBatches, client, cou
     prompt += `- Articles tangentially related to ${context.topics.join('/')} should score 4-6\n`;
     prompt += `- Articles completely unrelated to ${context.topics.join('/')} should score 0-2\n\n`;
 
-    // Add related keywords hint for the topic
-    if (context.topics.includes('Energy')) {
-      prompt += `Energy includes: solar, wind, batteries, hydrogen, nuclear, grid, renewable, electric vehicles, power generation, energy storage, charging infrastructure\n\n`;
+    // Add related terms and known false positives from the taxonomy
+    const { hints, exclusions } = describeTopicsForPrompt(resolveTopics(taxonomy, context.topics));
+    prompt += `Topics include (subtopics and terms in any language):\n${hints}\n\n`;
+    if (exclusions) {
+      prompt += `Known false positives:\n${exclusions}\n\n`;
     }
   }
 
@@ -85,14 +171,7 @@ export function buildBatchPrompt({ batch, batchNumber, totalBatches, client, cou
 
   // Add language requirement
   const language = context?.language || client.preferences?.language || 'en';
-  const languageMap = {
-    'en': 'English',
-    'sv': 'Swedish',
-    'no': 'Norwegian',
-    'da': 'Danish',
-    'fi': 'Finnish'
-  };
-  const languageName = languageMap[language] || 'English';
+  const languageName = LANGUAGE_NAMES[language] || 'English';
   prompt += `=== LANGUAGE ===\n`;
   prompt += `ALL content must be in ${languageName}:\n`;
   prompt += `- Translate article TITLES to ${languageName}\n`;
@@ -124,39 +203,104 @@ export function buildBatchPrompt({ batch, batchNumber, totalBatches, client, cou
   prompt += formatArticlesForPrompt(batch);
 
   prompt += `\n\n=== TASK ===\n`;
-  prompt += `For this batch, return ONLY a JSON object with:\n`;
-  prompt += `{\n`;
-  prompt += `  "filtered_articles": [\n`;
-  prompt += `    {\n`;
-  prompt += `      "title": "Article title",\n`;
-  prompt += `      "source": { "name": "Source name", "url": "article_url" },\n`;
-  prompt += `      "relevance_score": 8,\n`;
-  prompt += `      "category": "news"|"business"|"politics"|"eu_relations",\n`;
-  prompt += `      "priority": "main"|"b_side",\n`;
-  prompt += `      "paragraphs": ["Paragraph 1", "Paragraph 2", "Paragraph 3"],\n`;
-  prompt += `      "continued_from_previous": true|false,\n`;
-  prompt += `      "article_id": "original_article_id_if_available"\n`;
-  prompt += `    }\n`;
-  prompt += `  ],\n`;
-  prompt += `  "skipped_count": 5,\n`;
-  prompt += `  "duplicate_count": 2\n`;
-  prompt += `}\n\n`;
+  prompt += `Use the "${BATCH_TOOL_NAME}" tool to submit the relevant articles from this batch.\n\n`;
+  prompt += `For each relevant article provide:\n`;
+  prompt += `- "title": translated title\n`;
+  prompt += `- "source": object with "name" and "url" properties\n`;
+  prompt += `- "relevance_score": 0-10\n`;
+  prompt += `- "category": one of ${ARTICLE_CATEGORIES.join(', ')}\n`;
+  prompt += `- "priority": "main" for top stories, "b_side" for secondary stories\n`;
+  prompt += `- "paragraphs": array of 1-${MAX_PARAGRAPHS} paragraph strings\n`;
+  prompt += `- "continued_from_previous": true if the story develops previous coverage\n`;
+  prompt += `- "article_id": the article's ID from the list above\n\n`;
+  prompt += `Also report "skipped_count" (irrelevant or already covered) and "duplicate_count".\n\n`;
   prompt += `IMPORTANT: \n`;
-  prompt += `- "source" must be an object with "name" and "url" properties\n`;
-  prompt += `- "paragraphs" must be an array of 1-3 paragraph strings\n`;
   prompt += `- Split summaries into logical paragraphs for better readability\n`;
-  prompt += `Return ONLY valid JSON. No markdown. No prose. Ensure all strings are properly escaped.`;
+  prompt += `- Every field above is required for every article\n`;
 
   return prompt;
 }
 
+/**
+ * Make a batch LLM call under the per-minute token budget
+ * Reserves the worst case (prompt estimate + full output) first, then settles
+ * the reservation with the reported usage. A call that throws releases it, so
+ * failed calls do not hold budget other batches are waiting for.
+ * @param {Object} tokenBudget - createTokenBudget() budget (optional)
+ * @param {string} prompt - Prompt text, for the estimate
+ * @param {AbortSignal} signal - Abort signal while waiting for budget
+ * @param {Function} call - Makes the call, returns the API response
+ * @returns {Promise<Object>} API response
+ */
+async function callWithinBudget(tokenBudget, prompt, signal, call) {
+  const reservation = await tokenBudget?.reserve(Math.ceil(prompt.length / 4) + BATCH_MAX_TOKENS, signal);
+  let apiData;
+  try {
+    apiData = await call();
+  } catch (error) {
+    tokenBudget?.release(reservation);
+    throw error;
+  }
+
+  if (apiData.usage) {
+    tokenBudget?.settle(reservation, (apiData.usage.input_tokens || 0) + (apiData.usage.output_tokens || 0));
+  }
+  return apiData;
+}
+
+/**
+ * Re-run a truncated batch as prefilled JSON text with continuation
+ * Tool calls cannot be continued, so when a tool call is cut off before any
+ * article was emitted the batch is asked again as plain JSON. The output is
+ * continued past max_tokens and, if still truncated, salvaged down to the
+ * complete articles.
+ * @param {Object} options - { batchPrompt, batchNumber, signal, tokenBudget, onUsage }
+ * @returns {Promise<Object>} { output, usage, truncation }
+ */
+async function recoverTruncatedBatch({ batchPrompt, batchNumber, signal, tokenBudget, onUsage }) {
+  const prompt = `${batchPrompt}\n\nThe tool is not available for this request. Return the tool input as a single JSON object instead. No markdown. No prose. Ensure all strings are properly escaped.`;
+  // Reserved for the first response; continuations are settled with the summed usage
+  const apiData = await callWithinBudget(tokenBudget, prompt, signal, () => callLLM({
+    stage: 'batch',
+    prompt,
+    prefill: '{',  // Prefill to enforce JSON
+    max_tokens: BATCH_MAX_TOKENS,
+    temperature: 0.2,
+    continueOnMaxTokens: BATCH_MAX_CONTINUATIONS,
+    signal,
+    label: `batch ${batchNumber} text fallback`,
+    onUsage
+  }));
+
+  let salvage = null;
+  let output;
+  try {
+    output = parseClaudeJSON(getResponseText(apiData, '{'), {
+      stopReason: apiData.stop_reason,
+      onSalvage: (info) => { salvage = info; }
+    });
+  } catch (parseError) {
+    throw new BatchOutputError(`Batch ${batchNumber} text fallback failed: ${parseError.message}`, { reason: 'truncated' });
+  }
+
+  return {
+    output,
+    usage: apiData.usage || null,
+    truncation: {
+      strategy: salvage ? 'continuation_salvage' : 'continuation',
+      continuations: apiData.continuations || 0,
+      salvaged: !!salvage
+    }
+  };
+}
+
 /**
  * Process a single batch through Claude API
  * @param {Object} options - Batch processing options
  * @returns {Promise<Object>} Batch result with filtered articles
  */
-export async function processBatch({ batch, batchNumber, totalBatches, client, country, context, last_digest, promptTemplate }) {
-  console.log(`[BATCH-PROCESSOR] Processing batch ${batchNumber}/${totalBatches} (${batch.length} articles)`);
+export async function processBatch({ batch, batchNumber, totalBatches, client, country, context, last_digest, promptTemplate, taxonomy, signal, tokenBudget, onUsage }) {
+  log.info(`Processing batch ${batchNumber}/${totalBatches} (${batch.length} articles)`);
 
   const batchPrompt = buildBatchPrompt({
     batch,
@@ -166,78 +310,259 @@ export async function processBatch({ batch, batchNumber, totalBatches, client, c
     country,
     context,  // Pass full client context
     last_digest,
-    promptTemplate
+    promptTemplate,
+    taxonomy
   });
 
   try {
-    // Call Claude API with JSON prefilling
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 4000,  // Smaller batch = smaller response needed
-        temperature: 0.2,
-        messages: [
-          { role: 'user', content: batchPrompt },
-          { role: 'assistant', content: '{' }  // Prefill to enforce JSON
-        ]
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Anthropic API failed for batch ${batchNumber}: ${response.status} - ${errorText}`);
+    // Call LLM with schema-enforced tool use
+    const apiData = await callWithinBudget(tokenBudget, batchPrompt, signal, () => callLLM({
+      stage: 'batch',
+      prompt: batchPrompt,
+      max_tokens: BATCH_MAX_TOKENS,
+      temperature: 0.2,
+      tools: [BATCH_TOOL],
+      tool_choice: { type: 'tool', name: BATCH_TOOL_NAME },
+      signal,
+      label: `batch ${batchNumber}`,
+      onUsage
+    }));
+
+    const toolUse = apiData.content?.find(c => c.type === 'tool_use' && c.name === BATCH_TOOL_NAME);
+    let output = toolUse?.input;
+    let usage = apiData.usage || null;
+    let truncation = null;
+
+    if (apiData.stop_reason === 'max_tokens') {
+      if (Array.isArray(output?.filtered_articles) && output.filtered_articles.length > 0) {
+        // Keep what was emitted; validation drops a partially written last article
+        log.warn(`Batch ${batchNumber} truncated at max_tokens, salvaging ${output.filtered_articles.length} emitted articles`);
+        truncation = { strategy: 'salvage', continuations: 0, salvaged: true };
+      } else {
+        log.warn(`Batch ${batchNumber} truncated at max_tokens before any article, retrying as JSON text`);
+        const recovered = await recoverTruncatedBatch({ batchPrompt, batchNumber, signal, tokenBudget, onUsage });
+        output = recovered.output;
+        usage = sumUsage([usage, recovered.usage]);
+        truncation = recovered.truncation;
+      }
+    } else if (!toolUse) {
+      throw new BatchOutputError(`Batch ${batchNumber} returned no ${BATCH_TOOL_NAME} tool call`, { reason: 'invalid_json' });
     }
 
-    const apiData = await response.json();
-    const jsonText = '{' + apiData.content[0].text;  // Prepend the prefill
-
-    console.log(`[BATCH-PROCESSOR] Batch ${batchNumber} response: ${jsonText.length} chars`);
+    // Validate every article locally - the API does not enforce the schema strictly
+    let batchResult;
+    try {
+      batchResult = validateBatchOutput(output, batch);
+    } catch (validationError) {
+      throw new BatchOutputError(`Batch ${batchNumber} returned invalid output: ${validationError.message}`, { reason: 'invalid_json' });
+    }
 
-    // Parse JSON
-    const batchResult = JSON.parse(jsonText);
+    const { repaired, dropped } = batchResult.validation;
+    if (repaired.length > 0 || dropped.length > 0) {
+      log.warn(`Batch ${batchNumber} validation: ${repaired.length} repaired, ${dropped.length} dropped`);
+      dropped.forEach(d => log.warn(`Batch ${batchNumber} dropped #${d.index} "${d.title}"`, { reasons: d.reasons }));
+    }
 
-    console.log(`[BATCH-PROCESSOR] ✅ Batch ${batchNumber} processed: ${batchResult.filtered_articles?.length || 0} articles filtered`);
+    log.info(`Batch ${batchNumber} processed: ${batchResult.articles.length} articles filtered`);
 
     return {
       batchNumber,
-      articles: batchResult.filtered_articles || [],
-      skipped: batchResult.skipped_count || 0,
-      duplicates: batchResult.duplicate_count || 0
+      articles: batchResult.articles,
+      skipped: batchResult.skipped,
+      duplicates: batchResult.duplicates,
+      validation: batchResult.validation,
+      truncations: truncation ? [{ batch_number: String(batchNumber), ...truncation, articles_recovered: batchResult.articles.length }] : [],
+      usage
     };
 
   } catch (error) {
-    console.error(`[BATCH-PROCESSOR] ❌ Batch ${batchNumber} failed:`, error.message);
+    log.error(`Batch ${batchNumber} failed`, { error: error.message });
     throw error;
   }
 }
 
 /**
- * Process all batches sequentially
+ * Add up token usage blocks
+ * @param {Array<Object|null>} usages - Usage blocks
+ * @returns {Object|null} Summed usage, or null if none
+ */
+function sumUsage(usages) {
+  const present = usages.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.reduce((total, usage) => {
+    Object.entries(usage).forEach(([key, value]) => {
+      if (typeof value === 'number') total[key] = (total[key] || 0) + value;
+    });
+    return total;
+  }, {});
+}
+
+/**
+ * Process a batch, tolerating failures
+ * Each batch gets BATCH_MAX_ATTEMPTS tries. A batch that keeps returning
+ * unparseable or truncated JSON is split in half and each half processed the
+ * same way, recursively. Articles that still cannot be processed are reported
+ * in `failures` instead of failing the digest. Cancellation is rethrown.
+ * @param {Object} options - Same options as processBatch
+ * @returns {Promise<Object>} Batch result with `failures`, `split` and `outputErrors` (unusable responses, retries included) added
+ */
+export async function processBatchWithRecovery(options) {
+  const { batch, batchNumber, signal } = options;
+  let lastError;
+  let outputErrors = 0;
+
+  for (let attempt = 1; attempt <= BATCH_MAX_ATTEMPTS; attempt++) {
+    try {
+      const result = await processBatch(options);
+      return { ...result, failures: [], split: false, outputErrors };
+    } catch (error) {
+      signal?.throwIfAborted();
+      lastError = error;
+      if (error instanceof BatchOutputError) outputErrors++;
+      if (attempt < BATCH_MAX_ATTEMPTS) {
+        log.warn(`Retrying batch ${batchNumber} (attempt ${attempt + 1}/${BATCH_MAX_ATTEMPTS})`);
+      }
+    }
+  }
+
+  if (lastError instanceof BatchOutputError && batch.length > 1) {
+    const middle = Math.ceil(batch.length / 2);
+    log.warn(`Splitting batch ${batchNumber} (${batch.length} articles) after ${lastError.reason}`);
+
+    const halves = [];
+    for (const [index, half] of [batch.slice(0, middle), batch.slice(middle)].entries()) {
+      halves.push(await processBatchWithRecovery({
+        ...options,
+        batch: half,
+        batchNumber: `${batchNumber}.${index + 1}`
+      }));
+    }
+
+    return {
+      batchNumber,
+      articles: halves.flatMap(h => h.articles),
+      skipped: halves.reduce((sum, h) => sum + h.skipped, 0),
+      duplicates: halves.reduce((sum, h) => sum + h.duplicates, 0),
+      usage: sumUsage(halves.map(h => h.usage)),
+      validation: {
+        repaired: halves.flatMap(h => h.validation.repaired),
+        dropped: halves.flatMap(h => h.validation.dropped)
+      },
+      truncations: halves.flatMap(h => h.truncations),
+      failures: halves.flatMap(h => h.failures),
+      split: true,
+      outputErrors: outputErrors + halves.reduce((sum, h) => sum + h.outputErrors, 0)
+    };
+  }
+
+  log.error(`Giving up on batch ${batchNumber} (${batch.length} articles)`, { error: lastError.message });
+  return {
+    batchNumber,
+    articles: [],
+    skipped: 0,
+    duplicates: 0,
+    usage: null,
+    validation: { repaired: [], dropped: [] },
+    truncations: [],
+    failures: [{
+      batch_number: String(batchNumber),
+      article_ids: batch.map(getArticleId),
+      error: lastError.message,
+      reason: lastError instanceof BatchOutputError ? lastError.reason : (lastError.type || 'error'),
+      attempts: BATCH_MAX_ATTEMPTS
+    }],
+    split: false,
+    outputErrors
+  };
+}
+
+/**
+ * Process all batches with a bounded worker pool
+ * Up to `concurrency` batches run at once; results are returned in batch
+ * order so merging is identical to sequential processing. Failed batches are
+ * retried and split (see processBatchWithRecovery); only when every batch
+ * fails does the whole run fail.
  * @param {Array<Object>} articles - All articles to process
  * @param {Object} context - Processing context
+ * @param {Object} options - Execution options
+ * @param {number} options.concurrency - Max batches in flight (default BATCH_CONCURRENCY env, 3)
+ * @param {number} options.tokensPerMinute - Token budget across batches (default BATCH_TOKENS_PER_MINUTE env, 0 = unlimited)
+ * @param {AbortSignal} options.signal - Stops scheduling batches and aborts in-flight calls (optional)
+ * @param {Function} options.onProgress - Called with { stage: 'batch', status, ... } when each batch starts and completes (optional)
+ * @param {Function} options.onBatchResult - Called with (batch articles, result) after each batch, awaited (optional)
  * @returns {Promise<Array<Object>>} Array of batch results
  */
-export async function processAllBatches(articles, context) {
+export async function processAllBatches(articles, context, {
+  concurrency = BATCH_CONCURRENCY,
+  tokensPerMinute = BATCH_TOKENS_PER_MINUTE,
+  signal,
+  onProgress = () => {},
+  onBatchResult
+} = {}) {
   const batches = chunkArticles(articles);
+  const tokenBudget = createTokenBudget(tokensPerMinute);
 
-  console.log(`[BATCH-PROCESSOR] Processing ${articles.length} articles in ${batches.length} batches`);
+  // One failed batch aborts its siblings instead of letting them run to completion
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
 
-  const results = [];
-  for (let i = 0; i < batches.length; i++) {
-    const result = await processBatch({
-      batch: batches[i],
-      batchNumber: i + 1,
-      totalBatches: batches.length,
-      ...context
-    });
-    results.push(result);
-  }
+  log.info(`Processing ${articles.length} articles in ${batches.length} batches (concurrency ${concurrency})`);
+
+  let completed = 0;
 
-  return results;
+  try {
+    const results = await runPool(batches, concurrency, async (batch, i) => {
+      onProgress({
+        stage: 'batch',
+        status: 'started',
+        batch_number: i + 1,
+        total_batches: batches.length,
+        completed_batches: completed,
+        article_count: batch.length
+      });
+
+      const stopTimer = stageDuration.startTimer({ stage: 'batch' });
+      const result = await processBatchWithRecovery({
+        batch,
+        batchNumber: i + 1,
+        totalBatches: batches.length,
+        ...context,
+        signal: controller.signal,
+        tokenBudget
+      });
+      stopTimer();
+      await onBatchResult?.(batch, result);
+      completed++;
+
+      // Partial results let progress consumers render stories before the merge
+      onProgress({
+        stage: 'batch',
+        status: 'completed',
+        batch_number: result.batchNumber,
+        total_batches: batches.length,
+        completed_batches: completed,
+        filtered: result.articles.length,
+        skipped: result.skipped,
+        duplicates: result.duplicates,
+        failed_articles: result.failures.reduce((sum, f) => sum + f.article_ids.length, 0),
+        split: result.split,
+        articles: result.articles.map(normalizeArticle)
+      });
+
+      return result;
+    }, { signal: controller.signal });
+
+    if (results.every(r => r.failures.length > 0 && r.articles.length === 0)) {
+      throw new Error(`All ${batches.length} batches failed: ${results[0].failures[0].error}`);
+    }
+
+    return results;
+  } catch (error) {
+    controller.abort(error);
+    signal?.throwIfAborted();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
 }
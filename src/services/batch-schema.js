@@ -0,0 +1,279 @@
+/**
+ * Batch Schema Service
+ * Tool definition for batch analysis and local validation of its output
+ */
+
+export const ARTICLE_CATEGORIES = ['news', 'business', 'politics', 'eu_relations'];
+export const ARTICLE_PRIORITIES = ['main', 'b_side'];
+export const MAX_PARAGRAPHS = 3;
+
+export const BATCH_TOOL_NAME = 'submit_batch_analysis';
+
+/**
+ * Tool definition for batch analysis (Anthropic format)
+ */
+export const BATCH_TOOL = {
+  name: BATCH_TOOL_NAME,
+  description: 'Submit the relevant articles from this batch with summaries, categories and priorities',
+  input_schema: {
+    type: 'object',
+    properties: {
+      filtered_articles: {
+        type: 'array',
+        description: 'Articles relevant to the client, summarized',
+        items: {
+          type: 'object',
+          properties: {
+            title: {
+              type: 'string',
+              minLength: 1,
+              description: 'Article title, translated to the client language'
+            },
+            source: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', minLength: 1, description: 'Source name' },
+                url: { type: 'string', description: 'Article URL' }
+              },
+              required: ['name', 'url']
+            },
+            relevance_score: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              description: 'Relevance score 0-10 for this client'
+            },
+            category: {
+              type: 'string',
+              enum: ARTICLE_CATEGORIES
+            },
+            priority: {
+              type: 'string',
+              enum: ARTICLE_PRIORITIES,
+              description: 'main for top stories, b_side for secondary stories'
+            },
+            paragraphs: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              minItems: 1,
+              maxItems: MAX_PARAGRAPHS,
+              description: `Summary split into 1-${MAX_PARAGRAPHS} paragraphs`
+            },
+            continued_from_previous: {
+              type: 'boolean',
+              description: 'True if this story develops one from the previous digest'
+            },
+            article_id: {
+              type: 'string',
+              description: 'Original article ID if available'
+            }
+          },
+          required: ['title', 'source', 'relevance_score', 'category', 'priority', 'paragraphs']
+        }
+      },
+      skipped_count: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Number of articles skipped as irrelevant or already covered'
+      },
+      duplicate_count: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Number of articles skipped as duplicates within this batch'
+      }
+    },
+    required: ['filtered_articles', 'skipped_count', 'duplicate_count']
+  }
+};
+
+/**
+ * Lowercase and collapse separators ("EU Relations" → "eu_relations")
+ * @param {*} value - Raw value
+ * @returns {string} Normalized token
+ */
+function toToken(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Find the input article an output item refers to
+ * @param {Object} item - Output item
+ * @param {Array<Object>} batch - Input articles
+ * @returns {Object|null} Matching input article
+ */
+function findInputArticle(item, batch) {
+  if (item.article_id) {
+    const byId = batch.find(a => String(a.article_id || a.id) === String(item.article_id));
+    if (byId) return byId;
+  }
+  const url = typeof item.source === 'object' ? item.source?.url : null;
+  if (url) {
+    return batch.find(a => a.url === url) || null;
+  }
+  return null;
+}
+
+/**
+ * Validate one output article against the schema, repairing what can be repaired
+ * @param {Object} item - Article from the tool output
+ * @param {Array<Object>} batch - Input articles (used to fill in missing source data)
+ * @returns {Object} { article, repairs, errors } - article is null when the item must be dropped
+ */
+export function validateFilteredArticle(item, batch = []) {
+  const repairs = [];
+  const errors = [];
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { article: null, repairs, errors: ['item is not an object'] };
+  }
+
+  const input = findInputArticle(item, batch);
+  const article = { ...item };
+
+  // title
+  if (typeof article.title !== 'string' || !article.title.trim()) {
+    errors.push('title is missing');
+  } else {
+    article.title = article.title.trim();
+  }
+
+  // source
+  if (typeof article.source === 'string' && article.source.trim()) {
+    article.source = { name: article.source.trim(), url: input?.url || article.url || '' };
+    repairs.push('source converted from string to object');
+  } else if (!article.source || typeof article.source !== 'object' || Array.isArray(article.source)) {
+    if (input) {
+      article.source = { name: input.source_name || input.source || 'Unknown Source', url: input.url || '' };
+      repairs.push('source filled from input article');
+    } else {
+      errors.push('source is missing');
+    }
+  }
+  if (article.source && typeof article.source === 'object') {
+    article.source = { ...article.source };
+    if (typeof article.source.name !== 'string' || !article.source.name.trim()) {
+      article.source.name = input?.source_name || input?.source || 'Unknown Source';
+      repairs.push('source.name filled in');
+    }
+    if (typeof article.source.url !== 'string') {
+      article.source.url = input?.url || '';
+      repairs.push('source.url filled in');
+    }
+  }
+
+  // relevance_score
+  let score = article.relevance_score;
+  if (typeof score === 'string' && score.trim() !== '' && !Number.isNaN(Number(score))) {
+    score = Number(score);
+    repairs.push('relevance_score converted to number');
+  }
+  if (typeof score !== 'number' || Number.isNaN(score)) {
+    errors.push('relevance_score is not a number');
+  } else if (score < 0 || score > 10) {
+    score = Math.min(10, Math.max(0, score));
+    repairs.push('relevance_score clamped to 0-10');
+  }
+  article.relevance_score = score;
+
+  // category
+  if (!ARTICLE_CATEGORIES.includes(article.category)) {
+    const token = toToken(article.category);
+    if (ARTICLE_CATEGORIES.includes(token)) {
+      repairs.push(`category '${article.category}' normalized to '${token}'`);
+      article.category = token;
+    } else {
+      repairs.push(`unknown category '${article.category}' replaced with 'news'`);
+      article.category = 'news';
+    }
+  }
+
+  // priority
+  if (!ARTICLE_PRIORITIES.includes(article.priority)) {
+    const token = toToken(article.priority).replace('bside', 'b_side');
+    const priority = ARTICLE_PRIORITIES.includes(token) ? token : 'b_side';
+    repairs.push(`priority '${article.priority}' replaced with '${priority}'`);
+    article.priority = priority;
+  }
+
+  // paragraphs
+  let paragraphs = article.paragraphs;
+  if (typeof paragraphs === 'string') {
+    paragraphs = [paragraphs];
+    repairs.push('paragraphs converted from string to array');
+  }
+  if (!Array.isArray(paragraphs)) {
+    errors.push('paragraphs is missing');
+  } else {
+    const cleaned = paragraphs.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim());
+    if (cleaned.length !== paragraphs.length) {
+      repairs.push('empty or non-string paragraphs removed');
+    }
+    if (cleaned.length > MAX_PARAGRAPHS) {
+      cleaned.splice(MAX_PARAGRAPHS - 1, cleaned.length, cleaned.slice(MAX_PARAGRAPHS - 1).join(' '));
+      repairs.push(`paragraphs merged down to ${MAX_PARAGRAPHS}`);
+    }
+    if (cleaned.length === 0) {
+      errors.push('paragraphs is empty');
+    }
+    article.paragraphs = cleaned;
+  }
+
+  // continued_from_previous
+  if (article.continued_from_previous !== undefined && typeof article.continued_from_previous !== 'boolean') {
+    article.continued_from_previous = article.continued_from_previous === 'true' || article.continued_from_previous === 1;
+    repairs.push('continued_from_previous converted to boolean');
+  }
+  if (article.continued_from_previous === undefined) {
+    article.continued_from_previous = false;
+  }
+
+  // article_id
+  if (article.article_id !== undefined && article.article_id !== null && typeof article.article_id !== 'string') {
+    article.article_id = String(article.article_id);
+  }
+  if (!article.article_id && input) {
+    article.article_id = String(input.article_id || input.id || '') || undefined;
+  }
+
+  return { article: errors.length > 0 ? null : article, repairs, errors };
+}
+
+/**
+ * Validate a whole batch tool output
+ * @param {Object} output - Tool input returned by the model
+ * @param {Array<Object>} batch - Input articles
+ * @returns {Object} { articles, skipped, duplicates, validation } - validation lists repaired and dropped items
+ * @throws {Error} When filtered_articles is not an array (nothing to salvage)
+ */
+export function validateBatchOutput(output, batch = []) {
+  if (!output || !Array.isArray(output.filtered_articles)) {
+    throw new Error('filtered_articles is not an array');
+  }
+
+  const articles = [];
+  const repaired = [];
+  const dropped = [];
+
+  output.filtered_articles.forEach((item, index) => {
+    const { article, repairs, errors } = validateFilteredArticle(item, batch);
+    const ref = { index, title: item?.title || null, article_id: item?.article_id || null };
+
+    if (!article) {
+      dropped.push({ ...ref, reasons: errors });
+      return;
+    }
+    if (repairs.length > 0) {
+      repaired.push({ ...ref, repairs });
+    }
+    articles.push(article);
+  });
+
+  const toCount = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+
+  return {
+    articles,
+    skipped: toCount(output.skipped_count),
+    duplicates: toCount(output.duplicate_count),
+    validation: { repaired, dropped }
+  };
+}
@@ -3,12 +3,36 @@
  * Three-stage AI pipeline: Pre-filter → Batch processing → Email generation
  */
 
-import { loadClient } from './prompt-loader.js';
-import { filterValidArticles } from './article-formatter.js';
+import { randomUUID } from 'node:crypto';
+import { loadClient, loadStagePrompts, describeStagePrompt, saveVariantOutcomes } from './prompt-loader.js';
+import { buildVariantOutcomes } from './prompt-experiments.js';
+import { createUsageTracker, persistDigestUsage } from './usage-tracker.js';
+import { checkClientQuota, QuotaExceededError } from './quota.js';
+import { filterValidArticles, dedupeArticlesByUrl } from './article-formatter.js';
+import { loadTaxonomy } from './taxonomy.js';
+import { lexicalPreFilter } from './lexical-scorer.js';
 import { preFilterArticles } from './pre-filter.js';
 import { processAllBatches } from './batch-processor.js';
+import { articleCacheScope, lookupArticleAnalyses, storeArticleAnalyses, cachedBatchResult } from './article-cache.js';
 import { mergeBatchResults } from './result-merger.js';
 import { generateDigestEmail } from './email-generator.js';
+import { renderDigestEmail, renderDigestText, getClientBranding } from './email-renderer.js';
+import { buildMimeMessage } from './mime-message.js';
+import { sanitizeHtml, sanitizeEmailHtml } from './html-sanitizer.js';
+import { assertDigestResponse } from './digest-schema.js';
+import {
+  clientLabel,
+  recordTokenUsage,
+  digestsTotal,
+  digestsInFlight,
+  stageDuration,
+  batchFailures,
+  jsonFailures,
+  emailFallbacks
+} from './metrics.js';
+import { createLogger, runWithLogContext } from './logger.js';
+
+const log = createLogger('digest-generator');
 
 /**
  * Main digest generation function with batching
@@ -18,10 +42,31 @@ import { generateDigestEmail } from './email-generator.js';
  * @param {string} options.country - Country name
  * @param {Object} options.context - Full client context (topics, keywords, countries, etc)
  * @param {Object} options.last_digest - Previous digest for context (optional)
+ * @param {Object} options.mime - { from, to, reply_to } to also return the email as a MIME message in email.mime (optional)
+ * @param {AbortSignal} options.signal - Aborts the pipeline between stages and in-flight API calls (optional)
+ * @param {Function} options.onProgress - Called with { stage, status, ... } as each stage starts and completes (optional)
+ * @param {string} options.request_id - Request ID for per-request prompt variant assignment (optional, generated when missing)
+ * @returns {Promise<Object>} Generated digest with report and email
+ */
+export async function generateDigest(options) {
+  const request_id = options.request_id || randomUUID();
+  return runWithLogContext({ request_id, client_id: options.client_id }, () => runDigest({ ...options, request_id }));
+}
+
+/**
+ * Pipeline body of generateDigest, run inside the request's log context
+ * @param {Object} options - generateDigest options with request_id set
  * @returns {Promise<Object>} Generated digest with report and email
  */
-export async function generateDigest({ client_id, articles, country, context, last_digest }) {
+async function runDigest({ client_id, articles, country, context, last_digest, mime, signal, onProgress = () => {}, request_id }) {
   const startTime = Date.now();
+  // Every LLM call reports its token usage here (priced per stage)
+  const usageTracker = createUsageTracker();
+  const onUsage = (call) => {
+    usageTracker.record(call);
+    recordTokenUsage(client_id, call);
+  };
+  digestsInFlight.inc();
 
   try {
     // Validate input
@@ -29,85 +74,221 @@ export async function generateDigest({ client_id, articles, country, context, la
       throw new Error('Articles array is required and cannot be empty');
     }
 
-    console.log(`[DIGEST-GENERATOR] Starting digest generation for client: ${client_id}`);
-    console.log(`[DIGEST-GENERATOR] Processing ${articles.length} articles`);
+    log.info(`Starting digest generation for client: ${client_id}`);
+    log.info(`Processing ${articles.length} articles`);
 
     if (last_digest) {
-      console.log(`[DIGEST-GENERATOR] With context from last digest: ${last_digest.created_at}`);
+      log.info(`With context from last digest: ${last_digest.created_at}`);
     }
 
     // Filter valid articles
-    const validArticles = filterValidArticles(articles);
-    if (validArticles.length === 0) {
+    const checkedArticles = filterValidArticles(articles);
+    if (checkedArticles.length === 0) {
       throw new Error('No valid articles provided');
     }
 
-    if (validArticles.length < articles.length) {
-      console.warn(`[DIGEST-GENERATOR] Using ${validArticles.length}/${articles.length} valid articles`);
+    if (checkedArticles.length < articles.length) {
+      log.warn(`Using ${checkedArticles.length}/${articles.length} valid articles`);
     }
 
+    // Same story submitted twice (tracking params, www., http vs https) - keep one
+    const validArticles = dedupeArticlesByUrl(checkedArticles);
+    const inputDuplicates = checkedArticles.length - validArticles.length;
+
     // Load client details from Supabase
     const client = await loadClient(client_id);
+    // Budget guardrails before any LLM call: hard limits throw, soft limits degrade the digest
+    const quota = await checkClientQuota(client, { articleCount: validArticles.length });
+    const targetCount = quota.targetCount || 100;
+    const taxonomy = await loadTaxonomy();
+    // Stored templates per stage (client override, then global); null = built-in prompt
+    const stagePrompts = await loadStagePrompts(client_id, { requestId: request_id });
+    signal?.throwIfAborted();
 
     // STAGE 1: Pre-filter articles by topic relevance (if topics specified)
     let articlesToProcess = validArticles;
+    let preFilterRan = false;
     const clientTopics = context?.topics || client.preferences?.topics || [];
     const clientCategories = context?.categories || client.preferences?.categories || [];
+    const clientKeywords = context?.keywords || client.preferences?.keywords || [];
+    // Request language over the client's preference: text analysis of articles without
+    // their own language, story dedup, and the template and AI email alike
+    const language = context?.language || client.preferences?.language;
+
+    // Local lexical scoring first: drop obvious noise and rank candidates (no API call)
+    let candidates = validArticles;
+    let lexical = null;
+    if (clientTopics.length > 0 || clientKeywords.length > 0) {
+      lexical = lexicalPreFilter(validArticles, { topics: clientTopics, keywords: clientKeywords, taxonomy, language });
+      candidates = lexical.articles;
+      log.info(`Lexical scoring: ${validArticles.length} → ${candidates.length} articles (${lexical.matched} matched)`);
+      onProgress({ stage: 'lexical_score', status: 'completed', input_count: validArticles.length, output_count: candidates.length, matched: lexical.matched, discarded: lexical.discarded });
+    }
+
+    // Soft articles_per_request limit: keep the best-ranked articles only
+    if (quota.articleLimit && candidates.length > quota.articleLimit) {
+      log.warn(`Capping ${candidates.length} candidates to the client's ${quota.articleLimit} articles per request`);
+      candidates = candidates.slice(0, quota.articleLimit);
+    }
 
-    if (clientTopics.length > 0 && validArticles.length > 100) {
-      console.log(`[DIGEST-GENERATOR] Starting two-stage filtering for topics: ${clientTopics.join(', ')}`);
-      console.log(`[DIGEST-GENERATOR] Source categories: ${clientCategories.join(', ')}`);
+    if (clientTopics.length > 0 && candidates.length > targetCount) {
+      log.info(`Starting two-stage filtering for topics: ${clientTopics.join(', ')}`);
+      log.info(`Source categories: ${clientCategories.join(', ')}`);
+      onProgress({ stage: 'pre_filter', status: 'started', input_count: candidates.length });
+      preFilterRan = true;
+      const stopPreFilterTimer = stageDuration.startTimer({ stage: 'pre_filter' });
 
       try {
         const preFiltered = await preFilterArticles({
-          articles: validArticles,
+          articles: candidates,
           topics: clientTopics,
           categories: clientCategories,  // Pass categories for context
           clientName: client.name,
-          targetCount: 100  // Filter down to 100 most relevant
+          targetCount,  // Filter down to the 100 most relevant (fewer when over a soft quota)
+          taxonomy,
+          promptTemplate: stagePrompts.pre_filter,
+          signal,
+          onUsage
         });
 
         articlesToProcess = preFiltered;
-        console.log(`[DIGEST-GENERATOR] Pre-filter: ${validArticles.length} → ${articlesToProcess.length} articles`);
+        log.info(`Pre-filter: ${candidates.length} → ${articlesToProcess.length} articles`);
+        onProgress({ stage: 'pre_filter', status: 'completed', input_count: candidates.length, output_count: articlesToProcess.length, fallback: false });
       } catch (error) {
-        console.error(`[DIGEST-GENERATOR] Pre-filter failed, using all articles:`, error.message);
-        // Fall back to using all articles if pre-filter fails
-        articlesToProcess = validArticles.slice(0, 100);
+        // Cancellation must not fall through to the slice fallback
+        signal?.throwIfAborted();
+        log.error(`Pre-filter failed, using top lexical candidates`, { error: error.message });
+        // Fall back to the lexical ranking if pre-filter fails
+        articlesToProcess = candidates.slice(0, targetCount);
+        onProgress({ stage: 'pre_filter', status: 'completed', input_count: candidates.length, output_count: articlesToProcess.length, fallback: true, error: error.message });
+      } finally {
+        stopPreFilterTimer();
       }
     } else {
-      console.log(`[DIGEST-GENERATOR] Skipping pre-filter (no topics or <100 articles)`);
-      articlesToProcess = validArticles.slice(0, 100);
+      log.info(`Skipping pre-filter (no topics or <${targetCount} articles)`);
+      articlesToProcess = candidates.slice(0, targetCount);
+      onProgress({ stage: 'pre_filter', status: 'skipped', input_count: candidates.length, output_count: articlesToProcess.length });
     }
 
-    // STAGE 2: Process articles in batches with full context
-    const batchResults = await processAllBatches(articlesToProcess, {
+    // STAGE 2: Process articles in batches with full context - only articles not analyzed before
+    const cacheScope = articleCacheScope({ client, context, country, last_digest, taxonomy, prompt: describeStagePrompt('batch', stagePrompts.batch) });
+    const cache = await lookupArticleAnalyses(articlesToProcess, cacheScope);
+
+    const batchResults = cache.misses.length > 0 ? await processAllBatches(cache.misses, {
       client,
       country,
       context,  // Pass full client context for AI prompts
-      last_digest
-    });
+      last_digest,
+      taxonomy,
+      promptTemplate: stagePrompts.batch,
+      onUsage
+    }, {
+      signal,
+      onProgress,
+      onBatchResult: async (batch, batchResult) => {
+        cache.stats.stored += await storeArticleAnalyses(batch, batchResult, cacheScope);
+      }
+    }) : [];
+    if (cache.hits.length > 0) {
+      batchResults.unshift(cachedBatchResult(cache.hits));
+    }
 
-    console.log(`[DIGEST-GENERATOR] All batches processed successfully`);
+    const failedBatchCount = batchResults.filter(r => r.failures.length > 0).length;
+    batchFailures.inc({ client_id: clientLabel(client_id) }, failedBatchCount);
+    if (failedBatchCount > 0) {
+      log.warn(`${failedBatchCount}/${batchResults.length} batches had unprocessable articles, continuing with partial digest`);
+    } else {
+      log.info(`All batches processed successfully`);
+    }
 
     // Merge batch results into final digest (without email - will generate separately)
-    const digest = mergeBatchResults(batchResults, client, last_digest);
+    const stopMergeTimer = stageDuration.startTimer({ stage: 'merge' });
+    const digest = mergeBatchResults(batchResults, client, last_digest, { inputDuplicates, language });
+    stopMergeTimer();
+    jsonFailures.inc({ client_id: clientLabel(client_id) }, digest.report.metadata.json_failures || 0);
+    onProgress({ stage: 'merge', status: 'completed', metadata: digest.report.metadata });
 
     // STAGE 3: Generate personalized email using AI
-    let emailData;
-    try {
-      console.log(`[DIGEST-GENERATOR] Starting AI email generation`);
-      emailData = await generateDigestEmail({
-        digest,
-        client,
-        context
-      });
-      console.log(`[DIGEST-GENERATOR] Email generated: "${emailData.subject}"`);
-    } catch (error) {
-      console.error(`[DIGEST-GENERATOR] Email generation failed, using fallback:`, error.message);
-      // Fallback to simple template if AI fails
-      emailData = digest.email;  // Use result-merger's template as fallback
+    signal?.throwIfAborted();
+    onProgress({ stage: 'email', status: 'started' });
+    let emailData = digest.email;  // result-merger's template unless the AI email succeeds
+    let introRemoved = {};
+    if (quota.degraded) {
+      log.info(`Over soft quota, using template email`);
+    } else {
+      const stopEmailTimer = stageDuration.startTimer({ stage: 'email' });
+      try {
+        log.info(`Starting AI email generation`);
+        const aiEmail = await generateDigestEmail({
+          digest,
+          client,
+          context,
+          language,
+          promptTemplate: stagePrompts.email,
+          signal,
+          onUsage
+        });
+        // The AI writes the intro (untrusted, sanitized before use); the stories are rendered from the report
+        const intro = sanitizeHtml(aiEmail.body_html);
+        introRemoved = intro.removed;
+        emailData = {
+          ...aiEmail,
+          body_html: renderDigestEmail(digest.report, {
+            client,
+            subject: aiEmail.subject,
+            introHtml: intro.html,
+            preheader: aiEmail.key_highlights[0] || '',
+            language
+          }),
+          body_text: renderDigestText(digest.report, { client, introHtml: intro.html, language }),
+          intro_html: intro.html
+        };
+        log.info(`Email generated: "${emailData.subject}"`);
+      } catch (error) {
+        signal?.throwIfAborted();
+        log.error(`Email generation failed, using fallback`, { error: error.message });
+      } finally {
+        stopEmailTimer();
+      }
+    }
+    const generatedBy = emailData === digest.email ? 'template' : 'ai';
+    if (generatedBy === 'template') {
+      emailFallbacks.inc({ client_id: clientLabel(client_id), reason: quota.degraded ? 'quota' : 'error' });
+    }
+
+    // Final allowlist pass over every HTML field before the response leaves the service
+    const sanitized = sanitizeEmailHtml(emailData);
+    emailData = sanitized.email;
+    const htmlRemoved = { ...sanitized.removed };
+    if (Object.keys(introRemoved).length > 0) {
+      htmlRemoved.intro_html = { ...introRemoved, ...htmlRemoved.intro_html };
+    }
+    if (Object.keys(htmlRemoved).length > 0) {
+      log.warn(`Sanitized email HTML`, { removed: htmlRemoved });
     }
 
+    if (mime) {
+      emailData = {
+        ...emailData,
+        mime: buildMimeMessage({
+          from: mime.from,
+          to: mime.to,
+          replyTo: mime.reply_to,
+          fromName: getClientBranding(client).brand_name,
+          subject: emailData.subject,
+          text: emailData.body_text,
+          html: emailData.body_html,
+          messageId: request_id
+        })
+      };
+    }
+    onProgress({
+      stage: 'email',
+      status: 'completed',
+      subject: emailData.subject,
+      generated_by: generatedBy
+    });
+
     // Build final response (flat structure for backend compatibility)
     const result = {
       success: true,
@@ -116,24 +297,66 @@ export async function generateDigest({ client_id, articles, country, context, la
       _metadata: {
         ...digest.report.metadata,
         client_id,
+        request_id,
         client_name: client.name,
         country,
         generated_at: new Date().toISOString(),
         has_previous_context: !!last_digest,
-        email_generated_by: emailData === digest.email ? 'template' : 'ai'
+        usage: usageTracker.summary(),
+        lexical_matched: lexical?.matched ?? null,
+        lexical_discarded: lexical?.discarded ?? 0,
+        article_cache: cache.stats,
+        prompts: {
+          pre_filter: preFilterRan ? describeStagePrompt('pre_filter', stagePrompts.pre_filter) : null,
+          batch: describeStagePrompt('batch', stagePrompts.batch),
+          email: quota.degraded ? null : describeStagePrompt('email', stagePrompts.email)
+        },
+        quota: {
+          mode: quota.mode,
+          degraded: quota.degraded,
+          exceeded: quota.exceeded,
+          limits: quota.limits,
+          usage: quota.usage
+        },
+        email_generated_by: generatedBy,
+        html_sanitization: {
+          changed: Object.keys(htmlRemoved).length > 0,
+          removed: htmlRemoved
+        }
       }
     };
 
+    // Never hand back a digest the frontend cannot render
+    assertDigestResponse(result);
+
     const duration = Date.now() - startTime;
-    console.log(`[DIGEST-GENERATOR] ✅ Complete digest generated in ${duration}ms`);
-    console.log(`[DIGEST-GENERATOR] Response metadata:`, JSON.stringify(result._metadata, null, 2));
+
+    // Outcome per prompt experiment this digest took part in; never fails the digest
+    const outcomes = buildVariantOutcomes(result, { latencyMs: duration, usage: result._metadata.usage });
+    if (outcomes.length > 0) {
+      try {
+        await saveVariantOutcomes(outcomes);
+      } catch (error) {
+        log.warn(`Could not record prompt variant outcomes`, { error: error.message });
+      }
+    }
+
+    await persistDigestUsage({ client_id, request_id, status: 'completed', usage: result._metadata.usage });
+    digestsTotal.inc({ client_id: clientLabel(client_id), status: 'completed' });
+
+    log.info(`Complete digest generated in ${duration}ms`);
+    log.debug('Response metadata', { metadata: result._metadata });
 
     return result;
 
   } catch (error) {
     const duration = Date.now() - startTime;
-    console.error(`[DIGEST-GENERATOR] ❌ Error after ${duration}ms:`, error.message);
+    log.error(`Error after ${duration}ms`, { error: error.message });
+    await persistDigestUsage({ client_id, request_id, status: 'failed', usage: usageTracker.summary() });
+    digestsTotal.inc({ client_id: clientLabel(client_id), status: error instanceof QuotaExceededError ? 'quota_exceeded' : 'failed' });
     throw error;
+  } finally {
+    digestsInFlight.dec();
   }
 }
 
@@ -148,15 +371,20 @@ export async function generateDigestWithRetry(options, maxRetries = 1) {
 
   for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
     try {
-      console.log(`[DIGEST-GENERATOR] Attempt ${attempt}/${maxRetries + 1}`);
+      log.info(`Attempt ${attempt}/${maxRetries + 1}`);
       return await generateDigest(options);
     } catch (error) {
       lastError = error;
-      console.warn(`[DIGEST-GENERATOR] Attempt ${attempt} failed:`, error.message);
+      log.warn(`Attempt ${attempt} failed`, { error: error.message });
+
+      // Retrying cannot help a request that is over quota
+      if (error instanceof QuotaExceededError) {
+        break;
+      }
 
       if (attempt <= maxRetries) {
         const delay = Math.min(2000 * Math.pow(2, attempt - 1), 10000);
-        console.log(`[DIGEST-GENERATOR] Retrying in ${delay}ms...`);
+        log.info(`Retrying in ${delay}ms...`);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -0,0 +1,274 @@
+/**
+ * Digest Schema Service
+ * Declared request and response contracts for digest generation, and a small
+ * validator for the JSON Schema subset they use
+ */
+
+import { ARTICLE_CATEGORIES, ARTICLE_PRIORITIES } from './batch-schema.js';
+
+/**
+ * Thrown when a value does not match its declared schema
+ * `errors` lists every offending field as { path, message }.
+ */
+export class SchemaValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const INPUT_ARTICLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'number'] },
+    article_id: { type: ['string', 'number'] },
+    title: { type: 'string' },
+    url: { type: 'string' },
+    source: { type: ['string', 'object', 'null'] },
+    source_name: { type: 'string' },
+    summary: { type: ['string', 'null'] },
+    description: { type: ['string', 'null'] },
+    content: { type: ['string', 'null'] },
+    text: { type: ['string', 'null'] },
+    published: { type: ['string', 'null'] },
+    published_at: { type: ['string', 'null'] },
+    language: { type: ['string', 'null'] }
+  }
+};
+
+/**
+ * Body of POST /generate-digest, /generate-digest/stream and /jobs
+ */
+export const DIGEST_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['client_id', 'articles'],
+  properties: {
+    client_id: { type: 'string', minLength: 1 },
+    articles: { type: 'array', minItems: 1, items: INPUT_ARTICLE_SCHEMA },
+    country: { type: ['string', 'null'] },
+    context: {
+      type: ['object', 'null'],
+      properties: {
+        topics: STRING_LIST,
+        keywords: STRING_LIST,
+        categories: STRING_LIST,
+        countries: STRING_LIST,
+        country_primary: { type: ['string', 'null'] },
+        language: { type: ['string', 'null'] }
+      }
+    },
+    last_digest: {
+      type: ['object', 'null'],
+      properties: {
+        created_at: { type: 'string' },
+        article_count: { type: 'integer', minimum: 0 },
+        sections: { type: 'object' }
+      }
+    },
+    mime: {
+      type: ['object', 'null'],
+      properties: {
+        from: { type: 'string', minLength: 1 },
+        to: { type: ['string', 'array'], items: { type: 'string' } },
+        reply_to: { type: 'string' }
+      }
+    }
+  }
+};
+
+const STORY_SCHEMA = {
+  type: 'object',
+  required: ['title', 'source', 'relevance_score', 'category', 'priority', 'paragraphs'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    source: {
+      type: 'object',
+      required: ['name', 'url'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        url: { type: 'string' }
+      }
+    },
+    relevance_score: { type: 'number', minimum: 0, maximum: 10 },
+    category: { type: 'string', enum: ARTICLE_CATEGORIES },
+    priority: { type: 'string', enum: ARTICLE_PRIORITIES },
+    paragraphs: { type: 'array', items: { type: 'string' } },
+    continued_from_previous: { type: 'boolean' },
+    additional_sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'url'],
+        properties: {
+          name: { type: 'string' },
+          url: { type: 'string' },
+          title: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const CATEGORY_SECTIONS_SCHEMA = {
+  type: 'object',
+  required: ARTICLE_CATEGORIES,
+  properties: Object.fromEntries(ARTICLE_CATEGORIES.map(c => [c, { type: 'array', items: STORY_SCHEMA }]))
+};
+
+/**
+ * Successful digest response (the report and email the frontend renders)
+ */
+export const DIGEST_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['success', 'report', 'email', '_metadata'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    report: {
+      type: 'object',
+      required: ['metadata', 'main_stories', 'sections', 'b_side'],
+      properties: {
+        metadata: {
+          type: 'object',
+          required: ['generated_at', 'articles_reviewed', 'articles_included', 'main_stories', 'b_side_stories', 'incomplete'],
+          properties: {
+            generated_at: { type: 'string', minLength: 1 },
+            articles_reviewed: { type: 'integer', minimum: 0 },
+            articles_included: { type: 'integer', minimum: 0 },
+            main_stories: { type: 'integer', minimum: 0 },
+            b_side_stories: { type: 'integer', minimum: 0 },
+            incomplete: { type: 'boolean' }
+          }
+        },
+        main_stories: { type: 'array', items: STORY_SCHEMA },
+        sections: CATEGORY_SECTIONS_SCHEMA,
+        b_side: CATEGORY_SECTIONS_SCHEMA
+      }
+    },
+    email: {
+      type: 'object',
+      required: ['subject', 'body_html', 'body_text', 'key_highlights'],
+      properties: {
+        subject: { type: 'string', minLength: 1 },
+        body_html: { type: 'string', minLength: 1 },
+        body_text: { type: 'string', minLength: 1 },
+        intro_html: { type: 'string' },
+        mime: { type: 'string' },
+        key_highlights: STRING_LIST
+      }
+    },
+    _metadata: { type: 'object' }
+  }
+};
+
+/**
+ * JSON type name of a value ('integer' is reported as 'number')
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against one declared type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} True when the value matches
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema
+ * Supports type (single or list), required, properties, items, enum,
+ * minLength, minItems, minimum and maximum. Unknown properties are allowed.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<Object>} Errors as { path, message }; empty when valid
+ */
+export function validateSchema(value, schema, path = '') {
+  const at = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [{ path: at, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` }];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  } else if (value && typeof value === 'object') {
+    const childPath = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, childPath(key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a digest request body
+ * @param {Object} body - Request body
+ * @returns {Array<Object>} Errors as { path, message }; empty when valid
+ */
+export function validateDigestRequest(body) {
+  return validateSchema(body, DIGEST_REQUEST_SCHEMA);
+}
+
+/**
+ * Ensure a digest response matches the output contract before it is returned
+ * @param {Object} result - Digest response
+ * @throws {SchemaValidationError} When the response violates the contract
+ */
+export function assertDigestResponse(result) {
+  const errors = validateSchema(result, DIGEST_RESPONSE_SCHEMA);
+  if (errors.length > 0) {
+    throw new SchemaValidationError(
+      `Digest response violates output contract: ${errors.slice(0, 5).map(e => `${e.path} ${e.message}`).join('; ')}`,
+      errors
+    );
+  }
+}
@@ -3,23 +3,39 @@
  * Generates personalized email subject and body for digest delivery
  */
 
+import { callLLM, getToolInput } from './anthropic-client.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('email-gen', { stage: 'email' });
+
+const LANGUAGE_NAMES = {
+  'en': 'English',
+  'sv': 'Swedish',
+  'no': 'Norwegian',
+  'da': 'Danish',
+  'fi': 'Finnish'
+};
+
+/**
+ * Email language: the request's, then the client's preference, then English
+ * @param {Object} client - Client information
+ * @param {Object} context - Client context
+ * @returns {string} Language code
+ */
+function resolveLanguage(client, context) {
+  return context?.language || client.preferences?.language || 'en';
+}
+
 /**
  * Build email generation prompt
  * @param {Object} digest - Generated digest content
  * @param {Object} client - Client information
  * @param {Object} context - Client context (topics, language, etc)
+ * @param {string} language - Email language (request language, then the client's preference)
  * @returns {string} Email generation prompt
  */
-function buildEmailPrompt(digest, client, context) {
-  const language = context?.language || 'en';
-  const languageMap = {
-    'en': 'English',
-    'sv': 'Swedish',
-    'no': 'Norwegian',
-    'da': 'Danish',
-    'fi': 'Finnish'
-  };
-  const languageName = languageMap[language] || 'English';
+function buildEmailPrompt(digest, client, context, language = resolveLanguage(client, context)) {
+  const languageName = LANGUAGE_NAMES[language] || 'English';
   const topics = context?.topics || [];
   const topicList = topics.join(', ');
 
@@ -96,95 +112,104 @@ IMPORTANT:
 - Encourage reply/feedback`;
 }
 
+/**
+ * Variables available to a stored email template
+ * @param {Object} digest - Generated digest content
+ * @param {Object} client - Client information
+ * @param {Object} context - Client context (topics, language, etc)
+ * @param {string} language - Email language (request language, then the client's preference)
+ * @returns {Object} Template variables
+ */
+export function buildEmailPromptVariables(digest, client, context, language = resolveLanguage(client, context)) {
+  const topics = context?.topics || [];
+  const mainStories = digest.report.main_stories || [];
+
+  return {
+    client_name: client.name,
+    organization: client.organization || null,
+    topics,
+    topic_list: topics.join(', '),
+    language,
+    language_name: LANGUAGE_NAMES[language] || 'English',
+    main_story_count: mainStories.length,
+    main_stories: mainStories.slice(0, 5).map(s => ({ title: s.title, source: s.source?.name || '', category: s.category })),
+    story_titles: mainStories.slice(0, 5).map((s, i) => `${i + 1}. ${s.title}`).join('\n'),
+    tool_name: 'generate_digest_email'
+  };
+}
+
 /**
  * Generate personalized email using Claude Tool Use API
  * @param {Object} options - Email generation options
  * @returns {Promise<Object>} Generated email with subject and body
  */
-export async function generateDigestEmail({ digest, client, context }) {
-  console.log(`[EMAIL-GEN] Generating personalized email for ${client.name}`);
-  console.log(`[EMAIL-GEN] Topics: ${context?.topics?.join(', ') || 'none'}, Language: ${context?.language || 'en'}`);
+export async function generateDigestEmail({ digest, client, context, language = resolveLanguage(client, context), promptTemplate = null, signal, onUsage }) {
+  log.info(`Generating personalized email for ${client.name}`);
+  log.info(`Topics: ${context?.topics?.join(', ') || 'none'}, Language: ${language}`);
 
   const startTime = Date.now();
 
   try {
-    // Build prompt
-    const prompt = buildEmailPrompt(digest, client, context);
-
-    // Call Claude API with Tool Use
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 1500,
-        temperature: 0.3,  // Slightly higher for creative email writing
-        tools: [{
-          name: 'generate_digest_email',
-          description: 'Generate a personalized email to accompany a digest report',
-          input_schema: {
-            type: 'object',
-            properties: {
-              subject: {
-                type: 'string',
-                description: 'Compelling email subject line (max 60 characters)',
-                maxLength: 60
-              },
-              body_html: {
-                type: 'string',
-                description: 'Email body in HTML format with 2-3 paragraphs'
-              },
-              key_highlights: {
-                type: 'array',
-                description: 'Array of 3-4 key highlights from the digest',
-                items: {
-                  type: 'string'
-                },
-                minItems: 3,
-                maxItems: 4
-              }
+    // Build prompt (stored template when one is configured)
+    const prompt = promptTemplate?.render
+      ? promptTemplate.render(buildEmailPromptVariables(digest, client, context, language))
+      : buildEmailPrompt(digest, client, context, language);
+
+    // Call LLM with Tool Use
+    const data = await callLLM({
+      stage: 'email',
+      prompt,
+      max_tokens: 1500,
+      temperature: 0.3,  // Slightly higher for creative email writing
+      tools: [{
+        name: 'generate_digest_email',
+        description: 'Generate a personalized email to accompany a digest report',
+        input_schema: {
+          type: 'object',
+          properties: {
+            subject: {
+              type: 'string',
+              description: 'Compelling email subject line (max 60 characters)',
+              maxLength: 60
+            },
+            body_html: {
+              type: 'string',
+              description: 'Email body in HTML format with 2-3 paragraphs'
             },
-            required: ['subject', 'body_html', 'key_highlights']
-          }
-        }],
-        tool_choice: {
-          type: 'tool',
-          name: 'generate_digest_email'
-        },
-        messages: [
-          { role: 'user', content: prompt }
-        ]
-      })
+            key_highlights: {
+              type: 'array',
+              description: 'Array of 3-4 key highlights from the digest',
+              items: {
+                type: 'string'
+              },
+              minItems: 3,
+              maxItems: 4
+            }
+          },
+          required: ['subject', 'body_html', 'key_highlights']
+        }
+      }],
+      tool_choice: {
+        type: 'tool',
+        name: 'generate_digest_email'
+      },
+      signal,
+      label: 'email generation',
+      onUsage
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Claude API failed (email generation): ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-
     // Extract tool use result
-    const toolUseContent = data.content.find(c => c.type === 'tool_use');
-    if (!toolUseContent) {
-      throw new Error('No tool use in Claude response');
-    }
-
-    const emailData = toolUseContent.input;
+    const emailData = getToolInput(data, 'generate_digest_email');
 
     const duration = Date.now() - startTime;
-    console.log(`[EMAIL-GEN] ✅ Email generated in ${duration}ms`);
-    console.log(`[EMAIL-GEN] Subject: "${emailData.subject}" (${emailData.subject.length} chars)`);
-    console.log(`[EMAIL-GEN] Highlights: ${emailData.key_highlights.length}`);
+    log.info(`Email generated in ${duration}ms`);
+    log.info(`Subject: "${emailData.subject}" (${emailData.subject.length} chars)`);
+    log.info(`Highlights: ${emailData.key_highlights.length}`);
 
     return emailData;
 
   } catch (error) {
-    console.error(`[EMAIL-GEN] ❌ Error:`, error.message);
+    log.error('Email generation failed', { error: error.message });
     throw error;
   }
 }
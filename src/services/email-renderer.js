@@ -0,0 +1,393 @@
+/**
+ * Email Renderer Service
+ * Renders a merged digest report as a complete HTML email: table layout and
+ * inline CSS only (what Outlook, Gmail and Apple Mail all understand), one
+ * 600px column that shrinks on small screens
+ *
+ * Layout: header (logo or brand name, date) → intro (AI email body or
+ * template greeting) → main stories by category section → B-side (collapsed
+ * where <details> is supported, a compact title list elsewhere) → footer.
+ *
+ * Branding comes from the `branding` jsonb column of digest_clients:
+ *   { brand_name, logo_url, primary_color, accent_color, footer_text }
+ * Colors must be hex (#rgb or #rrggbb) and URLs http(s); anything else falls
+ * back to the defaults.
+ *
+ * renderDigestText renders the same report as the plain-text alternative:
+ * lines wrapped at 72 columns, underlined section headings and numbered link
+ * references listed at the end.
+ */
+
+import { ARTICLE_CATEGORIES } from './batch-schema.js';
+
+const DEFAULT_BRANDING = {
+  brand_name: 'Mundus Digest',
+  logo_url: null,
+  primary_color: '#1f3a5f',
+  accent_color: '#d97706',
+  footer_text: 'You receive this digest as part of your Mundus subscription. Reply to this email with feedback or questions.'
+};
+
+const FONT_STACK = "-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif";
+const TEXT_COLOR = '#1f2933';
+const MUTED_COLOR = '#6b7280';
+const BORDER_COLOR = '#e5e7eb';
+const TEXT_WIDTH = 72;
+
+// Section labels, and the template email's greeting, sign-off and subject fallback
+const LABELS = {
+  en: { news: 'News', business: 'Business', politics: 'Politics', eu_relations: 'EU Relations', b_side: 'B-side', b_side_hint: 'Smaller stories worth a glance', continued: 'Continued', read_more: 'Read at', also_reported: 'Also reported by', incomplete: 'Some articles could not be analyzed and are missing from this digest.', stories: 'stories', greeting: 'Dear', key_developments: "Here are today's key developments:", sign_off: 'Best regards,', team: 'Mundus Digest Team', daily_update: 'Daily Update' },
+  sv: { news: 'Nyheter', business: 'Näringsliv', politics: 'Politik', eu_relations: 'EU-relationer', b_side: 'B-sidan', b_side_hint: 'Mindre nyheter värda en blick', continued: 'Fortsättning', read_more: 'Läs på', also_reported: 'Rapporteras även av', incomplete: 'Vissa artiklar kunde inte analyseras och saknas i detta digest.', stories: 'nyheter', greeting: 'Hej', key_developments: 'Här är dagens viktigaste händelser:', sign_off: 'Med vänliga hälsningar,', team: 'Mundus Digest-teamet', daily_update: 'Dagens uppdatering' },
+  no: { news: 'Nyheter', business: 'Næringsliv', politics: 'Politikk', eu_relations: 'EU-relasjoner', b_side: 'B-siden', b_side_hint: 'Mindre saker verdt et blikk', continued: 'Fortsettelse', read_more: 'Les på', also_reported: 'Også omtalt av', incomplete: 'Noen artikler kunne ikke analyseres og mangler i dette digestet.', stories: 'saker', greeting: 'Hei', key_developments: 'Her er dagens viktigste hendelser:', sign_off: 'Med vennlig hilsen,', team: 'Mundus Digest-teamet', daily_update: 'Dagens oppdatering' },
+  da: { news: 'Nyheder', business: 'Erhverv', politics: 'Politik', eu_relations: 'EU-relationer', b_side: 'B-siden', b_side_hint: 'Mindre historier værd at kigge på', continued: 'Fortsættelse', read_more: 'Læs på', also_reported: 'Også omtalt af', incomplete: 'Nogle artikler kunne ikke analyseres og mangler i dette digest.', stories: 'historier', greeting: 'Kære', key_developments: 'Her er dagens vigtigste begivenheder:', sign_off: 'Med venlig hilsen,', team: 'Mundus Digest-teamet', daily_update: 'Dagens opdatering' },
+  fi: { news: 'Uutiset', business: 'Talous', politics: 'Politiikka', eu_relations: 'EU-suhteet', b_side: 'B-puoli', b_side_hint: 'Pienempiä uutisia silmäiltäväksi', continued: 'Jatkoa', read_more: 'Lue', also_reported: 'Myös', incomplete: 'Osaa artikkeleista ei voitu analysoida, ja ne puuttuvat tästä koosteesta.', stories: 'uutista', greeting: 'Hei', key_developments: 'Tässä päivän tärkeimmät tapahtumat:', sign_off: 'Ystävällisin terveisin,', team: 'Mundus Digest -tiimi', daily_update: 'Päivän katsaus' }
+};
+
+/**
+ * Email labels for a language
+ * @param {string} language - en, sv, no, da or fi (anything else is en)
+ * @returns {Object} Labels
+ */
+export function getEmailLabels(language) {
+  return LABELS[language] || LABELS.en;
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * A URL that is safe to put in href/src
+ * @param {string} url - Candidate URL
+ * @returns {string|null} The URL, or null unless it is absolute http(s)
+ */
+function safeUrl(url) {
+  if (typeof url !== 'string') return null;
+  try {
+    const parsed = new URL(url.trim());
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function safeColor(color, fallback) {
+  return typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color.trim()) ? color.trim() : fallback;
+}
+
+/**
+ * Effective branding for a client (digest_clients.branding over defaults)
+ * @param {Object} client - digest_clients row
+ * @returns {Object} { brand_name, logo_url, primary_color, accent_color, footer_text }
+ */
+export function getClientBranding(client) {
+  const branding = client?.branding || {};
+  return {
+    brand_name: branding.brand_name || DEFAULT_BRANDING.brand_name,
+    logo_url: safeUrl(branding.logo_url),
+    primary_color: safeColor(branding.primary_color, DEFAULT_BRANDING.primary_color),
+    accent_color: safeColor(branding.accent_color, DEFAULT_BRANDING.accent_color),
+    footer_text: branding.footer_text || DEFAULT_BRANDING.footer_text
+  };
+}
+
+/**
+ * Link markup, or plain escaped text when the URL is unsafe
+ * @param {string} url - Link target
+ * @param {string} text - Link text (unescaped)
+ * @param {string} style - Inline CSS
+ * @returns {string} HTML
+ */
+function link(url, text, style) {
+  const href = safeUrl(url);
+  return href
+    ? `<a href="${escapeHtml(href)}" target="_blank" style="${style}">${escapeHtml(text)}</a>`
+    : escapeHtml(text);
+}
+
+/**
+ * One main story: title, badge, source, paragraphs, source links
+ * @param {Object} story - Normalized story
+ * @param {Object} branding - Effective branding
+ * @param {Object} labels - UI labels
+ * @returns {string} Table row HTML
+ */
+function renderStory(story, branding, labels) {
+  const badge = story.continued_from_previous
+    ? ` <span style="display:inline-block;padding:2px 6px;margin-left:4px;border-radius:3px;background-color:${branding.accent_color};color:#ffffff;font-size:11px;font-weight:bold;text-transform:uppercase;vertical-align:middle;">${escapeHtml(labels.continued)}</span>`
+    : '';
+  const paragraphs = (story.paragraphs || [])
+    .map(p => `<p style="margin:0 0 10px 0;font-size:15px;line-height:22px;color:${TEXT_COLOR};">${escapeHtml(p)}</p>`)
+    .join('');
+  const alsoReported = (story.additional_sources || []).length > 0
+    ? `<p style="margin:0 0 4px 0;font-size:12px;line-height:18px;color:${MUTED_COLOR};">${escapeHtml(labels.also_reported)}: ${story.additional_sources.map(s => link(s.url, s.name, `color:${MUTED_COLOR};`)).join(', ')}</p>`
+    : '';
+
+  return `<tr><td style="padding:0 0 24px 0;">
+<h3 style="margin:0 0 4px 0;font-size:18px;line-height:24px;color:${TEXT_COLOR};">${link(story.source?.url, story.title, `color:${TEXT_COLOR};text-decoration:none;`)}${badge}</h3>
+<p style="margin:0 0 10px 0;font-size:12px;line-height:18px;color:${MUTED_COLOR};">${escapeHtml(story.source?.name || '')}</p>
+${paragraphs}<p style="margin:0 0 4px 0;font-size:13px;line-height:18px;">${link(story.source?.url, `${labels.read_more} ${story.source?.name || 'source'} →`, `color:${branding.primary_color};font-weight:bold;`)}</p>
+${alsoReported}</td></tr>`;
+}
+
+/**
+ * A category section heading
+ * @param {string} title - Heading text
+ * @param {Object} branding - Effective branding
+ * @returns {string} Table row HTML
+ */
+function renderSectionHeading(title, branding) {
+  return `<tr><td style="padding:8px 0 16px 0;"><h2 style="margin:0;padding:0 0 6px 0;border-bottom:2px solid ${branding.primary_color};font-size:13px;line-height:18px;letter-spacing:1px;text-transform:uppercase;color:${branding.primary_color};">${escapeHtml(title)}</h2></td></tr>`;
+}
+
+/**
+ * B-side stories as a compact list inside <details>
+ * @param {Array<Object>} stories - B-side stories
+ * @param {Object} branding - Effective branding
+ * @param {Object} labels - UI labels
+ * @returns {string} Table row HTML, or '' without B-side stories
+ */
+function renderBSide(stories, branding, labels) {
+  if (stories.length === 0) return '';
+
+  const items = stories.map(story => {
+    const badge = story.continued_from_previous ? ` <span style="color:${branding.accent_color};font-weight:bold;">(${escapeHtml(labels.continued)})</span>` : '';
+    return `<li style="margin:0 0 8px 0;font-size:14px;line-height:20px;color:${TEXT_COLOR};">${link(story.source?.url, story.title, `color:${TEXT_COLOR};`)}${badge} <span style="color:${MUTED_COLOR};font-size:12px;">${escapeHtml(story.source?.name || '')}</span></li>`;
+  }).join('');
+
+  return `<tr><td style="padding:8px 0 16px 0;">
+<details style="border-top:1px solid ${BORDER_COLOR};padding-top:12px;">
+<summary style="cursor:pointer;font-size:13px;line-height:18px;letter-spacing:1px;text-transform:uppercase;font-weight:bold;color:${MUTED_COLOR};">${escapeHtml(labels.b_side)} (${stories.length} ${escapeHtml(labels.stories)}) - ${escapeHtml(labels.b_side_hint)}</summary>
+<ul style="margin:12px 0 0 0;padding:0 0 0 18px;">${items}</ul>
+</details>
+</td></tr>`;
+}
+
+/**
+ * Stories per category in display order (report.sections, or main_stories when sections are missing)
+ * @param {Object} report - Digest report
+ * @returns {Array<Array>} [category, stories] pairs with at least one story
+ */
+function mainSections(report) {
+  const sections = report.sections || {};
+  const grouped = ARTICLE_CATEGORIES.map(category => [
+    category,
+    sections[category] || (report.main_stories || []).filter(s => s.category === category)
+  ]);
+  return grouped.filter(([, stories]) => stories.length > 0);
+}
+
+/**
+ * Render a digest report as a complete HTML email
+ * @param {Object} report - Merged digest report (main_stories, sections, b_side, metadata)
+ * @param {Object} options - Rendering options
+ * @param {Object} options.client - digest_clients row (name, branding)
+ * @param {string} options.subject - Email subject (document title)
+ * @param {string} options.introHtml - Intro HTML (AI email body or template greeting)
+ * @param {string} options.preheader - Preview text shown by inbox lists (optional)
+ * @param {string} options.language - en, sv, no, da or fi (default en)
+ * @returns {string} HTML document
+ */
+export function renderDigestEmail(report, { client, subject = '', introHtml = '', preheader = '', language = 'en' }) {
+  const branding = getClientBranding(client);
+  const labels = getEmailLabels(language);
+  const date = new Date(report.metadata?.generated_at || Date.now()).toISOString().slice(0, 10);
+  const bSide = ARTICLE_CATEGORIES.flatMap(category => report.b_side?.[category] || []);
+
+  const header = branding.logo_url
+    ? `<img src="${escapeHtml(branding.logo_url)}" alt="${escapeHtml(branding.brand_name)}" height="32" style="display:block;height:32px;border:0;outline:none;">`
+    : `<span style="font-size:20px;line-height:28px;font-weight:bold;color:#ffffff;">${escapeHtml(branding.brand_name)}</span>`;
+
+  const incomplete = report.metadata?.incomplete
+    ? `<tr><td style="padding:0 0 20px 0;"><p style="margin:0;padding:10px 12px;border-left:3px solid ${branding.accent_color};background-color:#fff7ed;font-size:13px;line-height:18px;color:${TEXT_COLOR};">${escapeHtml(labels.incomplete)}</p></td></tr>`
+    : '';
+
+  const sections = mainSections(report)
+    .map(([category, stories]) => renderSectionHeading(labels[category] || category, branding) + stories.map(s => renderStory(s, branding, labels)).join('\n'))
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="x-apple-disable-message-reformatting">
+<title>${escapeHtml(subject)}</title>
+<style>
+@media only screen and (max-width: 620px) {
+  .digest-container { width: 100% !important; }
+  .digest-padding { padding-left: 16px !important; padding-right: 16px !important; }
+}
+</style>
+</head>
+<body style="margin:0;padding:0;background-color:#f3f4f6;">
+<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;">${escapeHtml(preheader)}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f3f4f6;">
+<tr><td align="center" style="padding:24px 0;">
+<table role="presentation" class="digest-container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;background-color:#ffffff;font-family:${FONT_STACK};">
+<tr><td class="digest-padding" style="padding:20px 32px;background-color:${branding.primary_color};">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0"><tr>
+<td>${header}</td>
+<td align="right" style="font-size:13px;line-height:18px;color:#ffffff;">${escapeHtml(date)}</td>
+</tr></table>
+</td></tr>
+<tr><td class="digest-padding" style="padding:28px 32px 8px 32px;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+<tr><td style="padding:0 0 24px 0;font-size:15px;line-height:22px;color:${TEXT_COLOR};">${introHtml}</td></tr>
+${incomplete}${sections}
+${renderBSide(bSide, branding, labels)}
+</table>
+</td></tr>
+<tr><td class="digest-padding" style="padding:20px 32px;border-top:1px solid ${BORDER_COLOR};font-size:12px;line-height:18px;color:${MUTED_COLOR};">
+${escapeHtml(branding.footer_text)}
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode character references (numeric and the common named ones; unknown names are kept)
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeHtmlEntities(text) {
+  return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+}
+
+/**
+ * Plain text of an HTML fragment (paragraphs and line breaks kept, list items as "- ")
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with paragraphs separated by blank lines
+ */
+export function htmlToText(html) {
+  const text = String(html ?? '')
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeHtmlEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Word-wrap one paragraph (words longer than the width, such as URLs, are not broken)
+ * @param {string} text - Paragraph
+ * @param {number} width - Maximum line length
+ * @param {string} indent - Prefix for continuation lines
+ * @returns {string} Wrapped lines
+ */
+function wrap(text, width = TEXT_WIDTH, indent = '') {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = indent + word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * Heading underlined to its own length
+ * @param {string} title - Heading text
+ * @param {string} char - Underline character
+ * @returns {string} Two lines
+ */
+function underline(title, char) {
+  return `${title}\n${char.repeat(Math.min(title.length, TEXT_WIDTH))}`;
+}
+
+/**
+ * Render a digest report as the plain-text alternative of the HTML email
+ * @param {Object} report - Merged digest report (main_stories, sections, b_side, metadata)
+ * @param {Object} options - Rendering options
+ * @param {Object} options.client - digest_clients row (name, branding)
+ * @param {string} options.introHtml - Intro HTML, converted to text (AI email body or template greeting)
+ * @param {string} options.language - en, sv, no, da or fi (default en)
+ * @returns {string} Text with \n line endings
+ */
+export function renderDigestText(report, { client, introHtml = '', language = 'en' }) {
+  const branding = getClientBranding(client);
+  const labels = getEmailLabels(language);
+  const date = new Date(report.metadata?.generated_at || Date.now()).toISOString().slice(0, 10);
+  const bSide = ARTICLE_CATEGORIES.flatMap(category => report.b_side?.[category] || []);
+
+  // Numbered references, one per distinct URL
+  const links = [];
+  const ref = (url) => {
+    const href = safeUrl(url);
+    if (!href) return '';
+    if (!links.includes(href)) links.push(href);
+    return ` [${links.indexOf(href) + 1}]`;
+  };
+  const continued = (story) => story.continued_from_previous ? ` (${labels.continued})` : '';
+
+  const blocks = [underline(`${branding.brand_name} - ${date}`, '=')];
+
+  const intro = htmlToText(introHtml);
+  if (intro) {
+    blocks.push(intro.split('\n\n').map(p => p.split('\n').map(line => wrap(line, TEXT_WIDTH, line.startsWith('- ') ? '  ' : '')).join('\n')).join('\n\n'));
+  }
+  if (report.metadata?.incomplete) {
+    blocks.push(wrap(`! ${labels.incomplete}`, TEXT_WIDTH, '  '));
+  }
+
+  for (const [category, stories] of mainSections(report)) {
+    blocks.push(underline((labels[category] || category).toUpperCase(), '-'));
+    for (const story of stories) {
+      const lines = [
+        wrap(`${story.title}${continued(story)}${ref(story.source?.url)}`),
+        story.source?.name || '',
+        ...(story.paragraphs || []).map(p => `\n${wrap(p)}`)
+      ];
+      if ((story.additional_sources || []).length > 0) {
+        lines.push(`\n${wrap(`${labels.also_reported}: ${story.additional_sources.map(s => `${s.name}${ref(s.url)}`).join(', ')}`)}`);
+      }
+      blocks.push(lines.filter(Boolean).join('\n'));
+    }
+  }
+
+  if (bSide.length > 0) {
+    blocks.push(underline(`${labels.b_side} (${bSide.length} ${labels.stories})`.toUpperCase(), '-'));
+    blocks.push(bSide.map(story =>
+      wrap(`- ${story.title}${continued(story)}${ref(story.source?.url)} - ${story.source?.name || ''}`, TEXT_WIDTH, '  ')
+    ).join('\n'));
+  }
+
+  blocks.push(`--\n${wrap(branding.footer_text)}`);
+  if (links.length > 0) {
+    blocks.push(links.map((href, i) => `[${i + 1}] ${href}`).join('\n'));
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
@@ -0,0 +1,240 @@
+/**
+ * HTML Sanitizer Service
+ * Allowlist sanitizer for every HTML field that leaves the service: the
+ * model-written email intro and the rendered digest email
+ *
+ * Tags outside the allowlist are removed (their text is kept), except
+ * script-like elements, which are removed with their content. Attributes
+ * outside the allowlist, event handlers and non-http(s) URLs are dropped.
+ * Comments are removed, stray "<" is escaped and unclosed tags are closed.
+ *
+ * CSS can load resources in more ways than a blocklist can keep up with
+ * (url(), image-set(), CSS escapes such as "\75 rl(", ...), so the fragment
+ * profile allows no CSS at all. The document profile only carries our own
+ * rendered CSS and rejects anything with an escape or a resource function.
+ *
+ * Profiles:
+ *   fragment - model output embedded in the email: text formatting, lists, links; no images, no CSS
+ *   document - the complete email: adds the document skeleton, tables, <style> and images
+ *
+ * Every removal is counted so callers can report what was changed.
+ */
+
+import { escapeHtml, decodeHtmlEntities } from './email-renderer.js';
+
+const FRAGMENT_TAGS = [
+  'p', 'br', 'hr', 'div', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'small', 'sub', 'sup',
+  'ul', 'ol', 'li', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote'
+];
+
+const PROFILES = {
+  fragment: {
+    tags: new Set(FRAGMENT_TAGS),
+    attributes: { '*': ['title'], a: ['href', 'target'] }
+  },
+  document: {
+    tags: new Set([
+      ...FRAGMENT_TAGS,
+      'html', 'head', 'body', 'meta', 'title', 'style',
+      'table', 'thead', 'tbody', 'tr', 'td', 'th', 'img', 'details', 'summary'
+    ]),
+    attributes: {
+      '*': ['style', 'title', 'class', 'align', 'valign', 'width', 'height', 'role', 'dir', 'lang'],
+      a: ['href', 'target'],
+      img: ['src', 'alt', 'border'],
+      table: ['cellpadding', 'cellspacing', 'border'],
+      td: ['colspan', 'rowspan'],
+      th: ['colspan', 'rowspan'],
+      meta: ['charset', 'name', 'content']
+    },
+    doctype: true
+  }
+};
+
+// Removed together with everything inside them
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'template', 'svg', 'math', 'textarea', 'select', 'title', 'head', 'xml'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'meta']);
+// Opening one of these closes an open element of the same name (<li>a<li>b)
+const SELF_CLOSING_SIBLINGS = new Set(['p', 'li']);
+
+const URL_ATTRIBUTES = { href: ['http:', 'https:', 'mailto:'], src: ['http:', 'https:'] };
+// Any escape (which can spell any of the others), resource-loading functions and at-rules
+const UNSAFE_CSS = /\\|url\s*\(|image-set\s*\(|image\s*\(|src\s*\(|cross-fade\s*\(|element\s*\(|@import|@font-face|expression\s*\(|javascript:|behavio(u)?r\s*:|-moz-binding/i;
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!doctype[^>]*>|<\/?([a-z][a-z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Escape text between tags (entities already in the text are kept)
+ * @param {string} text - Text
+ * @returns {string} Text without raw "<" or ">"
+ */
+function escapeText(text) {
+  return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * A URL attribute value, if its scheme is allowed
+ * @param {string} value - Decoded attribute value
+ * @param {Array<string>} protocols - Allowed protocols
+ * @returns {string|null} URL, or null when unsafe
+ */
+function safeAttributeUrl(value, protocols) {
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+  const compact = value.replace(/[\u0000-\u0020\u007f]/g, '');
+  try {
+    return protocols.includes(new URL(compact).protocol) ? value.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep the allowed attributes of a tag
+ * @param {string} tag - Tag name (lowercase)
+ * @param {string} source - Raw attribute text
+ * @param {Object} profile - Sanitizer profile
+ * @param {Function} count - Records a removal
+ * @returns {string} Serialized attributes (leading space included)
+ */
+function sanitizeAttributes(tag, source, profile, count) {
+  const allowed = new Set([...(profile.attributes['*'] || []), ...(profile.attributes[tag] || [])]);
+  let result = '';
+
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    const value = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '');
+
+    if (!allowed.has(name)) {
+      count(`${tag}[${name}]`);
+      continue;
+    }
+    if (URL_ATTRIBUTES[name] && !safeAttributeUrl(value, URL_ATTRIBUTES[name])) {
+      count(`${tag}[${name}]`);
+      continue;
+    }
+    if (name === 'style' && UNSAFE_CSS.test(value)) {
+      count(`${tag}[style]`);
+      continue;
+    }
+    result += ` ${name}="${escapeHtml(value)}"`;
+  }
+
+  if (tag === 'a' && /\starget="_blank"/.test(result)) {
+    result += ' rel="noopener noreferrer"';
+  }
+  return result;
+}
+
+/**
+ * Sanitize an HTML string against an allowlist profile
+ * @param {string} html - Untrusted HTML
+ * @param {Object} options - Options
+ * @param {string} options.profile - 'fragment' (default) or 'document'
+ * @returns {Object} { html, removed } - removed maps what was dropped ('<script>', 'a[onclick]', 'comment', ...) to a count
+ */
+export function sanitizeHtml(html, { profile = 'fragment' } = {}) {
+  const rules = PROFILES[profile];
+  if (!rules) {
+    throw new Error(`Unknown sanitizer profile: ${profile}`);
+  }
+
+  const source = String(html ?? '');
+  const removed = {};
+  const count = (item) => { removed[item] = (removed[item] || 0) + 1; };
+  const open = [];
+  let output = '';
+  let position = 0;
+
+  const close = (tag) => {
+    while (open.length > 0) {
+      const top = open.pop();
+      output += `</${top}>`;
+      if (top === tag) break;
+    }
+  };
+
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    output += escapeText(source.slice(position, match.index));
+    position = TOKEN_PATTERN.lastIndex;
+
+    const token = match[0];
+    if (token.startsWith('<!--')) {
+      count('comment');
+      continue;
+    }
+    if (/^<!doctype/i.test(token)) {
+      if (rules.doctype) output += '<!DOCTYPE html>';
+      else count('<!doctype>');
+      continue;
+    }
+
+    const tag = match[1].toLowerCase();
+    const closing = token.startsWith('</');
+
+    if (!rules.tags.has(tag)) {
+      if (closing) continue;  // Counted with the opening tag
+      count(`<${tag}>`);
+      if (DROP_WITH_CONTENT.has(tag) && !token.endsWith('/>')) {
+        // Skip to the matching close tag (or the end when it never comes)
+        const end = source.slice(position).search(new RegExp(`</${tag}\\s*>`, 'i'));
+        position = end === -1 ? source.length : position + end + source.slice(position + end).indexOf('>') + 1;
+        TOKEN_PATTERN.lastIndex = position;
+      }
+      continue;
+    }
+
+    if (closing) {
+      if (open.includes(tag)) close(tag);
+      else count(`</${tag}>`);
+      continue;
+    }
+
+    if (tag === 'style') {
+      // Allowed only in the document profile; the stylesheet must not load anything
+      const end = source.slice(position).search(/<\/style\s*>/i);
+      const css = source.slice(position, end === -1 ? source.length : position + end);
+      position = end === -1 ? source.length : position + end + source.slice(position + end).indexOf('>') + 1;
+      TOKEN_PATTERN.lastIndex = position;
+      if (UNSAFE_CSS.test(css) || /<\//.test(css)) {
+        count('<style>');
+      } else {
+        output += `<style>${css}</style>`;
+      }
+      continue;
+    }
+
+    if (SELF_CLOSING_SIBLINGS.has(tag) && open.at(-1) === tag) close(tag);
+    output += `<${tag}${sanitizeAttributes(tag, match[2] || '', rules, count)}>`;
+    if (!VOID_TAGS.has(tag)) open.push(tag);
+  }
+
+  output += escapeText(source.slice(position));
+  while (open.length > 0) output += `</${open.pop()}>`;
+
+  return { html: output, removed };
+}
+
+/**
+ * Sanitize the HTML fields of a digest email
+ * @param {Object} email - { body_html, intro_html, ... }
+ * @returns {Object} { email, removed } - removed maps field name to its removals (fields without changes are left out)
+ */
+export function sanitizeEmailHtml(email) {
+  const removed = {};
+  const result = { ...email };
+
+  for (const [field, profile] of [['intro_html', 'fragment'], ['body_html', 'document']]) {
+    if (typeof email[field] !== 'string') continue;
+    const sanitized = sanitizeHtml(email[field], { profile });
+    result[field] = sanitized.html;
+    if (Object.keys(sanitized.removed).length > 0) removed[field] = sanitized.removed;
+  }
+
+  return { email: result, removed };
+}
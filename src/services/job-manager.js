@@ -0,0 +1,257 @@
+/**
+ * Job Manager Service
+ * Runs digest generation in the background and tracks job state for polling
+ */
+
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { generateDigest } from './digest-generator.js';
+import { createLogger, runWithLogContext } from './logger.js';
+
+const log = createLogger('job-manager');
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || '3600000', 10);  // Keep finished jobs for 1 hour
+
+const jobs = new Map();
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+/**
+ * Map a pipeline progress event to a job state
+ * @param {Object} event - Progress event emitted by generateDigest
+ * @returns {Object} Partial job update ({ state, progress })
+ */
+function stateFromProgress(event) {
+  switch (event.stage) {
+    case 'lexical_score':
+      return { state: 'pre_filtering' };
+    case 'pre_filter':
+      return event.status === 'started' ? { state: 'pre_filtering' } : {};
+    case 'batch':
+      return {
+        state: 'processing_batches',
+        progress: {
+          current_batch: event.batch_number,
+          completed_batches: event.completed_batches,
+          total_batches: event.total_batches,
+          label: `batch ${event.batch_number}/${event.total_batches}`
+        }
+      };
+    case 'merge':
+      return { state: 'merging' };
+    case 'email':
+      return { state: 'emailing' };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Remove finished jobs older than the TTL
+ */
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Public view of a job (internal controller and timestamps excluded)
+ * @param {Object} job - Internal job record
+ * @returns {Object} Job status for API responses
+ */
+export function serializeJob(job) {
+  return {
+    job_id: job.id,
+    request_id: job.requestId,
+    client_id: job.clientId,
+    state: job.state,
+    progress: job.progress,
+    created_at: new Date(job.createdAt).toISOString(),
+    updated_at: new Date(job.updatedAt).toISOString(),
+    finished_at: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    result: job.result,
+    error: job.error
+  };
+}
+
+/**
+ * Record an event on a job and notify live subscribers
+ * @param {Object} job - Internal job record
+ * @param {string} type - Event name (e.g. 'batch_completed', 'done')
+ * @param {Object} data - Event payload
+ */
+function emitJobEvent(job, type, data) {
+  const event = { id: job.events.length + 1, type, data };
+  job.events.push(event);
+  job.emitter.emit('event', event);
+}
+
+/**
+ * Subscribe to a job's events
+ * Events already emitted are replayed first so late subscribers see the full history.
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with { id, type, data } for every event
+ * @param {number} afterId - Only replay events with a higher ID (for Last-Event-ID resumes)
+ * @returns {Function|null} Unsubscribe function, or null if the job is unknown
+ */
+export function subscribeToJob(jobId, listener, afterId = 0) {
+  const job = getJob(jobId);
+  if (!job) return null;
+
+  job.events.filter(event => event.id > afterId).forEach(listener);
+
+  if (isJobFinished(job)) {
+    return () => {};
+  }
+
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
+
+/**
+ * Whether a job has reached a terminal state
+ * @param {Object} job - Internal job record
+ * @returns {boolean} True for done, failed and cancelled jobs
+ */
+export function isJobFinished(job) {
+  return FINISHED_STATES.includes(job.state);
+}
+
+/**
+ * Submit a digest generation job
+ * Returns immediately; the pipeline runs in the background.
+ * @param {Object} options - Same options as generateDigest (request_id: the caller's correlation ID, default the job ID)
+ * @returns {Object} Internal job record
+ */
+export function createJob(options) {
+  pruneJobs();
+
+  const now = Date.now();
+  const id = randomUUID();
+  const job = {
+    id,
+    requestId: options.request_id || id,
+    clientId: options.client_id,
+    state: 'queued',
+    progress: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    emitter: new EventEmitter(),
+    events: []
+  };
+  jobs.set(job.id, job);
+  emitJobEvent(job, 'state', { state: job.state });
+
+  log.info(`Queued job ${job.id} for client ${job.clientId}`);
+
+  // Start on next tick so the caller gets the job ID before any work happens
+  // Job logs keep the caller's request ID and add the job ID
+  setImmediate(() => runWithLogContext({ request_id: job.requestId, job_id: job.id }, () => runJob(job, options)));
+
+  return job;
+}
+
+/**
+ * Execute the pipeline for a job and record the outcome
+ * @param {Object} job - Internal job record
+ * @param {Object} options - generateDigest options
+ */
+async function runJob(job, options) {
+  if (job.state === 'cancelled') return;
+
+  const startTime = Date.now();
+
+  try {
+    const result = await generateDigest({
+      ...options,
+      request_id: job.requestId,
+      signal: job.controller.signal,
+      onProgress: (event) => {
+        if (isJobFinished(job)) return;
+        updateJob(job, stateFromProgress(event));
+        emitJobEvent(job, `${event.stage}_${event.status}`, event);
+      }
+    });
+
+    updateJob(job, {
+      state: 'done',
+      result: {
+        ...result,
+        _metadata: {
+          ...result._metadata,
+          job_id: job.id,
+          processing_time_ms: Date.now() - startTime
+        }
+      }
+    });
+    log.info(`Job ${job.id} done in ${Date.now() - startTime}ms`);
+  } catch (error) {
+    if (job.state === 'cancelled') {
+      log.info(`Job ${job.id} stopped after cancellation`);
+      return;
+    }
+    updateJob(job, { state: 'failed', error: error.message });
+    log.error(`Job ${job.id} failed`, { error: error.message });
+  }
+}
+
+/**
+ * Apply an update to a job, ignoring updates once it has finished
+ * State changes are emitted as 'state' events; terminal states also emit
+ * 'done', 'failed' or 'cancelled' with the result or error.
+ * @param {Object} job - Internal job record
+ * @param {Object} update - Fields to change
+ */
+function updateJob(job, update) {
+  if (isJobFinished(job)) return;
+
+  const previousState = job.state;
+  Object.assign(job, update, { updatedAt: Date.now() });
+
+  if (job.state !== previousState) {
+    emitJobEvent(job, 'state', { state: job.state, progress: job.progress });
+  }
+
+  if (isJobFinished(job)) {
+    job.finishedAt = job.updatedAt;
+    emitJobEvent(job, job.state, { result: job.result, error: job.error });
+    job.emitter.removeAllListeners();
+  }
+}
+
+/**
+ * Look up a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Internal job record or null
+ */
+export function getJob(jobId) {
+  pruneJobs();
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Cancel a job
+ * Aborts any in-flight API call; finished jobs are left unchanged.
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Internal job record or null if unknown
+ */
+export function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) return null;
+
+  if (!isJobFinished(job)) {
+    updateJob(job, { state: 'cancelled', error: 'Job cancelled' });
+    job.controller.abort(new Error('Job cancelled'));
+    log.info(`Cancelled job ${job.id}`);
+  }
+
+  return job;
+}
@@ -0,0 +1,219 @@
+/**
+ * Lexical Scorer Service
+ * Deterministic BM25 scoring of articles against client topics and keywords.
+ * Runs before the LLM pre-filter to drop obvious noise, rank candidates and
+ * act as the offline fallback when the pre-filter fails.
+ */
+
+import { analyze, toLanguageCode } from './nordic-text.js';
+import { getDefaultTaxonomy, resolveTopics, getTopicTerms, getTopicExclusions } from './taxonomy.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('lexical-scorer');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 2;      // Title tokens count this many times
+const KEYWORD_WEIGHT = 1.5;  // context.keywords outweigh generic topic terms
+
+// Zero-score articles are dropped once at least this many articles score > 0
+const LEXICAL_MIN_CANDIDATES = parseInt(process.env.LEXICAL_MIN_CANDIDATES || '30', 10);
+
+/**
+ * Compile lexicon entries into matchers
+ * Multi-word entries match as token sequences; a trailing * makes the last
+ * token a prefix.
+ * @param {Array<string>} entries - Lexicon entries
+ * @param {string} language - Language the terms are matched in (optional)
+ * @returns {Array<Object>} { term, tokens, prefix }
+ */
+function compileTerms(entries, language) {
+  const seen = new Set();
+  return entries
+    .map(entry => entry.trim().toLowerCase())
+    .filter(entry => entry && !seen.has(entry) && seen.add(entry))
+    .map(entry => ({
+      term: entry,
+      tokens: analyze(entry, { language, compounds: false }).map(forms => forms[0]),
+      prefix: entry.endsWith('*')
+    }))
+    .filter(t => t.tokens.length > 0);
+}
+
+/**
+ * Whether a term matches the token positions starting at a position
+ * A position matches when any of its forms (stem or compound part) does.
+ * @param {Object} term - Compiled term
+ * @param {Array<Array<string>>} tokens - Document token positions
+ * @param {number} start - Start position
+ * @returns {boolean} True on match
+ */
+function matchesAt(term, tokens, start) {
+  const last = term.tokens.length - 1;
+  for (let k = 0; k <= last; k++) {
+    const forms = tokens[start + k];
+    if (!forms) return false;
+    const wanted = term.tokens[k];
+    const ok = k === last && term.prefix ? forms.some(f => f.startsWith(wanted)) : forms.includes(wanted);
+    if (!ok) return false;
+  }
+  return true;
+}
+
+/**
+ * Count term occurrences in a document
+ * @param {Array<Object>} terms - Compiled terms
+ * @param {Array<Array<string>>} tokens - Document token positions
+ * @returns {Map<string, number>} Term → frequency (only terms that occur)
+ */
+function countTerms(terms, tokens) {
+  const counts = new Map();
+  for (let i = 0; i < tokens.length; i++) {
+    for (const term of terms) {
+      if (matchesAt(term, tokens, i)) {
+        counts.set(term.term, (counts.get(term.term) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Negative lexicon: taxonomy exclusions for the topics plus LEXICAL_NEGATIVE_TERMS
+ * Matching tokens are masked before scoring (a trailing * matches a prefix).
+ * @param {Array<Object>} topicNodes - Resolved taxonomy topics
+ * @returns {Array<string>} Negative terms
+ */
+function getNegativeTerms(topicNodes) {
+  const extra = (process.env.LEXICAL_NEGATIVE_TERMS || '').split(',').map(t => t.trim()).filter(Boolean);
+  return [...topicNodes.flatMap(getTopicExclusions).map(e => e.term), ...extra];
+}
+
+/**
+ * Tokenize an article for scoring, masking negative-lexicon tokens
+ * @param {Object} article - Article
+ * @param {Array<Object>} negatives - Compiled negative terms
+ * @param {string} language - Article language (optional)
+ * @returns {Object} { tokens, negativeHits }
+ */
+function articleTokens(article, negatives, language) {
+  const title = analyze(article.title, { language });
+  const body = analyze([article.summary, article.description, article.content || article.text].filter(Boolean).join(' '), { language });
+  const tokens = [...Array.from({ length: TITLE_WEIGHT }, () => title).flat(), ...body];
+
+  const negativeHits = new Set();
+  for (let i = 0; i < tokens.length; i++) {
+    for (const term of negatives) {
+      if (matchesAt(term, tokens, i)) {
+        negativeHits.add(term.term);
+        for (let k = 0; k < term.tokens.length; k++) tokens[i + k] = null;  // Mask so topic terms cannot match
+        break;
+      }
+    }
+  }
+
+  return { tokens: tokens.filter(Boolean), negativeHits: [...negativeHits] };
+}
+
+/**
+ * Score articles with BM25 against client topics and keywords
+ * Query terms are the taxonomy synonyms of each topic and its subtopics
+ * (unknown topics are used as-is) plus context keywords, which get
+ * KEYWORD_WEIGHT. Terms are normalized like article text (stemmed, folded,
+ * compounds split), so "kraft" also matches "kärnkraftverket". Each article
+ * is analyzed in its own `language` when set, otherwise in the query
+ * language, and the terms are normalized in the same language (Finnish case
+ * endings are only stripped for Finnish).
+ * @param {Array<Object>} articles - Articles to score
+ * @param {Object} query - Scoring query
+ * @param {Array<string>} query.topics - Client topics
+ * @param {Array<string>} query.keywords - Client keywords (optional)
+ * @param {Object} query.taxonomy - Topic taxonomy (default: bundled taxonomy file)
+ * @param {string} query.language - Language of articles without their own (optional)
+ * @returns {Array<Object>} Copies of the articles, best first, with lexical_score and lexical_matches
+ */
+export function scoreArticles(articles, { topics = [], keywords = [], taxonomy = getDefaultTaxonomy(), language }) {
+  const topicNodes = resolveTopics(taxonomy, topics);
+  const topicEntries = topicNodes.flatMap(getTopicTerms);
+  const negativeEntries = getNegativeTerms(topicNodes);
+  const weights = new Map();
+
+  // Terms compiled once per article language
+  const queries = new Map();
+  const queryFor = (articleLanguage) => {
+    if (!queries.has(articleLanguage)) {
+      const topicTerms = compileTerms(topicEntries, articleLanguage);
+      const keywordTerms = compileTerms(keywords, articleLanguage).filter(k => !topicTerms.some(t => t.term === k.term));
+      topicTerms.forEach(t => weights.set(t.term, 1));
+      keywordTerms.forEach(t => weights.set(t.term, KEYWORD_WEIGHT));
+      queries.set(articleLanguage, {
+        terms: [...topicTerms, ...keywordTerms],
+        negatives: compileTerms(negativeEntries, articleLanguage)
+      });
+    }
+    return queries.get(articleLanguage);
+  };
+
+  const docs = articles.map(article => {
+    const articleLanguage = toLanguageCode(article.language) || toLanguageCode(language);
+    const { terms, negatives } = queryFor(articleLanguage);
+    const { tokens, negativeHits } = articleTokens(article, negatives, articleLanguage);
+    return { article, length: tokens.length, counts: countTerms(terms, tokens), negativeHits };
+  });
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const term of doc.counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const scored = docs.map((doc, index) => {
+    let score = 0;
+    for (const [term, tf] of doc.counts) {
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+      const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+      score += weights.get(term) * idf * norm;
+    }
+
+    return {
+      index,
+      article: {
+        ...doc.article,
+        lexical_score: Math.round(score * 1000) / 1000,
+        lexical_matches: [...doc.counts.keys()],
+        ...(doc.negativeHits.length > 0 ? { lexical_negative_matches: doc.negativeHits } : {})
+      }
+    };
+  });
+
+  // Stable: ties keep input order
+  scored.sort((a, b) => b.article.lexical_score - a.article.lexical_score || a.index - b.index);
+  return scored.map(s => s.article);
+}
+
+/**
+ * Lexical pre-scoring stage: rank articles and drop obvious noise
+ * Zero-score articles are dropped when at least `minCandidates` articles
+ * matched; otherwise they are kept at the end of the ranking so the
+ * semantic pass can still judge them.
+ * @param {Array<Object>} articles - Articles to rank
+ * @param {Object} query - { topics, keywords, taxonomy, language }
+ * @param {Object} options - Stage options
+ * @param {number} options.minCandidates - Matched articles needed before zero scores are dropped
+ * @returns {Object} { articles, discarded, matched }
+ */
+export function lexicalPreFilter(articles, query, { minCandidates = LEXICAL_MIN_CANDIDATES } = {}) {
+  const ranked = scoreArticles(articles, query);
+  const matched = ranked.filter(a => a.lexical_score > 0);
+
+  if (matched.length >= minCandidates) {
+    log.info(`${matched.length}/${articles.length} articles matched, discarding ${articles.length - matched.length} with no match`);
+    return { articles: matched, discarded: articles.length - matched.length, matched: matched.length };
+  }
+
+  log.info(`Only ${matched.length}/${articles.length} articles matched (< ${minCandidates}), keeping all ranked`);
+  return { articles: ranked, discarded: 0, matched: matched.length };
+}
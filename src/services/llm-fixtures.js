@@ -0,0 +1,103 @@
+/**
+ * LLM Fixture Service
+ * Records LLM request/response pairs to disk and replays them by request hash,
+ * so the pipeline can run without network access or API credits
+ *
+ * Configuration (environment, read on every call):
+ *   LLM_FIXTURE_MODE - 'record', 'replay' or unset (off)
+ *   LLM_FIXTURE_DIR  - Fixture directory (default: fixtures/llm)
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('llm-fixtures');
+
+const DEFAULT_FIXTURE_DIR = 'fixtures/llm';
+
+/**
+ * Current fixture mode
+ * @returns {string|null} 'record', 'replay' or null
+ */
+export function getFixtureMode() {
+  const mode = process.env.LLM_FIXTURE_MODE;
+  if (!mode || mode === 'off') return null;
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`Invalid LLM_FIXTURE_MODE '${mode}' (expected record, replay or off)`);
+  }
+  return mode;
+}
+
+function getFixtureDir() {
+  return process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+/**
+ * Stable hash of a provider request
+ * Only the provider name and request body are hashed - URLs and API keys are
+ * left out so fixtures survive environment changes.
+ * @param {string} providerName - Provider name
+ * @param {Object} body - Request body sent to the provider
+ * @returns {string} Hex hash
+ */
+export function hashRequest(providerName, body) {
+  return createHash('sha256')
+    .update(JSON.stringify({ provider: providerName, body }))
+    .digest('hex')
+    .substring(0, 32);
+}
+
+/**
+ * Load a recorded response for a request (replay mode only)
+ * @param {Object} provider - Provider implementation
+ * @param {Object} request - Request built by provider.buildRequest
+ * @param {string} label - Caller label for errors
+ * @returns {Promise<Object|null>} Raw recorded response, or null when not replaying
+ */
+export async function replayFixture(provider, request, label) {
+  if (getFixtureMode() !== 'replay') return null;
+
+  const hash = hashRequest(provider.name, request.body);
+  const file = path.join(getFixtureDir(), `${hash}.json`);
+
+  let fixture;
+  try {
+    fixture = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No LLM fixture for ${label} (hash ${hash}) in ${getFixtureDir()} - re-record with LLM_FIXTURE_MODE=record`);
+    }
+    throw error;
+  }
+
+  log.info(`Replaying ${label} from ${hash}`);
+  return fixture.response;
+}
+
+/**
+ * Save a request/response pair (record mode only)
+ * @param {Object} provider - Provider implementation
+ * @param {Object} request - Request built by provider.buildRequest
+ * @param {Object} response - Raw provider response
+ * @param {Object} meta - { stage, label } stored alongside for readability
+ */
+export async function recordFixture(provider, request, response, { stage, label }) {
+  if (getFixtureMode() !== 'record') return;
+
+  const hash = hashRequest(provider.name, request.body);
+  const dir = getFixtureDir();
+  await mkdir(dir, { recursive: true });
+  await writeFile(path.join(dir, `${hash}.json`), JSON.stringify({
+    hash,
+    provider: provider.name,
+    stage: stage || null,
+    label,
+    recorded_at: new Date().toISOString(),
+    request: request.body,
+    response
+  }, null, 2));
+
+  log.info(`Recorded ${label} as ${hash}`);
+}
@@ -0,0 +1,148 @@
+/**
+ * Logger Service
+ * Structured JSON-line logs with the request context (request_id, client_id,
+ * job_id) carried through async calls by AsyncLocalStorage, so service
+ * modules never pass IDs around for logging
+ *
+ * Each line: { time, level, component, stage, request_id, client_id, job_id, msg, ...fields }
+ *
+ * Redaction: API keys, bearer tokens and secrets are always masked. Article
+ * and model text (content, summary, prompt, response_preview, ...) is logged
+ * as its length unless LOG_LEVEL=debug.
+ *
+ * Configuration (environment, read on every call):
+ *   LOG_LEVEL  - debug, info (default), warn, error or silent
+ *   LOG_FORMAT - 'json' (default) or 'pretty' (one readable line per entry, for local development)
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SECRET_KEY_PATTERN = /api[_-]?key|authorization|secret|password|(^|_)token$/i;
+const TEXT_KEYS = new Set(['content', 'text', 'body', 'summary', 'description', 'paragraphs', 'prompt', 'response', 'response_preview', 'response_tail', 'raw']);
+const SECRET_VALUE_PATTERNS = [
+  /sk-ant-[\w-]+/g,
+  /\bsk-[\w-]{20,}/g,
+  /Bearer\s+[\w.~+/=-]+/gi,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g  // JWTs such as Supabase keys
+];
+const MAX_DEPTH = 5;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with fields added to the log context
+ * Nested calls inherit and can override the outer context.
+ * @param {Object} fields - Context fields (request_id, client_id, job_id, ...)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithLogContext(fields, fn) {
+  return storage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * Current log context
+ * @returns {Object} Context fields, empty outside any context
+ */
+export function getLogContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Add fields to the current context (no-op outside a context)
+ * @param {Object} fields - Context fields
+ */
+export function addLogContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function getLevel() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+}
+
+/**
+ * Mask secrets inside a string
+ * @param {string} text - Text
+ * @returns {string} Text with secrets replaced
+ */
+function maskSecrets(text) {
+  return SECRET_VALUE_PATTERNS.reduce((value, pattern) => value.replace(pattern, '[REDACTED]'), text);
+}
+
+/**
+ * Redact a log field value
+ * @param {*} value - Value
+ * @param {string} key - Field name
+ * @param {boolean} keepText - Keep article/model text (debug level)
+ * @param {number} depth - Nesting depth
+ * @returns {*} Safe value
+ */
+function redact(value, key, keepText, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (key && SECRET_KEY_PATTERN.test(key)) return '[REDACTED]';
+  if (key && TEXT_KEYS.has(key) && !keepText) {
+    return typeof value === 'string' ? `[${value.length} chars]` : '[redacted]';
+  }
+
+  if (typeof value === 'string') return maskSecrets(value);
+  if (value instanceof Error) {
+    return { name: value.name, message: maskSecrets(value.message), ...(keepText ? { stack: value.stack } : {}) };
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, null, keepText, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k, keepText, depth + 1)]));
+}
+
+/**
+ * Format one entry
+ * @param {Object} entry - Log entry
+ * @returns {string} Output line
+ */
+function format(entry) {
+  if (process.env.LOG_FORMAT !== 'pretty') return JSON.stringify(entry);
+
+  const { time, level, component, msg, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extra}`;
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} component - Module name shown on every line (e.g. 'batch-processor')
+ * @param {Object} defaults - Fields added to every line (e.g. { stage: 'batch' })
+ * @returns {Object} { debug, info, warn, error } - each (message, fields)
+ */
+export function createLogger(component, defaults = {}) {
+  const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < getLevel()) return;
+
+    const keepText = getLevel() <= LEVELS.debug;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      component,
+      ...defaults,
+      ...getLogContext(),
+      msg: maskSecrets(String(message)),
+      ...redact(fields, null, keepText)
+    };
+
+    const line = format(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Metrics Service
+ * In-process counters, gauges and histograms rendered in the Prometheus text
+ * exposition format for GET /metrics
+ *
+ * client_id labels are only used on per-digest counters (not on histograms
+ * or per-call series) to keep the series count bounded by the client count.
+ *
+ * Configuration (environment):
+ *   METRICS_CLIENT_LABELS - 'on' (default) or 'off' to report every client as "all"
+ */
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = new Map();
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set
+ * @param {Array<string>} names - Label names
+ * @param {Array<string>} values - Label values (same order)
+ * @returns {string} `{a="1",b="2"}`, or '' without labels
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Register a metric
+ * @param {string} type - 'counter', 'gauge' or 'histogram'
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<string>} labelNames - Label names
+ * @param {Object} extra - Type-specific fields (buckets)
+ * @returns {Object} Metric with a `series` map keyed by label values
+ */
+function register(type, name, help, labelNames = [], extra = {}) {
+  const metric = { type, name, help, labelNames, series: new Map(), ...extra };
+  registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * Series for a label object, created on first use
+ * @param {Object} metric - Registered metric
+ * @param {Object} labels - { labelName: value }
+ * @param {Function} create - Initial series value
+ * @returns {Object} Series { values, ... }
+ */
+function getSeries(metric, labels, create) {
+  const values = metric.labelNames.map(name => String(labels[name] ?? ''));
+  const key = JSON.stringify(values);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { values, ...create() });
+  }
+  return metric.series.get(key);
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name (ending in _total)
+ * @param {string} help - Help text
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} { inc(labels, value = 1) }
+ */
+export function createCounter(name, help, labelNames) {
+  const metric = register('counter', name, help, labelNames);
+  return {
+    inc(labels = {}, value = 1) {
+      if (value > 0) getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} { inc(labels), dec(labels), set(labels, value) }
+ */
+export function createGauge(name, help, labelNames) {
+  const metric = register('gauge', name, help, labelNames);
+  const series = (labels) => getSeries(metric, labels, () => ({ value: 0 }));
+  return {
+    inc(labels = {}, value = 1) { series(labels).value += value; },
+    dec(labels = {}, value = 1) { series(labels).value -= value; },
+    set(labels = {}, value) { series(labels).value = value; }
+  };
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending (default: durations in seconds)
+ * @returns {Object} { observe(labels, value), startTimer(labels) → stop() }
+ */
+export function createHistogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+  const metric = register('histogram', name, help, labelNames, { buckets });
+  const observe = (labels = {}, value) => {
+    const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+    series.sum += value;
+    series.count++;
+  };
+  return {
+    observe,
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+/**
+ * All metrics in the Prometheus text exposition format
+ * @returns {string} Exposition text
+ */
+export function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${series.value}`);
+        continue;
+      }
+      const names = [...metric.labelNames, 'le'];
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(names, [...series.values, bound])} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(names, [...series.values, '+Inf'])} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Drop all recorded series (metrics stay registered)
+ */
+export function resetMetrics() {
+  for (const metric of registry.values()) {
+    metric.series.clear();
+  }
+}
+
+/**
+ * client_id label value
+ * @param {string} clientId - Client ID
+ * @returns {string} Client ID, or "all" when client labels are off
+ */
+export function clientLabel(clientId) {
+  return process.env.METRICS_CLIENT_LABELS === 'off' ? 'all' : (clientId || 'unknown');
+}
+
+// Service metrics
+
+export const httpRequests = createCounter('digest_http_requests_total', 'HTTP requests by route, method and status', ['route', 'method', 'status']);
+export const httpDuration = createHistogram('digest_http_request_duration_seconds', 'HTTP request latency by route', ['route', 'method']);
+export const digestsTotal = createCounter('digest_generations_total', 'Digest generations by client and outcome', ['client_id', 'status']);
+export const digestsInFlight = createGauge('digest_in_flight', 'Digests currently being generated', []);
+export const stageDuration = createHistogram('digest_stage_duration_seconds', 'Pipeline stage duration (one observation per batch for the batch stage)', ['stage']);
+export const batchFailures = createCounter('digest_batch_failures_total', 'Batches that left articles unprocessed', ['client_id']);
+export const jsonFailures = createCounter('digest_json_failures_total', 'Batch responses that could not be parsed or validated', ['client_id']);
+export const llmResponses = createCounter('digest_llm_http_responses_total', 'LLM API responses by provider, stage and HTTP status (timeout/network without a response)', ['provider', 'stage', 'status']);
+export const llmTokens = createCounter('digest_llm_tokens_total', 'LLM tokens by client, stage and token type', ['client_id', 'stage', 'type']);
+export const emailFallbacks = createCounter('digest_email_fallbacks_total', 'Digests that used the template email instead of an AI email', ['client_id', 'reason']);
+
+/**
+ * Count the tokens of one LLM call (shape of callLLM's onUsage)
+ * @param {string} clientId - Client ID
+ * @param {Object} call - { stage, usage }
+ */
+export function recordTokenUsage(clientId, { stage, usage = {} }) {
+  const labels = { client_id: clientLabel(clientId), stage: stage || 'other' };
+  llmTokens.inc({ ...labels, type: 'input' }, usage.input_tokens || 0);
+  llmTokens.inc({ ...labels, type: 'output' }, usage.output_tokens || 0);
+  llmTokens.inc({ ...labels, type: 'cache_write' }, usage.cache_creation_input_tokens || 0);
+  llmTokens.inc({ ...labels, type: 'cache_read' }, usage.cache_read_input_tokens || 0);
+}
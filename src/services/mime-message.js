@@ -0,0 +1,254 @@
+/**
+ * MIME Message Service
+ * Builds an RFC 5322 multipart/alternative message (.eml) from the digest
+ * email, ready for a downstream sender to relay as-is
+ *
+ * Bodies are UTF-8 quoted-printable (CRLF line endings, at most 76 columns)
+ * and non-ASCII header text (subjects and display names with Nordic
+ * characters) is encoded as RFC 2047 encoded-words.
+ *
+ * Addresses come from the caller and are rejected when malformed. Subjects
+ * and brand names may come from the model or client settings, so their
+ * whitespace (line breaks included) is collapsed instead.
+ *
+ * Configuration (environment):
+ *   EMAIL_FROM - Default From address when the request does not set one (e.g. "Mundus Digest <digest@example.com>")
+ */
+
+import { randomBytes, randomUUID } from 'node:crypto';
+
+const CRLF = '\r\n';
+const MAX_LINE = 76;
+// Recommended header line length (RFC 5322 2.1.1)
+const MAX_HEADER_LINE = 78;
+// Longest encoded-word (RFC 2047 allows 75 characters)
+const MAX_ENCODED_WORD = 75;
+const ADDRESS_PATTERN = /^[^\s@<>()",;:\\]+@[^\s@<>()",;:\\]+$/;
+
+/**
+ * Whether a string is printable ASCII only
+ * @param {string} value - Text
+ * @returns {boolean} True when no encoding is needed
+ */
+function isPlainAscii(value) {
+  return /^[\x20-\x7e]*$/.test(value);
+}
+
+/**
+ * Reject header values that could inject headers
+ * @param {string} value - Header value
+ * @param {string} name - Header name (for the error message)
+ * @returns {string} The value
+ * @throws {Error} When the value contains a line break
+ */
+function assertSingleLine(value, name) {
+  if (/[\r\n]/.test(value)) {
+    throw new Error(`${name} header must not contain line breaks`);
+  }
+  return value;
+}
+
+/**
+ * Header text on one line: runs of whitespace (line breaks included) become one space
+ * @param {string} value - Text
+ * @returns {string} Single-line text
+ */
+function collapseWhitespace(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Encode header text as RFC 2047 base64 encoded-words when it is not plain ASCII
+ * Words are split on character boundaries and joined with folding whitespace.
+ * @param {string} value - Header text
+ * @returns {string} Header-safe text
+ */
+export function encodeHeaderText(value) {
+  const text = String(value ?? '');
+  if (isPlainAscii(text)) return text;
+
+  // "=?UTF-8?B?" + "?=" is 12 characters; base64 turns 3 bytes into 4
+  const maxBytes = Math.floor((MAX_ENCODED_WORD - 12) / 4) * 3;
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > maxBytes) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join(`${CRLF} `);
+}
+
+/**
+ * Unstructured header (e.g. Subject) with its text folded to 78 columns
+ * ASCII text is folded at spaces; a single word longer than a line is left whole.
+ * Non-ASCII text is folded between encoded-words.
+ * @param {string} name - Header name
+ * @param {string} value - Header text
+ * @returns {string} Header line(s)
+ */
+export function formatHeader(name, value) {
+  const text = collapseWhitespace(value);
+  if (!isPlainAscii(text)) return `${name}: ${encodeHeaderText(text)}`;
+
+  const lines = [];
+  let line = `${name}:`;
+  let empty = true;
+  for (const word of text.split(' ')) {
+    if (!empty && line.length + 1 + word.length > MAX_HEADER_LINE) {
+      lines.push(line);
+      line = '';
+    }
+    line += ` ${word}`;
+    empty = false;
+  }
+  lines.push(line);
+  return lines.join(CRLF);
+}
+
+/**
+ * Format one address, encoding the display name when needed
+ * @param {string} address - "Name <addr@host>" or "addr@host"
+ * @param {string} defaultName - Display name for a bare address (optional)
+ * @returns {string} Header-safe address
+ * @throws {Error} When the address is malformed
+ */
+export function formatAddress(address, defaultName = '') {
+  const value = assertSingleLine(String(address ?? '').trim(), 'Address');
+  const match = value.match(/^(.*?)\s*<([^<>]+)>$/);
+  const email = (match ? match[2] : value).trim();
+  const name = (match ? match[1] : defaultName).trim().replace(/^"(.*)"$/, '$1');
+
+  if (!ADDRESS_PATTERN.test(email)) {
+    throw new Error(`Invalid email address: ${email}`);
+  }
+  if (!name) return email;
+  if (!isPlainAscii(name)) return `${encodeHeaderText(name)} <${email}>`;
+  return `"${name.replace(/(["\\])/g, '\\$1')}" <${email}>`;
+}
+
+/**
+ * Encode text as UTF-8 quoted-printable with CRLF line endings
+ * @param {string} text - Text (any line endings)
+ * @returns {string} Encoded body, lines at most 76 characters
+ */
+export function encodeQuotedPrintable(text) {
+  return String(text ?? '').split(/\r?\n/).map(line => {
+    const bytes = Buffer.from(line);
+    const tokens = [];
+    bytes.forEach((byte, i) => {
+      const last = i === bytes.length - 1;
+      // Printable ASCII except "=", and spaces/tabs unless they end the line
+      const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !last);
+      tokens.push(literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`);
+    });
+
+    // Soft line breaks ("=" at the end) never split an escape sequence
+    const lines = [];
+    let current = '';
+    for (const token of tokens) {
+      if (current.length + token.length > MAX_LINE - 1) {
+        lines.push(`${current}=`);
+        current = '';
+      }
+      current += token;
+    }
+    lines.push(current);
+    return lines.join(CRLF);
+  }).join(CRLF);
+}
+
+/**
+ * Check the `mime` option of a digest request before any work starts
+ * @param {Object} mime - { from, to, reply_to } or null
+ * @returns {Array<Object>} Problems as { path, message } (empty when valid or not requested)
+ */
+export function validateMimeOptions(mime) {
+  if (!mime) return [];
+
+  const errors = [];
+  const check = (path, address) => {
+    try {
+      formatAddress(address);
+    } catch (error) {
+      errors.push({ path, message: error.message });
+    }
+  };
+
+  if (!mime.from && !process.env.EMAIL_FROM) {
+    errors.push({ path: 'mime.from', message: 'is required when EMAIL_FROM is not configured' });
+  }
+  // A broken EMAIL_FROM must fail here, not after the digest is generated
+  if (mime.from || process.env.EMAIL_FROM) check('mime.from', mime.from || process.env.EMAIL_FROM);
+  [].concat(mime.to || []).forEach((address, i) => check(Array.isArray(mime.to) ? `mime.to[${i}]` : 'mime.to', address));
+  if (mime.reply_to) check('mime.reply_to', mime.reply_to);
+  return errors;
+}
+
+/**
+ * RFC 5322 date
+ * @param {Date} date - Date
+ * @returns {string} e.g. "Mon, 19 Oct 2026 06:00:00 +0000"
+ */
+function formatDate(date) {
+  return date.toUTCString().replace(/GMT$/, '+0000');
+}
+
+/**
+ * Build a multipart/alternative message with a text and an HTML part
+ * @param {Object} message - Message fields
+ * @param {string} message.from - Sender ("Name <addr>" or bare address; falls back to EMAIL_FROM)
+ * @param {string|Array<string>} message.to - Recipients (optional; senders that set the envelope may leave it out)
+ * @param {string} message.replyTo - Reply-To address (optional)
+ * @param {string} message.fromName - Display name for a bare From address (optional; whitespace is collapsed)
+ * @param {string} message.subject - Subject (whitespace is collapsed, long subjects are folded)
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - HTML body
+ * @param {Date} message.date - Date header (default now)
+ * @param {string} message.messageId - Local part of the Message-ID, completed with the sender's domain (default random)
+ * @returns {string} Message with CRLF line endings
+ * @throws {Error} When no From address is available or an address is malformed
+ */
+export function buildMimeMessage({ from, to, replyTo, fromName = '', subject, text, html, date = new Date(), messageId }) {
+  const sender = from || process.env.EMAIL_FROM;
+  if (!sender) {
+    throw new Error('From address required (request mime.from or EMAIL_FROM)');
+  }
+  const fromHeader = formatAddress(sender, collapseWhitespace(fromName));
+  const domain = fromHeader.match(/@([^>]+)>?$/)[1];
+  const recipients = [].concat(to || []).map(address => formatAddress(address));
+  const boundary = `=_digest_${randomBytes(12).toString('hex')}`;
+
+  const headers = [
+    `From: ${fromHeader}`,
+    ...(recipients.length > 0 ? [`To: ${recipients.join(`,${CRLF} `)}`] : []),
+    ...(replyTo ? [`Reply-To: ${formatAddress(replyTo)}`] : []),
+    formatHeader('Subject', subject),
+    `Date: ${formatDate(date)}`,
+    `Message-ID: <${String(messageId || randomUUID()).replace(/[^\w.!#$%&'*+/=?^`{|}~-]/g, '-')}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`
+  ];
+
+  const part = (contentType, body) => [
+    `--${boundary}`,
+    `Content-Type: ${contentType}; charset=UTF-8`,
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(body)
+  ].join(CRLF);
+
+  return [
+    ...headers,
+    '',
+    'This is a multipart message in MIME format.',
+    part('text/plain', text),
+    part('text/html', html),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
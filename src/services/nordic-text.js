@@ -0,0 +1,189 @@
+/**
+ * Nordic Text Service
+ * Normalization for local matching of Swedish, Norwegian, Danish and Finnish
+ * (plus English) text: stopwords, light stemming, compound splitting and
+ * diacritic folding
+ */
+
+/**
+ * Stopwords per language (lowercase, unfolded)
+ */
+export const STOPWORDS = {
+  sv: ['och', 'att', 'det', 'som', 'en', 'ett', 'på', 'är', 'av', 'för', 'med', 'till', 'den', 'har', 'de', 'inte',
+    'om', 'i', 'var', 'men', 'sig', 'så', 'kan', 'vid', 'efter', 'från', 'under', 'nu', 'också', 'eller', 'han',
+    'hon', 'vi', 'ni', 'jag', 'du', 'detta', 'denna', 'dessa', 'sina', 'sin', 'sitt', 'när', 'än', 'bara', 'mot',
+    'ska', 'skulle', 'blir', 'blev', 'hade', 'vara', 'varit', 'över', 'där', 'här', 'ut', 'upp'],
+  no: ['og', 'i', 'det', 'på', 'som', 'er', 'en', 'et', 'av', 'for', 'med', 'til', 'den', 'har', 'de', 'ikke', 'om',
+    'var', 'men', 'seg', 'så', 'kan', 'ved', 'etter', 'fra', 'under', 'nå', 'også', 'eller', 'han', 'hun', 'vi',
+    'jeg', 'du', 'dette', 'denne', 'disse', 'sin', 'sitt', 'sine', 'når', 'enn', 'bare', 'mot', 'skal', 'ble',
+    'hadde', 'være', 'vært', 'over', 'der', 'her', 'ut', 'opp', 'at'],
+  da: ['og', 'i', 'det', 'på', 'som', 'er', 'en', 'et', 'af', 'for', 'med', 'til', 'den', 'har', 'de', 'ikke', 'om',
+    'var', 'men', 'sig', 'så', 'kan', 'ved', 'efter', 'fra', 'under', 'nu', 'også', 'eller', 'han', 'hun', 'vi',
+    'jeg', 'du', 'dette', 'denne', 'disse', 'sin', 'sit', 'sine', 'når', 'end', 'bare', 'mod', 'skal', 'blev',
+    'havde', 'være', 'været', 'over', 'der', 'her', 'ud', 'op', 'at'],
+  fi: ['ja', 'on', 'ei', 'se', 'että', 'oli', 'ovat', 'olla', 'kun', 'mutta', 'tai', 'jos', 'niin', 'kuin', 'myös',
+    'sen', 'sekä', 'vain', 'nyt', 'hän', 'he', 'me', 'te', 'minä', 'sinä', 'tämä', 'tuo', 'nämä', 'ne', 'joka',
+    'jotka', 'mukaan', 'jo', 'vielä', 'sitten', 'kanssa', 'koska', 'olisi', 'ollut'],
+  en: ['the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from', 'is', 'are', 'was',
+    'were', 'be', 'been', 'it', 'its', 'as', 'that', 'this', 'these', 'has', 'have', 'had', 'will', 'would', 'but',
+    'not', 'into', 'over', 'after', 'about']
+};
+
+/**
+ * Inflectional suffixes, longest first. sv/no/da share one list; Finnish
+ * case endings are only stripped when the language is known to be Finnish.
+ */
+const SCANDINAVIAN_SUFFIXES = [
+  'heterna', 'hetene', 'hetens', 'heten', 'heter', 'arnas', 'ernas', 'ornas', 'andes', 'endes', 'arens',
+  'arna', 'erna', 'orna', 'ande', 'ende', 'aren', 'erne', 'ene', 'ane', 'het', 'ens', 'ets', 'ers', 'ies',
+  'en', 'et', 'er', 'ar', 'or', 'es', 'as', 'a', 'e', 's'
+];
+const FINNISH_SUFFIXES = [
+  'ssa', 'ssä', 'sta', 'stä', 'lla', 'llä', 'lta', 'ltä', 'lle', 'ksi', 'ineen', 'issa', 'issä', 'ista', 'istä',
+  'illa', 'illä', 'ille', 'iin', 'n', 't'
+];
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Known compound parts (sv/no/da), used to split words like "kärnkraftverk".
+ * Splitting only happens when the whole word decomposes into these parts.
+ */
+export const COMPOUND_PARTS = [
+  // Energy
+  'kärn', 'kjerne', 'kerne', 'atom', 'kraft', 'verk', 'sol', 'cell', 'vind', 'park', 'vatten', 'vann', 'vand',
+  'el', 'nät', 'nett', 'net', 'ström', 'strøm', 'pris', 'bil', 'ladd', 'lade', 'station', 'stolpe', 'batteri',
+  'väte', 'vätgas', 'hydrogen', 'gas', 'olja', 'olje', 'kol', 'kull', 'energi', 'lager', 'värme', 'varme',
+  'pump', 'bränsle', 'brensel', 'havs', 'hav', 'våg', 'bølge', 'turbin', 'reaktor', 'anlägg', 'anlegg', 'anlæg',
+  'produktion', 'produksjon', 'fabrik', 'fabrikk',
+  // Business and politics
+  'bank', 'aktie', 'aksje', 'bolag', 'selskab', 'selskap', 'marknad', 'marked', 'ränta', 'rente', 'skatt', 'skat',
+  'regering', 'regjering', 'budget', 'budsjett', 'handel', 'tull', 'told', 'export', 'eksport', 'import',
+  'industri', 'stål', 'gruv', 'gruve', 'skog', 'fond', 'kris', 'krise', 'bygg', 'byg', 'avtal', 'avtale', 'aftale',
+  'förslag', 'forslag', 'beslut', 'beslutning', 'pension', 'pensjon', 'bostad', 'bolig', 'hus', 'fordon',
+  'kjøretøy', 'lastbil', 'flyg', 'fly', 'tåg', 'tog', 'hamn', 'havn', 'chef', 'sjef', 'minister', 'lag', 'lov'
+];
+const COMPOUND_LINKS = ['s', 'e'];  // Linking morphemes between parts ("solcell-s-park")
+const MIN_COMPOUND_LENGTH = 4;
+
+const compoundParts = new Set(COMPOUND_PARTS);
+const allStopwords = new Set(Object.values(STOPWORDS).flat());
+
+/**
+ * Language code for text analysis from a language tag
+ * @param {string} value - Language tag ("fi", "sv-SE", "nb", ...)
+ * @returns {string|undefined} sv, no, da, fi or en; undefined when unknown
+ */
+export function toLanguageCode(value) {
+  const code = String(value || '').toLowerCase().slice(0, 2);
+  const normalized = code === 'nb' || code === 'nn' ? 'no' : code;
+  return STOPWORDS[normalized] ? normalized : undefined;
+}
+
+/**
+ * Fold diacritics to ASCII ("kärnkraft" → "karnkraft", "strøm" → "strom", "æ" → "ae")
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function foldDiacritics(text) {
+  return (text || '')
+    .replace(/æ/g, 'ae').replace(/Æ/g, 'AE')
+    .replace(/ø/g, 'o').replace(/Ø/g, 'O')
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Whether a token is a stopword
+ * @param {string} token - Lowercase token
+ * @param {string} language - sv, no, da, fi or en (optional; all languages when omitted)
+ * @returns {boolean} True for stopwords
+ */
+export function isStopword(token, language) {
+  const list = language && STOPWORDS[language];
+  return list ? list.includes(token) : allStopwords.has(token);
+}
+
+/**
+ * Light stemming: strip one inflectional suffix
+ * @param {string} token - Lowercase token
+ * @param {string} language - sv, no, da, fi or en (optional)
+ * @returns {string} Stem
+ */
+export function stem(token, language) {
+  const suffixes = language === 'fi' ? FINNISH_SUFFIXES : SCANDINAVIAN_SUFFIXES;
+  for (const suffix of suffixes) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= MIN_STEM_LENGTH) {
+      return token.slice(0, -suffix.length);
+    }
+  }
+  return token;
+}
+
+/**
+ * Split a compound word into known parts
+ * Uses the fewest parts that cover the whole word, allowing linking "s"/"e"
+ * between parts. Words that do not fully decompose are left whole, so
+ * "megasol" never yields "sol".
+ * @param {string} word - Lowercase word
+ * @returns {Array<string>} Parts, or [word] when it cannot be split
+ */
+export function splitCompound(word) {
+  if (word.length < MIN_COMPOUND_LENGTH) return [word];
+
+  // best[i] = fewest-part split of word.slice(0, i)
+  const best = new Array(word.length + 1).fill(null);
+  best[0] = [];
+
+  for (let end = 1; end <= word.length; end++) {
+    for (let start = 0; start < end; start++) {
+      if (!best[start]) continue;
+      const part = word.slice(start, end);
+      if (compoundParts.has(part)) {
+        consider(end, [...best[start], part]);
+      } else if (start > 0 && COMPOUND_LINKS.includes(part[0]) && compoundParts.has(part.slice(1))) {
+        consider(end, [...best[start], part.slice(1)]);
+      }
+    }
+  }
+
+  function consider(end, parts) {
+    if (!best[end] || parts.length < best[end].length) best[end] = parts;
+  }
+
+  const parts = best[word.length];
+  return parts && parts.length > 1 ? parts : [word];
+}
+
+/**
+ * Analyze text into token positions
+ * Each position holds the folded stem first, followed by the folded
+ * compound parts when the word splits. Stopwords are removed.
+ * @param {string} text - Text to analyze
+ * @param {Object} options - Analysis options
+ * @param {string} options.language - sv, no, da, fi or en (optional)
+ * @param {boolean} options.compounds - Add compound parts (default: true)
+ * @returns {Array<Array<string>>} Forms per token position
+ */
+export function analyze(text, { language, compounds = true } = {}) {
+  const tokens = (text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  return tokens
+    .filter(token => !isStopword(token, language))
+    .map(token => {
+      const stemmed = stem(token, language);
+      const parts = compounds ? splitCompound(stemmed) : [stemmed];
+      const forms = [stemmed, ...(parts.length > 1 ? parts : [])].map(foldDiacritics);
+      return [...new Set(forms)];
+    });
+}
+
+/**
+ * Normalized tokens (folded stems, stopwords removed, no compound parts)
+ * @param {string} text - Text to normalize
+ * @param {Object} options - { language }
+ * @returns {Array<string>} Tokens
+ */
+export function normalizeTokens(text, { language } = {}) {
+  return analyze(text, { language, compounds: false }).map(forms => forms[0]);
+}
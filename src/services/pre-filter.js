@@ -3,22 +3,11 @@
  * Semantically filters articles by topic relevance (Stage 1 of two-stage filtering)
  */
 
-/**
- * Build topic keyword hints for semantic understanding
- * @param {Array<string>} topics - Client topics
- * @returns {string} Keyword hints for the topic
- */
-function buildTopicKeywordHints(topics) {
-  const hints = {
-    'Energy': 'solar, wind, batteries, hydrogen, nuclear, grid, power generation, electric vehicles, energy storage, charging infrastructure, renewable energy, fossil fuels, energy policy, power plants, electricity transmission',
-    'Technology': 'software, hardware, AI, machine learning, digital transformation, innovation, startups, tech companies, platforms, SaaS, cloud computing, cybersecurity',
-    'Healthcare': 'medical treatments, pharmaceuticals, hospitals, clinical trials, drugs, patient care, health technology, biotechnology, medical devices',
-    'Finance': 'banking, investments, stock market, trading, financial services, funds, capital markets, fintech, cryptocurrencies',
-    'Politics': 'government policy, elections, legislation, political parties, ministers, parliament, public policy, regulations'
-  };
+import { callLLM, getToolInput } from './anthropic-client.js';
+import { getDefaultTaxonomy, resolveTopics, describeTopicsForPrompt, getTopicExclusions } from './taxonomy.js';
+import { createLogger } from './logger.js';
 
-  return topics.map(topic => hints[topic] || topic).join(', ');
-}
+const log = createLogger('pre-filter', { stage: 'pre_filter' });
 
 /**
  * Format articles for pre-filter prompt
@@ -40,6 +29,25 @@ Summary: ${summary.substring(0, 300)}
   }).join('\n');
 }
 
+/**
+ * Relevant and false-positive examples, taken from the subtopics and exclusions
+ * of the first client topic that has any
+ * @param {Array<Object>} nodes - Resolved topic nodes
+ * @param {string} categoryList - Source categories for the example heading
+ * @returns {string} Example lines (empty when the topic has no subtopics or exclusions)
+ */
+function buildRelevanceExamples(nodes, categoryList) {
+  const topic = nodes.find(node => node.children.length > 0 || getTopicExclusions(node).length > 0);
+  if (!topic) return '';
+
+  const relevant = topic.children.slice(0, 3)
+    .map(child => `- ✅ Article about ${child.name} (${topic.name}) → RELEVANT`);
+  const falsePositives = getTopicExclusions(topic).slice(0, 3)
+    .map(e => `- ❌ Article that only matches "${e.term.replace(/\*$/, '')}"${e.note ? ` (${e.note})` : ''} → NOT RELEVANT`);
+
+  return [`Example: If topic is "${topic.name}" and categories are "${categoryList}":`, ...relevant, ...falsePositives].join('\n');
+}
+
 /**
  * Build pre-filter prompt
  * @param {Array<Object>} articles - Articles to filter
@@ -47,12 +55,15 @@ Summary: ${summary.substring(0, 300)}
  * @param {Array<string>} categories - Source categories (Business, Technology, Politics)
  * @param {string} clientName - Client name
  * @param {number} targetCount - Target number of filtered articles
+ * @param {Object} taxonomy - Topic taxonomy for hints and exclusions
  * @returns {string} Pre-filter prompt
  */
-function buildPreFilterPrompt(articles, topics, categories, clientName, targetCount) {
+function buildPreFilterPrompt(articles, topics, categories, clientName, targetCount, taxonomy) {
   const topicList = topics.join(', ');
-  const keywordHints = buildTopicKeywordHints(topics);
+  const nodes = resolveTopics(taxonomy, topics);
+  const { hints: keywordHints, exclusions } = describeTopicsForPrompt(nodes);
   const categoryList = categories?.join(', ') || 'all categories';
+  const examples = buildRelevanceExamples(nodes, categoryList);
 
   return `You are a content curator for ${clientName}, filtering articles by topic relevance.
 
@@ -62,19 +73,14 @@ SOURCE CATEGORIES: ${categoryList}
 IMPORTANT CONTEXT:
 These articles are already pre-filtered to ${categoryList} categories.
 You are looking for ${categoryList} articles ABOUT ${topicList} topics.
-
-Example: If topic is "Energy" and categories are "Business, Technology, Politics":
-- ✅ Business article about solar company deals → RELEVANT
-- ✅ Technology article about battery innovations → RELEVANT
-- ✅ Politics article about energy policy → RELEVANT
-- ❌ Business article about pharma company → NOT RELEVANT
-- ❌ Banking article (even if company name has "sol") → NOT RELEVANT
-
+${examples ? `
+${examples}
+` : ''}
 You must select the top ${targetCount} articles MOST RELEVANT to these topics using SEMANTIC UNDERSTANDING.
 
 SEMANTIC FILTERING GUIDELINES:
 
-For "${topicList}" topics, look for articles about:
+For "${topicList}" topics, look for articles about (topics, subtopics and terms in any language):
 ${keywordHints}
 
 IMPORTANT SEMANTIC RULES:
@@ -86,17 +92,18 @@ IMPORTANT SEMANTIC RULES:
 
 LANGUAGE AWARENESS:
 - Articles may be in Swedish/Nordic languages
-- Understand Swedish word context: "kraft" (power/force), "vind" (wind/gain), "sol" (sun)
-- "Megasol" banking ≠ solar energy (false positive)
-- "kraftigt vinst" (significant profit) ≠ power generation (false positive)
-
+- Understand word context: a topic term inside a longer word or name does not make an article relevant
+${exclusions ? `
+KNOWN FALSE POSITIVES:
+${exclusions}
+` : ''}
 RELEVANCE SCORING (0-10):
-- 9-10: Directly about ${topicList} with major developments (solar company deals, nuclear investments)
-- 7-8: Clearly related to ${topicList}, significant news (battery tech, energy policy)
-- 5-6: Related to ${topicList}, newsworthy (electric vehicle infrastructure, grid tech)
-- 3-4: Loosely related to ${topicList} or mentions it (energy company earnings, tech developments)
-- 1-2: Minimal connection to ${topicList} (energy mentioned but not main focus)
-- 0: Completely unrelated to ${topicList} (pharma, banking with false positive keywords)
+- 9-10: Directly about ${topicList} with major developments (deals, investments, decisions)
+- 7-8: Clearly related to ${topicList}, significant news
+- 5-6: Related to ${topicList}, newsworthy
+- 3-4: Loosely related to ${topicList} or mentions it (company earnings, adjacent developments)
+- 1-2: Minimal connection to ${topicList} (mentioned but not the main focus)
+- 0: Completely unrelated to ${topicList} (including false positive keywords)
 
 SELECTION CRITERIA:
 - Keep articles scoring 3+ for relevance (inclusive - gives batch processor more to work with)
@@ -104,7 +111,7 @@ SELECTION CRITERIA:
 - Prioritize higher relevance scores
 - Include loosely related articles (score 3-4) - batch processor will filter further
 - ONLY reject completely unrelated articles (score 0-2)
-- Avoid false positives from keyword fragments (Megasol banking, pharma companies)
+- Avoid false positives from keyword fragments (see KNOWN FALSE POSITIVES)
 
 ARTICLES TO FILTER (${articles.length} total):
 
@@ -122,111 +129,131 @@ IMPORTANT:
 - Aim for ${targetCount} articles if enough are relevant`;
 }
 
+/**
+ * Variables available to a stored pre-filter template
+ * @param {Array<Object>} articles - Articles to filter
+ * @param {Array<string>} topics - Client topics
+ * @param {Array<string>} categories - Source categories
+ * @param {string} clientName - Client name
+ * @param {number} targetCount - Target number of filtered articles
+ * @param {Object} taxonomy - Topic taxonomy for hints and exclusions
+ * @returns {Object} Template variables
+ */
+export function buildPreFilterPromptVariables(articles, topics, categories, clientName, targetCount, taxonomy) {
+  const nodes = resolveTopics(taxonomy, topics);
+  const { hints, exclusions } = describeTopicsForPrompt(nodes);
+  const categoryList = categories?.join(', ') || 'all categories';
+
+  return {
+    client_name: clientName,
+    topics,
+    topic_list: topics.join(', '),
+    topic_hints: hints,
+    exclusions,
+    examples: buildRelevanceExamples(nodes, categoryList),
+    categories: categories || [],
+    category_list: categoryList,
+    target_count: targetCount,
+    article_count: articles.length,
+    articles: articles.map((article, idx) => ({
+      id: article.article_id || article.id || `article_${idx + 1}`,
+      title: article.title || 'Untitled',
+      source: article.source_name || article.source || 'Unknown',
+      summary: (article.summary || 'No summary available').substring(0, 300)
+    })),
+    articles_text: formatArticlesForPreFilter(articles),
+    tool_name: 'filter_articles_by_topic'
+  };
+}
+
 /**
  * Pre-filter articles using Claude Tool Use API
  * @param {Object} options - Pre-filter options
  * @returns {Promise<Array>} Filtered article IDs with scores
  */
-export async function preFilterArticles({ articles, topics, categories, clientName, targetCount = 100 }) {
-  console.log(`[PRE-FILTER] Starting semantic filtering: ${articles.length} articles → ${targetCount} target`);
-  console.log(`[PRE-FILTER] Client: ${clientName}, Topics: ${topics.join(', ')}, Categories: ${categories?.join(', ') || 'all'}`);
+export async function preFilterArticles({ articles, topics, categories, clientName, targetCount = 100, taxonomy = getDefaultTaxonomy(), promptTemplate = null, signal, onUsage }) {
+  log.info(`Starting semantic filtering: ${articles.length} articles → ${targetCount} target`);
+  log.info(`Client: ${clientName}, Topics: ${topics.join(', ')}, Categories: ${categories?.join(', ') || 'all'}`);
 
   if (!topics || topics.length === 0) {
-    console.log(`[PRE-FILTER] No topics specified, skipping pre-filter (returning all articles)`);
+    log.info(`No topics specified, skipping pre-filter (returning all articles)`);
     return articles.slice(0, targetCount);
   }
 
   const startTime = Date.now();
 
   try {
-    // Build prompt with category context
-    const prompt = buildPreFilterPrompt(articles, topics, categories, clientName, targetCount);
-
-    // Call Claude API with Tool Use
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 4000,
-        temperature: 0.1,  // Low temperature for consistent filtering
-        tools: [{
-          name: 'filter_articles_by_topic',
-          description: 'Filter articles to find the most relevant ones for specified topics using semantic understanding',
-          input_schema: {
-            type: 'object',
-            properties: {
-              filtered_articles: {
-                type: 'array',
-                description: 'Array of articles relevant to the client topics',
-                items: {
-                  type: 'object',
-                  properties: {
-                    article_id: {
-                      type: 'string',
-                      description: 'Original article ID from the input list'
-                    },
-                    relevance_score: {
-                      type: 'number',
-                      minimum: 0,
-                      maximum: 10,
-                      description: 'Relevance score 0-10 for this article'
-                    },
-                    relevance_reason: {
-                      type: 'string',
-                      maxLength: 150,
-                      description: 'Brief explanation of why this article is relevant'
-                    }
+    // Build prompt with category context (stored template when one is configured)
+    const prompt = promptTemplate?.render
+      ? promptTemplate.render(buildPreFilterPromptVariables(articles, topics, categories, clientName, targetCount, taxonomy))
+      : buildPreFilterPrompt(articles, topics, categories, clientName, targetCount, taxonomy);
+
+    // Call LLM with Tool Use
+    const data = await callLLM({
+      stage: 'pre_filter',
+      prompt,
+      max_tokens: 4000,
+      temperature: 0.1,  // Low temperature for consistent filtering
+      tools: [{
+        name: 'filter_articles_by_topic',
+        description: 'Filter articles to find the most relevant ones for specified topics using semantic understanding',
+        input_schema: {
+          type: 'object',
+          properties: {
+            filtered_articles: {
+              type: 'array',
+              description: 'Array of articles relevant to the client topics',
+              items: {
+                type: 'object',
+                properties: {
+                  article_id: {
+                    type: 'string',
+                    description: 'Original article ID from the input list'
                   },
-                  required: ['article_id', 'relevance_score', 'relevance_reason']
-                }
-              },
-              excluded_count: {
-                type: 'number',
-                description: 'Number of articles excluded as not relevant'
-              },
-              filtering_notes: {
-                type: 'string',
-                description: 'Optional notes about filtering decisions'
+                  relevance_score: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 10,
+                    description: 'Relevance score 0-10 for this article'
+                  },
+                  relevance_reason: {
+                    type: 'string',
+                    maxLength: 150,
+                    description: 'Brief explanation of why this article is relevant'
+                  }
+                },
+                required: ['article_id', 'relevance_score', 'relevance_reason']
               }
             },
-            required: ['filtered_articles', 'excluded_count']
-          }
-        }],
-        tool_choice: {
-          type: 'tool',
-          name: 'filter_articles_by_topic'
-        },
-        messages: [
-          { role: 'user', content: prompt }
-        ]
-      })
+            excluded_count: {
+              type: 'number',
+              description: 'Number of articles excluded as not relevant'
+            },
+            filtering_notes: {
+              type: 'string',
+              description: 'Optional notes about filtering decisions'
+            }
+          },
+          required: ['filtered_articles', 'excluded_count']
+        }
+      }],
+      tool_choice: {
+        type: 'tool',
+        name: 'filter_articles_by_topic'
+      },
+      signal,
+      label: 'pre-filter',
+      onUsage
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Claude API failed (pre-filter): ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-
     // Extract tool use result
-    const toolUseContent = data.content.find(c => c.type === 'tool_use');
-    if (!toolUseContent) {
-      throw new Error('No tool use in Claude response');
-    }
-
-    const filterResult = toolUseContent.input;
+    const filterResult = getToolInput(data, 'filter_articles_by_topic');
 
     const duration = Date.now() - startTime;
-    console.log(`[PRE-FILTER] ✅ Filtered in ${duration}ms: ${filterResult.filtered_articles.length} articles selected, ${filterResult.excluded_count} excluded`);
+    log.info(`Filtered in ${duration}ms: ${filterResult.filtered_articles.length} articles selected, ${filterResult.excluded_count} excluded`);
 
     if (filterResult.filtering_notes) {
-      console.log(`[PRE-FILTER] Notes: ${filterResult.filtering_notes}`);
+      log.info(`Notes: ${filterResult.filtering_notes}`);
     }
 
     // Map filtered article IDs back to original article objects
@@ -246,12 +273,12 @@ export async function preFilterArticles({ articles, topics, categories, clientNa
       }
     });
 
-    console.log(`[PRE-FILTER] Returning ${filteredArticles.length} semantically filtered articles`);
+    log.info(`Returning ${filteredArticles.length} semantically filtered articles`);
 
     return filteredArticles;
 
   } catch (error) {
-    console.error(`[PRE-FILTER] ❌ Error:`, error.message);
+    log.error('Pre-filter failed', { error: error.message });
     throw error;
   }
 }
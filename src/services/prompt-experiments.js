@@ -0,0 +1,156 @@
+/**
+ * Prompt Experiments Service
+ * A/B variants of stage prompt templates: deterministic assignment, outcome
+ * rows per digest and aggregate stats per variant
+ *
+ * Variants are rows in the prompts table with a `variant` name and a
+ * `traffic_percent`. Traffic not claimed by variants goes to the control
+ * (the template the stage would use without the experiment, or the built-in
+ * prompt).
+ *
+ * Configuration (environment):
+ *   PROMPT_EXPERIMENT_UNIT - 'client' (default) or 'request'; rows can override it with `assign_by`
+ */
+
+import { createHash } from 'node:crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('prompt-experiments');
+
+export const CONTROL_VARIANT = 'control';
+const ASSIGNMENT_UNITS = ['client', 'request'];
+
+/**
+ * Deterministic bucket in [0, 100) for an experiment and unit
+ * @param {string} experiment - Experiment key (prompt name)
+ * @param {string} unitId - Client ID or request ID
+ * @returns {number} Bucket (two decimals of resolution)
+ */
+export function assignmentBucket(experiment, unitId) {
+  const hash = createHash('sha256').update(`${experiment}:${unitId}`).digest();
+  return (hash.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * Active variant rows for a prompt
+ * Client-specific variants replace global ones for that client; the
+ * highest version wins per variant name.
+ * @param {Array<Object>} rows - prompts rows
+ * @param {string} name - Prompt name
+ * @param {string} clientId - Client ID
+ * @returns {Array<Object>} Variant rows sorted by variant name
+ */
+export function selectVariants(rows, name, clientId) {
+  const candidates = rows.filter(row => row.name === name && row.variant && row.is_active !== false && row.template);
+  const clientRows = candidates.filter(row => clientId && row.client_id === clientId);
+  const scoped = clientRows.length > 0 ? clientRows : candidates.filter(row => !row.client_id);
+
+  const newest = new Map();
+  for (const row of scoped) {
+    const current = newest.get(row.variant);
+    if (!current || (Number(row.version) || 0) > (Number(current.version) || 0)) {
+      newest.set(row.variant, row);
+    }
+  }
+
+  return [...newest.values()].sort((a, b) => a.variant.localeCompare(b.variant));
+}
+
+/**
+ * Assign a variant for one prompt
+ * Buckets are walked in variant-name order; a bucket past the summed
+ * traffic_percent of all variants gets the control.
+ * @param {Array<Object>} variants - Variant rows from selectVariants
+ * @param {string} name - Prompt name
+ * @param {Object} units - { clientId, requestId }
+ * @returns {Object|null} { row, variant, assign_by } - row is null for the control; null when there is no experiment
+ */
+export function assignVariant(variants, name, { clientId, requestId }) {
+  if (variants.length === 0) return null;
+
+  const configured = variants[0].assign_by || process.env.PROMPT_EXPERIMENT_UNIT || 'client';
+  const assignBy = ASSIGNMENT_UNITS.includes(configured) ? configured : 'client';
+  const unitId = assignBy === 'request' ? requestId : clientId;
+  const bucket = assignmentBucket(name, unitId);
+
+  let cumulative = 0;
+  for (const row of variants) {
+    cumulative += Math.max(0, Number(row.traffic_percent) || 0);
+    if (bucket < cumulative) {
+      return { row, variant: row.variant, assign_by: assignBy };
+    }
+  }
+
+  if (cumulative > 100) {
+    log.warn(`Variants of ${name} claim ${cumulative}% traffic, later variants are underserved`);
+  }
+  return { row: null, variant: CONTROL_VARIANT, assign_by: assignBy };
+}
+
+/**
+ * Outcome rows for the experiments a digest took part in (one per stage with a variant).
+ * The email variant only counts when the AI email was sent, not the template fallback.
+ * @param {Object} result - Digest response (report + _metadata)
+ * @param {Object} outcome - { latencyMs, usage: usage tracker summary with per-stage tokens }
+ * @returns {Array<Object>} prompt_variant_outcomes rows
+ */
+export function buildVariantOutcomes(result, { latencyMs, usage }) {
+  const metadata = result.report.metadata;
+
+  return Object.entries(result._metadata.prompts || {})
+    .filter(([, prompt]) => prompt?.variant)
+    .filter(([stage]) => stage !== 'email' || result._metadata.email_generated_by === 'ai')
+    .map(([stage, prompt]) => ({
+      prompt_name: prompt.name,
+      stage,
+      variant: prompt.variant,
+      prompt_version: prompt.version,
+      client_id: result._metadata.client_id,
+      request_id: result._metadata.request_id,
+      articles_included: metadata.articles_included,
+      main_stories: metadata.main_stories,
+      b_side_stories: metadata.b_side_stories,
+      json_failures: metadata.json_failures || 0,
+      latency_ms: latencyMs,
+      input_tokens: usage?.stages?.[stage]?.input_tokens || 0,
+      output_tokens: usage?.stages?.[stage]?.output_tokens || 0,
+      created_at: result._metadata.generated_at
+    }));
+}
+
+/**
+ * Aggregate outcome rows per prompt and variant
+ * @param {Array<Object>} outcomes - prompt_variant_outcomes rows
+ * @returns {Array<Object>} Stats per { prompt_name, variant }, sorted by prompt then variant
+ */
+export function aggregateVariantStats(outcomes) {
+  const groups = new Map();
+  for (const row of outcomes) {
+    const key = `${row.prompt_name}\u0000${row.variant}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  const average = (rows, field) => Math.round(rows.reduce((sum, r) => sum + (Number(r[field]) || 0), 0) / rows.length * 100) / 100;
+  const total = (rows, field) => rows.reduce((sum, r) => sum + (Number(r[field]) || 0), 0);
+
+  return [...groups.values()]
+    .map(rows => {
+      const main = total(rows, 'main_stories');
+      const bSide = total(rows, 'b_side_stories');
+      return {
+        prompt_name: rows[0].prompt_name,
+        stage: rows[0].stage,
+        variant: rows[0].variant,
+        digests: rows.length,
+        avg_articles_included: average(rows, 'articles_included'),
+        main_ratio: main + bSide > 0 ? Math.round(main / (main + bSide) * 1000) / 1000 : null,
+        json_failures: total(rows, 'json_failures'),
+        json_failures_per_digest: average(rows, 'json_failures'),
+        avg_latency_ms: Math.round(average(rows, 'latency_ms')),
+        avg_input_tokens: Math.round(average(rows, 'input_tokens')),
+        avg_output_tokens: Math.round(average(rows, 'output_tokens'))
+      };
+    })
+    .sort((a, b) => a.prompt_name.localeCompare(b.prompt_name) || a.variant.localeCompare(b.variant));
+}
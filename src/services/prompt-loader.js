@@ -1,9 +1,32 @@
 /**
  * Prompt Loader Service
- * Loads prompts from Supabase and handles variable interpolation
+ * Supabase data access: clients, stage prompt templates and experiment
+ * variants, taxonomy, usage, experiment outcomes and the article cache
+ *
+ * Stage prompts are rendered by template-renderer.js with the variables built
+ * in pre-filter.js, batch-processor.js and email-generator.js. The first-generation loader (a single
+ * prompt with `prompt_variables` definitions and flat {{name}} interpolation)
+ * is retired; the prompt_variables table is no longer read.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { compileTemplate } from './template-renderer.js';
+import { selectVariants, assignVariant } from './prompt-experiments.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('prompt-loader');
+
+/**
+ * Template names in the prompts table, per pipeline stage
+ */
+export const STAGE_PROMPT_NAMES = {
+  pre_filter: 'digest-pre-filter',
+  batch: 'digest-batch',
+  email: 'digest-email'
+};
+
+// PostgREST's default max-rows; unbounded reads page through results this many rows at a time
+const PAGE_SIZE = 1000;
 
 let supabaseClient = null;
 
@@ -23,32 +46,27 @@ function getSupabaseClient() {
 }
 
 /**
- * Load prompt from Supabase
- * @param {string} promptName - Name of prompt to load (e.g., 'mundus-multi-article-digest')
- * @returns {Promise<Object>} Prompt object with template and variables
+ * Read every row of a query, page by page
+ * A single select returns at most max-rows rows (1000 by default) without
+ * any error, so reads that can grow past that must page. The query needs a
+ * deterministic order for pages not to overlap or skip rows.
+ * @param {Function} buildQuery - Returns a fresh ordered query
+ * @param {string} what - Description for the error message
+ * @returns {Promise<Array>} All rows
+ * @throws {Error} When any page fails
  */
-export async function loadPrompt(promptName) {
-  const supabase = getSupabaseClient();
-
-  console.log(`[PROMPT-LOADER] Loading prompt: ${promptName}`);
+async function selectAllPages(buildQuery, what) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
 
-  const { data, error } = await supabase
-    .from('prompts')
-    .select('*')
-    .eq('name', promptName)
-    .single();
-
-  if (error) {
-    console.error('[PROMPT-LOADER] Error loading prompt:', error);
-    throw new Error(`Failed to load prompt '${promptName}': ${error.message}`);
-  }
+    if (error) {
+      throw new Error(`Failed to load ${what}: ${error.message}`);
+    }
 
-  if (!data) {
-    throw new Error(`Prompt '${promptName}' not found in database`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
   }
-
-  console.log(`[PROMPT-LOADER] Loaded prompt: ${promptName}`);
-  return data;
 }
 
 /**
@@ -59,7 +77,7 @@ export async function loadPrompt(promptName) {
 export async function loadClient(clientId) {
   const supabase = getSupabaseClient();
 
-  console.log(`[PROMPT-LOADER] Loading client: ${clientId}`);
+  log.info(`Loading client: ${clientId}`);
 
   const { data, error } = await supabase
     .from('digest_clients')
@@ -68,7 +86,7 @@ export async function loadClient(clientId) {
     .single();
 
   if (error) {
-    console.error('[PROMPT-LOADER] Error loading client:', error);
+    log.error('Error loading client', { error });
     throw new Error(`Failed to load client '${clientId}': ${error.message}`);
   }
 
@@ -76,65 +94,262 @@ export async function loadClient(clientId) {
     throw new Error(`Client '${clientId}' not found in database`);
   }
 
-  console.log(`[PROMPT-LOADER] Loaded client: ${data.name || clientId}`);
+  log.info(`Loaded client: ${data.name || clientId}`);
   return data;
 }
 
 /**
- * Load prompt variables from Supabase
- * @returns {Promise<Array>} Array of variable definitions
+ * Load topic taxonomy rows from Supabase
+ * Rows are flat: { id, parent_id, name, description, synonyms, exclusions }.
+ * @returns {Promise<Array>} Taxonomy rows
  */
-export async function loadPromptVariables() {
+export async function loadTaxonomyRows() {
   const supabase = getSupabaseClient();
 
-  console.log(`[PROMPT-LOADER] Loading prompt variables`);
+  log.info(`Loading topic taxonomy`);
 
   const { data, error } = await supabase
-    .from('prompt_variables')
+    .from('topic_taxonomy')
     .select('*');
 
   if (error) {
-    console.warn('[PROMPT-LOADER] Warning loading variables:', error.message);
-    return [];
+    throw new Error(`Failed to load topic taxonomy: ${error.message}`);
   }
 
   return data || [];
 }
 
 /**
- * Interpolate variables into prompt template
- * @param {string} template - Template string
- * @param {Object} variables - Variables to interpolate
- * @returns {string} Interpolated template
+ * Pick the template row to use for one prompt name (ignoring experiment variants)
+ * Active client-specific rows win over global rows (client_id null); the
+ * highest version wins within each.
+ * @param {Array<Object>} rows - prompts rows { name, version, template, client_id, is_active }
+ * @param {string} name - Prompt name
+ * @param {string} clientId - Client ID
+ * @returns {Object|null} Selected row
+ */
+export function selectPromptVersion(rows, name, clientId) {
+  const candidates = rows.filter(row => row.name === name && !row.variant && row.is_active !== false && row.template);
+  const newest = (list) => list.sort((a, b) => (Number(b.version) || 0) - (Number(a.version) || 0))[0] || null;
+
+  return newest(candidates.filter(row => clientId && row.client_id === clientId))
+    || newest(candidates.filter(row => !row.client_id));
+}
+
+/**
+ * Load and compile the stage prompt templates for a client
+ * Stages with experiment variants get the assigned variant's template (the
+ * control keeps the regular template). Stages without a usable template
+ * (none stored, template does not compile, Supabase unavailable, or
+ * PROMPT_TEMPLATES=off) are null and use the built-in prompt; a built-in
+ * control has `render: null`.
+ * @param {string} clientId - Client ID
+ * @param {Object} options - { requestId } for per-request variant assignment
+ * @returns {Promise<Object>} { pre_filter, batch, email }, each { name, version, source, variant, render } or null
+ */
+export async function loadStagePrompts(clientId, { requestId } = {}) {
+  const stages = Object.fromEntries(Object.keys(STAGE_PROMPT_NAMES).map(stage => [stage, null]));
+
+  if (process.env.PROMPT_TEMPLATES === 'off') {
+    return stages;
+  }
+
+  let rows;
+  try {
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase
+      .from('prompts')
+      .select('*')
+      .in('name', Object.values(STAGE_PROMPT_NAMES));
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    rows = data || [];
+  } catch (error) {
+    log.warn('Failed to load prompt templates, using built-in prompts', { error: error.message });
+    return stages;
+  }
+
+  for (const [stage, name] of Object.entries(STAGE_PROMPT_NAMES)) {
+    const assignment = assignVariant(selectVariants(rows, name, clientId), name, { clientId, requestId });
+    const row = assignment?.row || selectPromptVersion(rows, name, clientId);
+    const variant = assignment?.variant ?? null;
+
+    if (!row) {
+      if (assignment) {
+        stages[stage] = { name, version: null, source: 'built-in', variant, render: null };
+        log.info(`Using built-in prompt for ${name} (variant ${variant})`);
+      }
+      continue;
+    }
+
+    try {
+      stages[stage] = {
+        name,
+        version: row.version ?? null,
+        source: row.client_id ? 'client' : 'global',
+        variant,
+        render: compileTemplate(row.template)
+      };
+      log.info(`Using ${stages[stage].source} template ${name} v${row.version}${variant ? ` (variant ${variant})` : ''}`);
+    } catch (error) {
+      log.warn(`Template ${name} v${row.version} is invalid, using built-in prompt: ${error.message}`);
+    }
+  }
+
+  return stages;
+}
+
+/**
+ * Describe the prompt used for a stage, for digest metadata
+ * @param {string} stage - pre_filter, batch or email
+ * @param {Object|null} promptTemplate - Loaded stage template, or null for the built-in prompt
+ * @returns {Object} { name, version, source, variant } - variant is null outside experiments
+ */
+export function describeStagePrompt(stage, promptTemplate) {
+  if (!promptTemplate) {
+    return { name: STAGE_PROMPT_NAMES[stage], version: null, source: 'built-in', variant: null };
+  }
+  const { name, version, source, variant } = promptTemplate;
+  return { name, version, source, variant };
+}
+
+/**
+ * Store experiment outcome rows in prompt_variant_outcomes
+ * @param {Array<Object>} outcomes - Outcome rows
+ * @returns {Promise<void>}
  */
-export function interpolateTemplate(template, variables) {
-  let result = template;
+export async function saveVariantOutcomes(outcomes) {
+  const supabase = getSupabaseClient();
 
-  // Replace all {{variable}} patterns
-  Object.entries(variables).forEach(([key, value]) => {
-    const pattern = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-    const stringValue = value === null || value === undefined ? '' : String(value);
-    result = result.replace(pattern, stringValue);
-  });
+  const { error } = await supabase
+    .from('prompt_variant_outcomes')
+    .insert(outcomes);
 
-  return result;
+  if (error) {
+    throw new Error(`Failed to store prompt variant outcomes: ${error.message}`);
+  }
 }
 
 /**
- * Build interpolation variables for prompt
- * @param {Object} client - Client object from Supabase
- * @param {Array<Object>} articles - Articles array
- * @param {string} country - Country name
- * @returns {Object} Variables for interpolation
+ * Load experiment outcome rows (all pages)
+ * @param {Object} filters - { promptName, since } (both optional; since is an ISO timestamp)
+ * @returns {Promise<Array>} Outcome rows, oldest first
  */
-export function buildInterpolationVariables(client, articles, country) {
-  return {
-    client_name: client.name || '',
-    client_brief: client.preferences?.client_brief || client.brief || client.description || '',
-    country: country || '',
-    articles: articles.map(a => `- ${a.title} (${a.source})`).join('\n'),
-    article_count: articles.length.toString(),
-    article_titles: articles.map(a => a.title).join(', '),
-    article_sources: Array.from(new Set(articles.map(a => a.source))).join(', ')
-  };
+export async function loadVariantOutcomes({ promptName, since } = {}) {
+  const supabase = getSupabaseClient();
+
+  // A digest writes one row per stage, all with its request_id and timestamp
+  return selectAllPages(() => {
+    let query = supabase
+      .from('prompt_variant_outcomes')
+      .select('*')
+      .order('created_at', { ascending: true })
+      .order('request_id', { ascending: true })
+      .order('stage', { ascending: true });
+    if (promptName) query = query.eq('prompt_name', promptName);
+    if (since) query = query.gte('created_at', since);
+    return query;
+  }, 'prompt variant outcomes');
+}
+
+/**
+ * Load cached article analyses from Supabase
+ * @param {Array<string>} keys - Cache keys
+ * @returns {Promise<Array>} article_analysis_cache rows { cache_key, entry, stored_at }
+ */
+export async function loadArticleAnalyses(keys) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('article_analysis_cache')
+    .select('*')
+    .in('cache_key', keys);
+
+  if (error) {
+    throw new Error(`Failed to load cached article analyses: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Store cached article analyses in Supabase (upsert by cache_key)
+ * @param {Array<Object>} rows - { cache_key, entry, stored_at }
+ * @returns {Promise<void>}
+ */
+export async function saveArticleAnalyses(rows) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('article_analysis_cache')
+    .upsert(rows, { onConflict: 'cache_key' });
+
+  if (error) {
+    throw new Error(`Failed to store cached article analyses: ${error.message}`);
+  }
+}
+
+/**
+ * Store one digest usage record in digest_usage
+ * @param {Object} record - { client_id, request_id, status, created_at, token fields, cost_usd, stages }
+ * @returns {Promise<void>}
+ */
+export async function saveUsageRecord(record) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('digest_usage')
+    .insert(record);
+
+  if (error) {
+    throw new Error(`Failed to store usage record: ${error.message}`);
+  }
+}
+
+/**
+ * Load digest usage records (all pages)
+ * @param {Object} filters - { clientId, from, to, columns } (all optional; from/to are ISO timestamps, to is exclusive; columns defaults to '*')
+ * @returns {Promise<Array>} digest_usage rows, oldest first
+ */
+export async function loadUsageRecords({ clientId, from, to, columns = '*' } = {}) {
+  const supabase = getSupabaseClient();
+
+  return selectAllPages(() => {
+    let query = supabase
+      .from('digest_usage')
+      .select(columns)
+      .order('created_at', { ascending: true })
+      .order('request_id', { ascending: true });
+    if (clientId) query = query.eq('client_id', clientId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lt('created_at', to);
+    return query;
+  }, 'usage records');
+}
+
+/**
+ * Count digest usage records in the database without loading them
+ * @param {Object} filters - { clientId, from, to, status } (all optional; from/to are ISO timestamps, to is exclusive)
+ * @returns {Promise<number>} Number of matching rows
+ */
+export async function countUsageRecords({ clientId, from, to, status } = {}) {
+  const supabase = getSupabaseClient();
+
+  let query = supabase
+    .from('digest_usage')
+    .select('*', { count: 'exact', head: true });
+  if (clientId) query = query.eq('client_id', clientId);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lt('created_at', to);
+  if (status) query = query.eq('status', status);
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to count usage records: ${error.message}`);
+  }
+
+  return count || 0;
 }
@@ -0,0 +1,61 @@
+/**
+ * Anthropic Provider
+ * Messages API backend - requests and responses are already in the
+ * normalized (Anthropic) shape, so this is mostly pass-through
+ */
+
+const DEFAULT_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: 'claude-sonnet-4-5-20250929',
+  retryableStatuses: [429, 500, 529],
+
+  /**
+   * Throw if the provider cannot make live calls (checked before network use only,
+   * so fixture replay works without credentials)
+   */
+  validateConfig() {
+    if (!process.env.ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY not configured');
+  },
+
+  /**
+   * Build the HTTP request for a normalized call
+   * @param {Object} params - { model, max_tokens, temperature, system, messages, prefill, tools, tool_choice }
+   * @returns {Object} { url, headers, body }
+   */
+  buildRequest({ model, max_tokens, temperature, system, messages, prefill, tools, tool_choice }) {
+    const body = {
+      model,
+      max_tokens,
+      temperature,
+      messages: [
+        ...messages,
+        ...(prefill ? [{ role: 'assistant', content: prefill }] : [])
+      ]
+    };
+    if (system) body.system = system;
+    if (tools) body.tools = tools;
+    if (tool_choice) body.tool_choice = tool_choice;
+
+    return {
+      url: process.env.ANTHROPIC_API_URL || DEFAULT_API_URL,  // Override to point at the mock server
+      headers: {
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'content-type': 'application/json',
+      },
+      body
+    };
+  },
+
+  /**
+   * Convert a raw API response to the normalized shape
+   * @param {Object} data - Raw response JSON
+   * @returns {Object} Normalized response ({ content, stop_reason, usage, model })
+   */
+  parseResponse(data) {
+    return data;
+  }
+};
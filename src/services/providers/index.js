@@ -0,0 +1,50 @@
+/**
+ * LLM Provider Registry
+ * Resolves which provider and model each pipeline stage uses
+ *
+ * Configuration (environment):
+ *   LLM_PROVIDER / LLM_MODEL                   - defaults for every stage
+ *   LLM_<STAGE>_PROVIDER / LLM_<STAGE>_MODEL   - per-stage overrides
+ *     where <STAGE> is PRE_FILTER, BATCH or EMAIL
+ */
+
+import { anthropicProvider } from './anthropic-provider.js';
+import { openaiProvider } from './openai-provider.js';
+
+const providers = {
+  anthropic: anthropicProvider,
+  openai: openaiProvider
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name ('anthropic' or 'openai')
+ * @returns {Object} Provider implementation
+ */
+export function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider '${name}' (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve provider and model for a pipeline stage
+ * @param {string} stage - Stage name (e.g. 'pre_filter', 'batch', 'email'); optional
+ * @returns {Object} { provider, model }
+ */
+export function resolveStageConfig(stage) {
+  const prefix = stage ? `LLM_${stage.toUpperCase()}_` : null;
+  const stageProvider = prefix ? process.env[`${prefix}PROVIDER`] : undefined;
+  const providerName = stageProvider || process.env.LLM_PROVIDER || 'anthropic';
+  const provider = getProvider(providerName);
+
+  // A global LLM_MODEL only applies when the stage didn't switch provider
+  const usesGlobalProvider = !stageProvider || stageProvider === (process.env.LLM_PROVIDER || 'anthropic');
+  const model = (prefix && process.env[`${prefix}MODEL`])
+    || (usesGlobalProvider ? process.env.LLM_MODEL : undefined)
+    || provider.defaultModel;
+
+  return { provider, model };
+}
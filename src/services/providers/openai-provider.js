@@ -0,0 +1,157 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat Completions backend for OpenAI or any compatible server (vLLM,
+ * llama.cpp, Ollama, LM Studio). Maps Anthropic-style tool definitions,
+ * tool_choice and assistant prefill onto chat completions and maps the
+ * response back to the normalized (Anthropic) shape.
+ */
+
+const FINISH_REASON_MAP = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+/**
+ * Map an Anthropic tool_choice to the chat-completions equivalent
+ * @param {Object} toolChoice - Anthropic tool_choice
+ * @returns {string|Object|undefined} Chat-completions tool_choice
+ */
+function mapToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  switch (toolChoice.type) {
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    default:
+      return 'auto';
+  }
+}
+
+/**
+ * Flatten Anthropic message content (string or blocks) to a string
+ * @param {string|Array<Object>} content - Message content
+ * @returns {string} Text content
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  return (content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+export const openaiProvider = {
+  name: 'openai',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o',
+  retryableStatuses: [429, 500, 502, 503],
+
+  /**
+   * OpenAI-compatible local servers often need no key, so nothing is required
+   */
+  validateConfig() {},
+
+  /**
+   * Build the HTTP request for a normalized call
+   * Chat completions has no assistant prefill, so a prefill is turned into a
+   * "start your reply with" instruction (plus JSON mode for a '{' prefill) and
+   * stripped again in parseResponse.
+   * @param {Object} params - { model, max_tokens, temperature, system, messages, prefill, tools, tool_choice }
+   * @returns {Object} { url, headers, body }
+   */
+  buildRequest({ model, max_tokens, temperature, system, messages, prefill, tools, tool_choice }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const apiKey = process.env.OPENAI_API_KEY;
+
+    let systemText = system || '';
+    if (prefill) {
+      systemText += `${systemText ? '\n\n' : ''}Begin your reply with exactly: ${prefill}`;
+    }
+
+    const body = {
+      model,
+      max_tokens,
+      temperature,
+      messages: [
+        ...(systemText ? [{ role: 'system', content: systemText }] : []),
+        ...messages.map(m => ({ role: m.role, content: contentToText(m.content) }))
+      ]
+    };
+
+    if (prefill?.trim().startsWith('{')) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    if (tools) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }));
+    }
+    const mappedChoice = mapToolChoice(tool_choice);
+    if (mappedChoice) body.tool_choice = mappedChoice;
+
+    return {
+      url: `${baseUrl}/chat/completions`,
+      headers: {
+        'content-type': 'application/json',
+        ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {})
+      },
+      body,
+      prefill
+    };
+  },
+
+  /**
+   * Convert a chat-completions response to the normalized shape
+   * @param {Object} data - Raw response JSON
+   * @param {Object} request - Request built by buildRequest
+   * @returns {Object} Normalized response ({ content, stop_reason, usage, model })
+   */
+  parseResponse(data, request = {}) {
+    const choice = data.choices?.[0] || {};
+    const message = choice.message || {};
+    const content = [];
+
+    let text = message.content || '';
+    // The model was asked to start with the prefill; callers re-add it themselves
+    if (request.prefill && text.trimStart().startsWith(request.prefill)) {
+      text = text.trimStart().substring(request.prefill.length);
+    }
+    if (text) {
+      content.push({ type: 'text', text });
+    }
+
+    (message.tool_calls || []).forEach(call => {
+      let input;
+      try {
+        input = JSON.parse(call.function?.arguments || '{}');
+      } catch {
+        throw new Error(`Tool call '${call.function?.name}' returned invalid JSON arguments`);
+      }
+      content.push({ type: 'tool_use', id: call.id, name: call.function?.name, input });
+    });
+
+    return {
+      id: data.id,
+      model: data.model,
+      content,
+      stop_reason: FINISH_REASON_MAP[choice.finish_reason] || choice.finish_reason || null,
+      usage: {
+        // Anthropic counts cached prompt tokens separately from input_tokens; match that
+        input_tokens: (data.usage?.prompt_tokens || 0) - (data.usage?.prompt_tokens_details?.cached_tokens || 0),
+        output_tokens: data.usage?.completion_tokens || 0,
+        cache_read_input_tokens: data.usage?.prompt_tokens_details?.cached_tokens || 0
+      }
+    };
+  }
+};
@@ -0,0 +1,180 @@
+/**
+ * Quota Service
+ * Per-client limits on digests per day, tokens per month and articles per
+ * request, checked before any LLM call
+ *
+ * Limits live in the `quota` jsonb column of digest_clients:
+ *   { digests_per_day, tokens_per_month, articles_per_request, mode: 'hard' | 'soft', soft_target_count }
+ * Missing limits fall back to the environment; 0 or unset means unlimited.
+ *
+ * Configuration (environment):
+ *   QUOTA_DIGESTS_PER_DAY      - Default completed digests per UTC day
+ *   QUOTA_TOKENS_PER_MONTH     - Default tokens (input + output + cache) per UTC month
+ *   QUOTA_ARTICLES_PER_REQUEST - Default articles per request (after URL dedupe)
+ *   QUOTA_MODE                 - Default mode: 'hard' (reject) or 'soft' (degrade)
+ *   QUOTA_SOFT_TARGET_COUNT    - Articles sent to batch analysis when degraded (default: 50)
+ */
+
+import { loadUsageRecords, countUsageRecords } from './prompt-loader.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('quota');
+
+const TOKEN_COLUMNS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+
+const LIMIT_ENV = {
+  digests_per_day: 'QUOTA_DIGESTS_PER_DAY',
+  tokens_per_month: 'QUOTA_TOKENS_PER_MONTH',
+  articles_per_request: 'QUOTA_ARTICLES_PER_REQUEST'
+};
+
+/**
+ * Thrown when a hard quota is exceeded
+ * `status` is the HTTP status to answer with: 429 for the daily digest
+ * limit, 402 for the monthly token budget, 413 for too many articles.
+ */
+export class QuotaExceededError extends Error {
+  constructor(message, { limit, limitValue, current, status, retryAfter = null }) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.code = 'quota_exceeded';
+    this.limit = limit;
+    this.limitValue = limitValue;
+    this.current = current;
+    this.status = status;
+    this.retryAfter = retryAfter;  // Seconds until the limit resets (null when waiting does not help)
+  }
+}
+
+/**
+ * Effective limits for a client (client quota over environment defaults)
+ * @param {Object} client - digest_clients row
+ * @returns {Object} { digests_per_day, tokens_per_month, articles_per_request, mode, soft_target_count } - null limits are unlimited
+ */
+export function getClientQuota(client) {
+  const quota = client.quota || {};
+  const limit = (name) => {
+    const value = Number(quota[name] ?? process.env[LIMIT_ENV[name]] ?? 0);
+    return value > 0 ? value : null;
+  };
+
+  return {
+    digests_per_day: limit('digests_per_day'),
+    tokens_per_month: limit('tokens_per_month'),
+    articles_per_request: limit('articles_per_request'),
+    mode: (quota.mode || process.env.QUOTA_MODE) === 'soft' ? 'soft' : 'hard',
+    soft_target_count: Number(quota.soft_target_count) || parseInt(process.env.QUOTA_SOFT_TARGET_COUNT || '50', 10)
+  };
+}
+
+/**
+ * Start of the current UTC day and month, and when they end
+ * @param {Date} now - Current time
+ * @returns {Object} { dayStart, monthStart, dayEnd, monthEnd } as Dates
+ */
+function periods(now) {
+  return {
+    dayStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    dayEnd: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+    monthStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    monthEnd: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  };
+}
+
+/**
+ * Total tokens (input + output + cache) of digest_usage rows
+ * @param {Array<Object>} records - Usage records
+ * @returns {number} Token count
+ */
+export function sumUsageTokens(records) {
+  return records.reduce((sum, record) => sum + TOKEN_COLUMNS.reduce((total, column) => total + (record[column] || 0), 0), 0);
+}
+
+/**
+ * Client usage in the current periods
+ * Completed digests are counted by the database; tokens are summed over every
+ * record of the month, loaded page by page with the token columns only. Only
+ * the usage a limit needs is loaded.
+ * @param {string} clientId - Client ID
+ * @param {Object} limits - Effective limits (getClientQuota)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { digests_today, tokens_this_month }
+ */
+async function loadClientUsage(clientId, limits, now) {
+  const { dayStart, monthStart } = periods(now);
+
+  const [digestsToday, tokensThisMonth] = await Promise.all([
+    limits.digests_per_day
+      ? countUsageRecords({ clientId, from: dayStart.toISOString(), status: 'completed' })
+      : 0,
+    limits.tokens_per_month
+      ? loadUsageRecords({ clientId, from: monthStart.toISOString(), columns: TOKEN_COLUMNS.join(',') }).then(sumUsageTokens)
+      : 0
+  ]);
+
+  return { digests_today: digestsToday, tokens_this_month: tokensThisMonth };
+}
+
+/**
+ * Check a request against the client's quota
+ * Hard mode throws on the first exceeded limit. Soft mode never throws: an
+ * exceeded digest or token limit degrades the digest (smaller target count,
+ * template email) and too many articles are cut to the limit after local
+ * ranking. Usage that cannot be loaded is treated as zero.
+ * @param {Object} client - digest_clients row
+ * @param {Object} request - { articleCount, now }
+ * @returns {Promise<Object>} { mode, limits, usage, exceeded, degraded, articleLimit, targetCount }
+ * @throws {QuotaExceededError} In hard mode when a limit is exceeded
+ */
+export async function checkClientQuota(client, { articleCount, now = new Date() }) {
+  const limits = getClientQuota(client);
+  const { dayEnd, monthEnd } = periods(now);
+
+  let usage = { digests_today: 0, tokens_this_month: 0 };
+  if (limits.digests_per_day || limits.tokens_per_month) {
+    try {
+      usage = await loadClientUsage(client.id, limits, now);
+    } catch (error) {
+      log.warn(`Could not load usage for ${client.id}, not enforcing usage limits`, { error: error.message });
+    }
+  }
+
+  const secondsUntil = (date) => Math.ceil((date.getTime() - now.getTime()) / 1000);
+  const exceeded = [];
+  if (limits.articles_per_request && articleCount > limits.articles_per_request) {
+    exceeded.push({ limit: 'articles_per_request', limit_value: limits.articles_per_request, current: articleCount, status: 413, retry_after: null });
+  }
+  if (limits.digests_per_day && usage.digests_today >= limits.digests_per_day) {
+    exceeded.push({ limit: 'digests_per_day', limit_value: limits.digests_per_day, current: usage.digests_today, status: 429, retry_after: secondsUntil(dayEnd) });
+  }
+  if (limits.tokens_per_month && usage.tokens_this_month >= limits.tokens_per_month) {
+    exceeded.push({ limit: 'tokens_per_month', limit_value: limits.tokens_per_month, current: usage.tokens_this_month, status: 402, retry_after: secondsUntil(monthEnd) });
+  }
+
+  if (exceeded.length > 0 && limits.mode === 'hard') {
+    const first = exceeded[0];
+    throw new QuotaExceededError(
+      `Client ${client.id} exceeded ${first.limit} (${first.current} of ${first.limit_value})`,
+      { limit: first.limit, limitValue: first.limit_value, current: first.current, status: first.status, retryAfter: first.retry_after }
+    );
+  }
+
+  const degraded = exceeded.some(e => e.limit !== 'articles_per_request');
+  if (exceeded.length > 0) {
+    log.warn(`Client ${client.id} over soft limit(s) ${exceeded.map(e => e.limit).join(', ')}${degraded ? ', degrading digest' : ''}`);
+  }
+
+  return {
+    mode: limits.mode,
+    limits: {
+      digests_per_day: limits.digests_per_day,
+      tokens_per_month: limits.tokens_per_month,
+      articles_per_request: limits.articles_per_request
+    },
+    usage,
+    exceeded: exceeded.map(e => e.limit),
+    degraded,
+    articleLimit: limits.articles_per_request,
+    targetCount: degraded ? limits.soft_target_count : null
+  };
+}
@@ -3,13 +3,25 @@
  * Merges batch processing results into final digest
  */
 
+import { canonicalizeUrl } from './article-formatter.js';
+import { normalizeTokens, toLanguageCode } from './nordic-text.js';
+import { createLogger } from './logger.js';
+import { renderDigestEmail, renderDigestText, escapeHtml, getEmailLabels } from './email-renderer.js';
+
+const log = createLogger('result-merger', { stage: 'merge' });
+
+// Near-duplicate thresholds (Jaccard similarity of word shingles, 0-1)
+const DEDUP_TITLE_THRESHOLD = parseFloat(process.env.DEDUP_TITLE_THRESHOLD || '0.8');  // Title alone
+const DEDUP_COMBINED_TITLE_THRESHOLD = parseFloat(process.env.DEDUP_COMBINED_TITLE_THRESHOLD || '0.5');  // Title and...
+const DEDUP_CONTENT_THRESHOLD = parseFloat(process.env.DEDUP_CONTENT_THRESHOLD || '0.3');  // ...content together
+
 /**
  * Normalize article structure to match frontend expectations
  * Ensures source is an object and paragraphs is an array
  * @param {Object} article - Article to normalize
  * @returns {Object} Normalized article
  */
-function normalizeArticle(article) {
+export function normalizeArticle(article) {
   // Normalize source to object format
   let source = article.source;
   if (typeof source === 'string') {
@@ -49,17 +61,35 @@ function normalizeArticle(article) {
  * @param {Array<Object>} batchResults - Results from all batches
  * @param {Object} client - Client information
  * @param {Object} last_digest - Previous digest for context
+ * @param {Object} options - Merge options
+ * @param {number} options.inputDuplicates - Input articles already dropped as URL duplicates
+ * @param {string} options.language - Client language: stories are written and the template email rendered in it (default: the client's preference)
  * @returns {Object} Final merged digest
  */
-export function mergeBatchResults(batchResults, client, last_digest) {
-  console.log(`[RESULT-MERGER] Merging ${batchResults.length} batch results`);
+export function mergeBatchResults(batchResults, client, last_digest, { inputDuplicates = 0, language = client.preferences?.language } = {}) {
+  log.info(`Merging ${batchResults.length} batch results`);
 
   // Collect all filtered articles from all batches
   const allFilteredArticles = [];
   let totalSkipped = 0;
   let totalDuplicates = 0;
 
+  const failedBatches = [];
+  const repairedArticles = [];
+  const droppedArticles = [];
+  const truncatedBatches = [];
+
   batchResults.forEach(result => {
+    if (result.failures?.length > 0) {
+      failedBatches.push(...result.failures);
+    }
+    if (result.truncations?.length > 0) {
+      truncatedBatches.push(...result.truncations);
+    }
+    if (result.validation) {
+      repairedArticles.push(...result.validation.repaired.map(r => ({ batch_number: result.batchNumber, ...r })));
+      droppedArticles.push(...result.validation.dropped.map(d => ({ batch_number: result.batchNumber, ...d })));
+    }
     if (result.articles && Array.isArray(result.articles)) {
       // Normalize each article to match frontend expectations
       const normalizedArticles = result.articles.map(normalizeArticle);
@@ -69,46 +99,190 @@ export function mergeBatchResults(batchResults, client, last_digest) {
     totalDuplicates += result.duplicates || 0;
   });
 
-  console.log(`[RESULT-MERGER] Total filtered articles: ${allFilteredArticles.length}`);
-  console.log(`[RESULT-MERGER] Total skipped: ${totalSkipped}`);
-  console.log(`[RESULT-MERGER] Total duplicates: ${totalDuplicates}`);
+  log.info(`Total filtered articles: ${allFilteredArticles.length}`);
+  log.info(`Total skipped: ${totalSkipped}`);
+  log.info(`Total duplicates: ${totalDuplicates}`);
+
+  const unprocessedArticleIds = failedBatches.flatMap(f => f.article_ids);
+  if (failedBatches.length > 0) {
+    log.warn(`Incomplete digest: ${failedBatches.length} failed batch(es), ${unprocessedArticleIds.length} unprocessed articles`);
+  }
+
+  // Batches only see their own articles - collapse the same story reported across batches
+  const { stories, mergedCount } = mergeDuplicateStories(allFilteredArticles, { language });
 
   // Sort articles by relevance score (highest first)
-  allFilteredArticles.sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0));
+  stories.sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0));
 
   // Categorize into sections
-  const sections = categorizeArticles(allFilteredArticles);
+  const sections = categorizeArticles(stories);
 
   // Build final digest structure
-  const digest = {
-    report: {
-      metadata: {
-        generated_at: new Date().toISOString(),
-        articles_reviewed: batchResults.reduce((sum, r) => sum + (r.articles?.length || 0) + (r.skipped || 0), 0),
-        articles_included: allFilteredArticles.length,
-        main_stories: sections.main.length,
-        b_side_stories: sections.b_side.length,
-        duplicates_removed: totalDuplicates,
-        batches_processed: batchResults.length
-      },
-      main_stories: sections.main,  // Top-level array for frontend
-      sections: {
-        news: sections.main.filter(a => a.category === 'news'),
-        business: sections.main.filter(a => a.category === 'business'),
-        politics: sections.main.filter(a => a.category === 'politics'),
-        eu_relations: sections.main.filter(a => a.category === 'eu_relations')
-      },
-      b_side: {
-        news: sections.b_side.filter(a => a.category === 'news'),
-        business: sections.b_side.filter(a => a.category === 'business'),
-        politics: sections.b_side.filter(a => a.category === 'politics'),
-        eu_relations: sections.b_side.filter(a => a.category === 'eu_relations')
+  const report = {
+    metadata: {
+      generated_at: new Date().toISOString(),
+      articles_reviewed: batchResults.reduce((sum, r) => sum + (r.articles?.length || 0) + (r.skipped || 0), 0),
+      articles_included: stories.length,
+      main_stories: sections.main.length,
+      b_side_stories: sections.b_side.length,
+      duplicates_removed: totalDuplicates + mergedCount + inputDuplicates,
+      cross_batch_duplicates: mergedCount,
+      input_url_duplicates: inputDuplicates,
+      batches_processed: batchResults.filter(r => !r.cached).length,
+      batches_split: batchResults.filter(r => r.split).length,
+      json_failures: batchResults.reduce((sum, r) => sum + (r.outputErrors || 0), 0),
+      incomplete: failedBatches.length > 0,
+      failed_batches: failedBatches,
+      unprocessed_article_ids: unprocessedArticleIds,
+      truncated_batches: truncatedBatches,
+      salvage_applied: truncatedBatches.some(t => t.salvaged),
+      validation: {
+        repaired_count: repairedArticles.length,
+        dropped_count: droppedArticles.length,
+        repaired: repairedArticles,
+        dropped: droppedArticles
       }
     },
-    email: generateEmailSummary(sections, client)
+    main_stories: sections.main,  // Top-level array for frontend
+    sections: {
+      news: sections.main.filter(a => a.category === 'news'),
+      business: sections.main.filter(a => a.category === 'business'),
+      politics: sections.main.filter(a => a.category === 'politics'),
+      eu_relations: sections.main.filter(a => a.category === 'eu_relations')
+    },
+    b_side: {
+      news: sections.b_side.filter(a => a.category === 'news'),
+      business: sections.b_side.filter(a => a.category === 'business'),
+      politics: sections.b_side.filter(a => a.category === 'politics'),
+      eu_relations: sections.b_side.filter(a => a.category === 'eu_relations')
+    }
   };
 
-  return digest;
+  return {
+    report,
+    email: generateEmailSummary(report, client, language)
+  };
+}
+
+/**
+ * Shingle set of a text: normalized word unigrams plus bigrams
+ * Bigrams keep "energy story 1" and "energy story 12" apart; unigrams keep
+ * short, reworded titles comparable. Stemming and folding let "Kärnkraftverket"
+ * and "kärnkraftverk" match.
+ * @param {string} text - Text to shingle
+ * @param {string} language - Text language (optional; Finnish case endings are only stripped for fi)
+ * @returns {Set<string>} Shingles
+ */
+export function shingle(text, language) {
+  const tokens = normalizeTokens(text, { language });
+  const shingles = new Set(tokens);
+  for (let i = 0; i < tokens.length - 1; i++) {
+    shingles.add(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return shingles;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} 0-1 (0 when either set is empty)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Whether two stories cover the same event
+ * @param {Object} a - Story fingerprint { url, title, content }
+ * @param {Object} b - Story fingerprint
+ * @returns {boolean} True for duplicates
+ */
+function isDuplicateStory(a, b) {
+  if (a.url && a.url === b.url) return true;
+
+  const titleSimilarity = jaccard(a.title, b.title);
+  if (titleSimilarity >= DEDUP_TITLE_THRESHOLD) return true;
+
+  return titleSimilarity >= DEDUP_COMBINED_TITLE_THRESHOLD &&
+    jaccard(a.content, b.content) >= DEDUP_CONTENT_THRESHOLD;
+}
+
+/**
+ * Rank stories within a duplicate cluster: main before b_side, then score, then summary length
+ * @param {Object} a - Story
+ * @param {Object} b - Story
+ * @returns {number} Sort order
+ */
+function compareStoryQuality(a, b) {
+  return (b.priority === 'main') - (a.priority === 'main') ||
+    (b.relevance_score || 0) - (a.relevance_score || 0) ||
+    b.paragraphs.join(' ').length - a.paragraphs.join(' ').length;
+}
+
+/**
+ * Cluster near-duplicate stories and keep the best one per cluster
+ * Stories match on canonical URL or on title/content shingle similarity.
+ * The kept story lists the others under additional_sources.
+ * @param {Array<Object>} stories - Normalized stories from all batches
+ * @param {Object} options - { language } - the client language the batches wrote the stories in (optional)
+ * @returns {Object} { stories, mergedCount }
+ */
+export function mergeDuplicateStories(stories, { language } = {}) {
+  const code = toLanguageCode(language);
+  const fingerprints = stories.map(story => ({
+    url: canonicalizeUrl(story.source?.url),
+    title: shingle(story.title, code),
+    content: shingle(story.paragraphs.join(' '), code)
+  }));
+
+  // Union-find over pairwise matches
+  const parent = stories.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < stories.length; i++) {
+    for (let j = i + 1; j < stories.length; j++) {
+      if (find(i) !== find(j) && isDuplicateStory(fingerprints[i], fingerprints[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  stories.forEach((story, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(story);
+  });
+
+  const merged = [];
+  for (const cluster of clusters.values()) {
+    if (cluster.length === 1) {
+      merged.push(cluster[0]);
+      continue;
+    }
+
+    const [best, ...others] = [...cluster].sort(compareStoryQuality);
+    const seen = new Set([canonicalizeUrl(best.source.url)]);
+    const additionalSources = [];
+
+    for (const other of others) {
+      const key = canonicalizeUrl(other.source.url) || `${other.source.name}|${other.title}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      additionalSources.push({ name: other.source.name, url: other.source.url, title: other.title, article_id: other.article_id });
+    }
+
+    log.info(`Merged ${others.length} duplicate(s) into "${best.title}"`);
+    merged.push({ ...best, additional_sources: additionalSources });
+  }
+
+  return { stories: merged, mergedCount: stories.length - merged.length };
 }
 
 /**
@@ -124,31 +298,41 @@ function categorizeArticles(articles) {
 }
 
 /**
- * Generate email summary from sections
- * @param {Object} sections - Categorized sections
+ * Template email for a report (used when the AI email is skipped or fails)
+ * @param {Object} report - Merged digest report
  * @param {Object} client - Client information
- * @returns {Object} Email object
+ * @param {string} language - Email language (en, sv, no, da or fi)
+ * @returns {Object} Email object { subject, body_html, body_text, intro_html, key_highlights }
  */
-function generateEmailSummary(sections, client) {
-  const topStories = sections.main.slice(0, 3);
+function generateEmailSummary(report, client, language) {
+  const topStories = report.main_stories.slice(0, 3);
+  const labels = getEmailLabels(language);
 
   const highlights = topStories.map(story =>
-    `${story.title}${story.continued_from_previous ? ' (Continued)' : ''}`
+    `${story.title}${story.continued_from_previous ? ` (${labels.continued})` : ''}`
   );
 
-  // Simple email template
-  const bodyHtml = `
-    <p>Dear ${client.name},</p>
-    <p>Here are today's key developments:</p>
-    <ul>
-      ${highlights.map(h => `<li>${h}</li>`).join('\n      ')}
-    </ul>
-    <p>Best regards,<br>Mundus Digest Team</p>
-  `;
+  // Greeting and highlights above the rendered digest
+  const introHtml = `<p>${escapeHtml(labels.greeting)} ${escapeHtml(client.name)},</p>
+<p>${escapeHtml(labels.key_developments)}</p>
+<ul>
+${highlights.map(h => `<li>${escapeHtml(h)}</li>`).join('\n')}
+</ul>
+<p>${escapeHtml(labels.sign_off)}<br>${escapeHtml(labels.team)}</p>`;
+
+  const subject = `${client.name} Digest: ${topStories[0]?.title || labels.daily_update}`;
 
   return {
-    subject: `${client.name} Digest: ${topStories[0]?.title || 'Daily Update'}`,
-    body_html: bodyHtml.trim(),
+    subject,
+    body_html: renderDigestEmail(report, {
+      client,
+      subject,
+      introHtml,
+      preheader: highlights[0] || '',
+      language
+    }),
+    body_text: renderDigestText(report, { client, introHtml, language }),
+    intro_html: introHtml,
     key_highlights: highlights
   };
 }
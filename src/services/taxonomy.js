@@ -0,0 +1,235 @@
+/**
+ * Taxonomy Service
+ * Hierarchical topic taxonomy (Energy → Nuclear, Solar, Grid) with
+ * multilingual synonyms and exclusion terms. Feeds the pre-filter and batch
+ * prompts and local lexical scoring.
+ *
+ * Configuration (environment):
+ *   TAXONOMY_SOURCE       - 'file' (default) or 'supabase' (topic_taxonomy table, file as fallback)
+ *   TAXONOMY_FILE         - JSON file path (default: src/config/taxonomy.json)
+ *   TAXONOMY_CACHE_TTL_MS - How long a loaded taxonomy is reused (default: 300000)
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { loadTaxonomyRows } from './prompt-loader.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('taxonomy');
+
+const DEFAULT_TAXONOMY_FILE = fileURLToPath(new URL('../config/taxonomy.json', import.meta.url));
+const TAXONOMY_CACHE_TTL_MS = parseInt(process.env.TAXONOMY_CACHE_TTL_MS || '300000', 10);
+
+let defaultTaxonomy = null;
+let cached = null;  // { taxonomy, loadedAt }
+
+/**
+ * Lookup key for topic names and IDs ("Electric Vehicles" → "electric_vehicles")
+ * @param {string} value - Topic name or ID
+ * @returns {string} Key
+ */
+function topicKey(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Normalize an exclusion entry to { term, note }
+ * @param {string|Object} entry - "megasol" or { term, note }
+ * @returns {Object|null} Exclusion
+ */
+function toExclusion(entry) {
+  if (typeof entry === 'string') return entry.trim() ? { term: entry.trim(), note: null } : null;
+  if (entry && typeof entry.term === 'string' && entry.term.trim()) {
+    return { term: entry.term.trim(), note: entry.note || null };
+  }
+  return null;
+}
+
+/**
+ * Build an indexed taxonomy from a nested definition
+ * @param {Object} definition - { version, topics: [{ id, name, description, synonyms, exclusions, children }] }
+ * @returns {Object} Taxonomy { version, fingerprint, roots, byKey } - fingerprint changes with any edit to the definition
+ * @throws {Error} When the definition has no topics array
+ */
+export function buildTaxonomy(definition) {
+  if (!definition || !Array.isArray(definition.topics)) {
+    throw new Error('Taxonomy definition must have a topics array');
+  }
+
+  const byKey = new Map();
+
+  const buildNode = (raw, parent) => {
+    if (!raw?.name) {
+      throw new Error(`Taxonomy topic under '${parent?.name || 'root'}' has no name`);
+    }
+
+    const node = {
+      id: raw.id || topicKey(raw.name),
+      name: raw.name,
+      description: raw.description || null,
+      synonyms: raw.synonyms && typeof raw.synonyms === 'object' ? raw.synonyms : {},
+      exclusions: (raw.exclusions || []).map(toExclusion).filter(Boolean),
+      parent,
+      children: []
+    };
+    node.children = (raw.children || []).map(child => buildNode(child, node));
+
+    byKey.set(topicKey(node.id), node);
+    byKey.set(topicKey(node.name), node);
+    return node;
+  };
+
+  const roots = definition.topics.map(topic => buildNode(topic, null));
+  // Table rows carry no version, so edits are detected by content
+  const fingerprint = createHash('sha256').update(JSON.stringify(definition)).digest('hex').substring(0, 16);
+  return { version: definition.version || 1, fingerprint, roots, byKey };
+}
+
+/**
+ * Build a taxonomy from flat topic_taxonomy rows (parent_id links children)
+ * @param {Array<Object>} rows - { id, parent_id, name, description, synonyms, exclusions }
+ * @returns {Object} Taxonomy
+ */
+export function buildTaxonomyFromRows(rows) {
+  const nodes = new Map(rows.map(row => [row.id, { ...row, children: [] }]));
+  const topics = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    (parent ? parent.children : topics).push(node);
+  }
+
+  return buildTaxonomy({ topics });
+}
+
+/**
+ * Bundled taxonomy file, loaded synchronously on first use
+ * Used when no taxonomy is passed explicitly (local scoring, prompt builders).
+ * @returns {Object} Taxonomy
+ */
+export function getDefaultTaxonomy() {
+  if (!defaultTaxonomy) {
+    const file = process.env.TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE;
+    defaultTaxonomy = buildTaxonomy(JSON.parse(readFileSync(file, 'utf8')));
+  }
+  return defaultTaxonomy;
+}
+
+/**
+ * Load the taxonomy from the configured source (cached for TAXONOMY_CACHE_TTL_MS)
+ * Supabase errors or an empty table fall back to the JSON file.
+ * @param {Object} options - { force } to bypass the cache
+ * @returns {Promise<Object>} Taxonomy
+ */
+export async function loadTaxonomy({ force = false } = {}) {
+  if (!force && cached && Date.now() - cached.loadedAt < TAXONOMY_CACHE_TTL_MS) {
+    return cached.taxonomy;
+  }
+
+  let taxonomy = null;
+
+  if (process.env.TAXONOMY_SOURCE === 'supabase') {
+    try {
+      const rows = await loadTaxonomyRows();
+      if (rows.length > 0) {
+        taxonomy = buildTaxonomyFromRows(rows);
+        log.info(`Loaded ${rows.length} topics from Supabase`);
+      } else {
+        log.warn('topic_taxonomy is empty, using taxonomy file');
+      }
+    } catch (error) {
+      log.warn('Failed to load from Supabase, using taxonomy file', { error: error.message });
+    }
+  }
+
+  if (!taxonomy) {
+    const file = process.env.TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE;
+    taxonomy = buildTaxonomy(JSON.parse(await readFile(file, 'utf8')));
+    log.info(`Loaded ${taxonomy.roots.flatMap(subtree).length} topics from ${file}`);
+  }
+
+  cached = { taxonomy, loadedAt: Date.now() };
+  return taxonomy;
+}
+
+/**
+ * Resolve client topic names to taxonomy nodes
+ * Unknown topics become standalone nodes whose only synonym is the topic
+ * itself, so a new client topic still works before the taxonomy knows it.
+ * @param {Object} taxonomy - Taxonomy
+ * @param {Array<string>} topics - Topic names or IDs
+ * @returns {Array<Object>} Topic nodes
+ */
+export function resolveTopics(taxonomy, topics = []) {
+  return topics.map(topic => taxonomy.byKey.get(topicKey(topic)) || {
+    id: topicKey(topic),
+    name: topic,
+    description: null,
+    synonyms: { en: [topic] },
+    exclusions: [],
+    parent: null,
+    children: [],
+    unknown: true
+  });
+}
+
+/**
+ * All nodes in a subtree (node first)
+ * @param {Object} node - Topic node
+ * @returns {Array<Object>} Nodes
+ */
+function subtree(node) {
+  return [node, ...node.children.flatMap(subtree)];
+}
+
+/**
+ * Match terms for a topic: its name and synonyms in every language, plus those of all subtopics
+ * @param {Object} node - Topic node
+ * @returns {Array<string>} Terms (may end in * for prefix matching)
+ */
+export function getTopicTerms(node) {
+  const terms = subtree(node).flatMap(n => [n.name, ...Object.values(n.synonyms).flat()]);
+  return [...new Set(terms.map(t => t.toLowerCase()))];
+}
+
+/**
+ * Exclusions that apply to a topic: its own, its ancestors' and its subtopics'
+ * @param {Object} node - Topic node
+ * @returns {Array<Object>} Exclusions { term, note }
+ */
+export function getTopicExclusions(node) {
+  const ancestors = [];
+  for (let p = node.parent; p; p = p.parent) ancestors.push(p);
+
+  const seen = new Set();
+  return [...ancestors, ...subtree(node)]
+    .flatMap(n => n.exclusions)
+    .filter(e => !seen.has(e.term) && seen.add(e.term));
+}
+
+/**
+ * Describe topics for an LLM prompt: synonyms per topic and subtopic, then exclusions
+ * @param {Array<Object>} nodes - Resolved topic nodes
+ * @returns {Object} { hints, exclusions } - prompt lines (exclusions is empty when there are none)
+ */
+export function describeTopicsForPrompt(nodes) {
+  const display = (terms) => [...new Set(terms.map(t => t.replace(/\*$/, '')))].join(', ');
+
+  const lines = [];
+  const describe = (node, depth) => {
+    const terms = display(Object.values(node.synonyms).flat());
+    lines.push(`${'  '.repeat(depth)}- ${node.name}${terms ? `: ${terms}` : ''}`);
+    node.children.forEach(child => describe(child, depth + 1));
+  };
+  nodes.forEach(node => describe(node, 0));
+
+  const seen = new Set();
+  const exclusions = nodes
+    .flatMap(getTopicExclusions)
+    .filter(e => !seen.has(e.term) && seen.add(e.term))
+    .map(e => `- "${e.term.replace(/\*$/, '')}"${e.note ? `: ${e.note}` : ''} (NOT relevant)`);
+
+  return { hints: lines.join('\n'), exclusions: exclusions.join('\n') };
+}
@@ -0,0 +1,187 @@
+/**
+ * Template Renderer Service
+ * Small logic-light template language for prompt templates stored in Supabase
+ *
+ * Syntax:
+ *   {{name}} {{client.name}}           - Value (arrays are joined with ", "; missing values render empty)
+ *   {{#if topics}}...{{else}}...{{/if}} - Conditional (empty arrays and strings are false)
+ *   {{#unless last_digest}}...{{/unless}}
+ *   {{#each articles}}...{{/each}}      - Loop; item fields are in scope, plus {{this}},
+ *                                         {{@index}} (0-based), {{@number}} (1-based), {{@first}}, {{@last}};
+ *                                         {{else}} renders when the list is empty
+ */
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Parse a template into a node tree
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Nodes: { type: 'text' | 'var' | 'if' | 'unless' | 'each', ... }
+ * @throws {Error} On unknown blocks or unbalanced tags
+ */
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.elseChildren : node.children;
+  };
+  const lineAt = (index) => template.slice(0, index).split('\n').length;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [tag, sigil, body] = match;
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', text: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (sigil === '#') {
+      const [block, path] = body.split(/\s+/, 2);
+      if (!BLOCKS.includes(block) || !path) {
+        throw new Error(`Template error on line ${lineAt(match.index)}: invalid block tag ${tag}`);
+      }
+      const node = { type: block, path, children: [], elseChildren: [], inElse: false, line: lineAt(match.index) };
+      current().push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      const open = stack[stack.length - 1];
+      if (stack.length === 1 || open.type !== body) {
+        throw new Error(`Template error on line ${lineAt(match.index)}: unexpected ${tag}`);
+      }
+      stack.pop();
+    } else if (body === 'else') {
+      const open = stack[stack.length - 1];
+      if (stack.length === 1 || open.inElse) {
+        throw new Error(`Template error on line ${lineAt(match.index)}: unexpected {{else}}`);
+      }
+      open.inElse = true;
+    } else {
+      current().push({ type: 'var', path: body });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Template error: {{#${open.type} ${open.path}}} on line ${open.line} is never closed`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', text: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Look up a dotted path in the scope chain (innermost scope first)
+ * @param {Array<Object>} scopes - Scope chain
+ * @param {string} path - "name", "client.name", "this" or "@index"
+ * @returns {*} Value, or undefined
+ */
+function lookup(scopes, path) {
+  if (path === 'this') return scopes[scopes.length - 1].this;
+
+  const [head, ...rest] = path.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Template truthiness: empty arrays and empty strings are false
+ * @param {*} value - Value
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Render a value as text
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Array<Object>} scopes - Scope chain
+ * @returns {string} Output
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.text;
+        break;
+      case 'var':
+        output += toText(lookup(scopes, node.path));
+        break;
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(lookup(scopes, node.path));
+        output += renderNodes(truthy === (node.type === 'if') ? node.children : node.elseChildren, scopes);
+        break;
+      }
+      case 'each': {
+        const list = lookup(scopes, node.path);
+        if (!isTruthy(list) || !Array.isArray(list)) {
+          output += renderNodes(node.elseChildren, scopes);
+          break;
+        }
+        list.forEach((item, index) => {
+          const itemScope = {
+            ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+            this: item,
+            '@index': index,
+            '@number': index + 1,
+            '@first': index === 0,
+            '@last': index === list.length - 1
+          };
+          output += renderNodes(node.children, [...scopes, itemScope]);
+        });
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Compile a template once for repeated rendering
+ * @param {string} template - Template source
+ * @returns {Function} (variables) => rendered string
+ * @throws {Error} When the template does not parse
+ */
+export function compileTemplate(template) {
+  const nodes = parse(template);
+  return (variables = {}) => renderNodes(nodes, [variables]);
+}
+
+/**
+ * Render a template with variables
+ * @param {string} template - Template source
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered text
+ * @throws {Error} When the template does not parse
+ */
+export function renderTemplate(template, variables = {}) {
+  return compileTemplate(template)(variables);
+}
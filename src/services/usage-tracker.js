@@ -0,0 +1,223 @@
+/**
+ * Usage Tracker Service
+ * Token usage and cost accounting per LLM call, stage and digest, and
+ * per-client summaries of stored usage records
+ *
+ * Configuration (environment):
+ *   LLM_PRICES_FILE - Price table JSON (default: src/config/llm-prices.json)
+ *   LLM_PRICES      - JSON object of per-model prices merged over the file,
+ *                     e.g. {"claude-sonnet-4":{"input":3,"output":15,"cache_write":3.75,"cache_read":0.3}}
+ *
+ * Prices are per million tokens. A model uses the entry with the longest
+ * matching prefix, so "claude-sonnet-4" covers "claude-sonnet-4-5-20250929".
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { saveUsageRecord } from './prompt-loader.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('usage');
+
+const DEFAULT_PRICES_FILE = fileURLToPath(new URL('../config/llm-prices.json', import.meta.url));
+const TOKEN_FIELDS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+export const USAGE_STAGES = ['pre_filter', 'batch', 'email'];
+
+let priceTable = null;
+const warnedModels = new Set();
+
+/**
+ * Price table: file entries with LLM_PRICES merged over them (loaded once)
+ * @returns {Object} { currency, models: { [modelPrefix]: { input, output, cache_write, cache_read } } }
+ * @throws {Error} When LLM_PRICES is not valid JSON
+ */
+export function getPriceTable() {
+  if (!priceTable) {
+    const file = JSON.parse(readFileSync(process.env.LLM_PRICES_FILE || DEFAULT_PRICES_FILE, 'utf8'));
+    let overrides = {};
+    if (process.env.LLM_PRICES) {
+      try {
+        overrides = JSON.parse(process.env.LLM_PRICES);
+      } catch (error) {
+        throw new Error(`LLM_PRICES is not valid JSON: ${error.message}`);
+      }
+    }
+    priceTable = { currency: file.currency || 'USD', models: { ...file.models, ...overrides } };
+  }
+  return priceTable;
+}
+
+/**
+ * Forget the loaded price table (re-read on next use)
+ */
+export function resetPriceTable() {
+  priceTable = null;
+  warnedModels.clear();
+}
+
+/**
+ * Prices for a model
+ * @param {string} model - Model ID
+ * @returns {Object|null} { input, output, cache_write, cache_read } per million tokens, or null when unknown
+ */
+export function getModelPrice(model) {
+  const { models } = getPriceTable();
+  const prefix = Object.keys(models)
+    .filter(key => model?.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
+
+/**
+ * Cost of one usage block
+ * @param {string} model - Model ID
+ * @param {Object} usage - { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ * @returns {number|null} Cost in the table currency, or null when the model has no price
+ */
+export function computeCost(model, usage) {
+  const price = getModelPrice(model);
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      log.warn(`No price configured for model ${model}, cost not computed`);
+    }
+    return null;
+  }
+
+  const cost = (usage.input_tokens || 0) * (price.input || 0)
+    + (usage.output_tokens || 0) * (price.output || 0)
+    + (usage.cache_creation_input_tokens || 0) * (price.cache_write ?? price.input ?? 0)
+    + (usage.cache_read_input_tokens || 0) * (price.cache_read ?? price.input ?? 0);
+  return roundCost(cost / 1_000_000);
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Zeroed token counters
+ * @returns {Object} Counters with cost_usd
+ */
+function emptyTotals() {
+  return { calls: 0, ...Object.fromEntries(TOKEN_FIELDS.map(f => [f, 0])), cost_usd: 0 };
+}
+
+/**
+ * Add usage into running totals
+ * Calls without a price add nothing to cost_usd and are counted in unpriced_calls.
+ * @param {Object} totals - Running totals (mutated)
+ * @param {Object} entry - A call, or totals with calls and unpriced_calls
+ */
+function addTotals(totals, entry) {
+  totals.calls += entry.calls ?? 1;
+  TOKEN_FIELDS.forEach(f => { totals[f] += entry[f] || 0; });
+  totals.cost_usd = roundCost(totals.cost_usd + (entry.cost_usd || 0));
+  if (entry.cost_usd === null || entry.unpriced_calls) {
+    totals.unpriced_calls = (totals.unpriced_calls || 0) + (entry.unpriced_calls || 1);
+  }
+}
+
+/**
+ * Create a tracker for one digest
+ * Pass `tracker.record` as callLLM's onUsage.
+ * @returns {Object} { record, summary }
+ */
+export function createUsageTracker() {
+  const calls = [];
+
+  return {
+    /**
+     * Record one completed LLM call
+     * @param {Object} call - { stage, provider, model, usage, label }
+     */
+    record({ stage, provider, model, usage = {}, label }) {
+      const tokens = Object.fromEntries(TOKEN_FIELDS.map(f => [f, usage[f] || 0]));
+      calls.push({ stage: stage || 'other', label: label || stage, provider, model, ...tokens, cost_usd: computeCost(model, tokens) });
+    },
+
+    /**
+     * Usage so far, per stage and per batch call, plus the digest total
+     * @returns {Object} { currency, stages, batches, total }
+     */
+    summary() {
+      const stages = Object.fromEntries(USAGE_STAGES.map(stage => [stage, emptyTotals()]));
+      const total = emptyTotals();
+
+      for (const call of calls) {
+        stages[call.stage] ||= emptyTotals();
+        addTotals(stages[call.stage], call);
+        addTotals(total, call);
+      }
+
+      return {
+        currency: getPriceTable().currency,
+        stages,
+        batches: calls.filter(c => c.stage === 'batch').map(({ stage, provider, ...call }) => call),
+        total
+      };
+    }
+  };
+}
+
+/**
+ * Store a digest's usage in digest_usage (failed digests cost money too)
+ * Completed digests are always stored, even with no LLM call, because
+ * the digests_per_day quota counts these rows. Storage errors are logged, never thrown.
+ * @param {Object} options - { client_id, request_id, status: 'completed' | 'failed', usage: tracker summary }
+ * @returns {Promise<void>}
+ */
+export async function persistDigestUsage({ client_id, request_id, status, usage }) {
+  if (status !== 'completed' && usage.total.calls === 0) return;
+
+  try {
+    await saveUsageRecord({
+      client_id,
+      request_id,
+      status,
+      created_at: new Date().toISOString(),
+      currency: usage.currency,
+      ...usage.total,
+      unpriced_calls: usage.total.unpriced_calls || 0,
+      stages: usage.stages
+    });
+  } catch (error) {
+    log.warn(`Could not store usage for ${client_id}`, { error: error.message });
+  }
+}
+
+/**
+ * Summarize stored usage records (one per digest) per client and stage
+ * @param {Array<Object>} records - digest_usage rows { client_id, status, stages, ...token fields, cost_usd }
+ * @returns {Object} { digests, failed_digests, total, by_client, by_stage }
+ */
+export function summarizeUsage(records) {
+  const total = emptyTotals();
+  const byClient = new Map();
+  const byStage = {};
+
+  for (const record of records) {
+    const digestTotals = { ...record, calls: record.calls || 0 };
+    addTotals(total, digestTotals);
+
+    if (!byClient.has(record.client_id)) {
+      byClient.set(record.client_id, { client_id: record.client_id, digests: 0, ...emptyTotals() });
+    }
+    const client = byClient.get(record.client_id);
+    client.digests++;
+    addTotals(client, digestTotals);
+
+    for (const [stage, stageTotals] of Object.entries(record.stages || {})) {
+      byStage[stage] ||= emptyTotals();
+      addTotals(byStage[stage], stageTotals);
+    }
+  }
+
+  return {
+    digests: records.length,
+    failed_digests: records.filter(r => r.status === 'failed').length,
+    total,
+    by_client: [...byClient.values()].sort((a, b) => b.cost_usd - a.cost_usd),
+    by_stage: byStage
+  };
+}
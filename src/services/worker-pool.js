@@ -0,0 +1,116 @@
+/**
+ * Worker Pool Utilities
+ * Bounded-concurrency task runner and a tokens-per-minute budget for LLM calls
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('worker-pool');
+
+const WINDOW_MS = 60000;
+
+/**
+ * Run a worker over items with at most `concurrency` in flight
+ * Results are returned in item order regardless of completion order. The
+ * first failure stops new work from starting and rejects the whole run.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel workers (>= 1)
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options - Pool options
+ * @param {AbortSignal} options.signal - Stops scheduling new work when aborted (optional)
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function runPool(items, concurrency, worker, { signal } = {}) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+  let nextIndex = 0;
+  let failed = false;
+
+  const runWorker = async () => {
+    while (!failed && nextIndex < items.length) {
+      signal?.throwIfAborted();
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, runWorker));
+  return results;
+}
+
+/**
+ * Sleep that wakes early (and rejects) when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a sliding-window tokens-per-minute budget
+ * Callers reserve an estimate before a call and settle it with actual usage
+ * afterwards, or release it when the call failed without usage. A single
+ * reservation larger than the whole budget is allowed once the window is
+ * empty, so oversized calls still make progress.
+ * @param {number} tokensPerMinute - Budget; 0 or less disables limiting
+ * @returns {Object} { reserve(estimate, signal) => Promise<entry>, settle(entry, actual), release(entry) }
+ */
+export function createTokenBudget(tokensPerMinute) {
+  const entries = [];
+
+  const usedInWindow = (now) => {
+    while (entries.length > 0 && now - entries[0].at >= WINDOW_MS) {
+      entries.shift();
+    }
+    return entries.reduce((sum, e) => sum + e.tokens, 0);
+  };
+
+  return {
+    async reserve(estimate, signal) {
+      if (!tokensPerMinute || tokensPerMinute <= 0) return null;
+
+      for (;;) {
+        const now = Date.now();
+        const used = usedInWindow(now);
+        if (used + estimate <= tokensPerMinute || entries.length === 0) {
+          const entry = { at: now, tokens: estimate };
+          entries.push(entry);
+          return entry;
+        }
+
+        const waitMs = Math.max(50, WINDOW_MS - (now - entries[0].at));
+        log.info(`Token budget ${used}/${tokensPerMinute} per minute reached, waiting ${waitMs}ms`);
+        await sleep(waitMs, signal);
+      }
+    },
+
+    settle(entry, actualTokens) {
+      if (entry && Number.isFinite(actualTokens)) {
+        entry.tokens = actualTokens;
+      }
+    },
+
+    release(entry) {
+      const index = entries.indexOf(entry);
+      if (index !== -1) entries.splice(index, 1);
+    }
+  };
+}
@@ -0,0 +1,131 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createLruCache,
+  articleCacheScope,
+  articleCacheKey,
+  lookupArticleAnalyses,
+  storeArticleAnalyses,
+  cachedBatchResult,
+  clearArticleCache
+} from '../src/services/article-cache.js';
+import { buildTaxonomy } from '../src/services/taxonomy.js';
+import { TEST_CLIENT, makeArticles } from './helpers/fixtures.js';
+
+const SCOPE = articleCacheScope({ client: TEST_CLIENT, context: { topics: ['Energy'] }, country: 'Sweden' });
+
+/**
+ * Batch result with output for the given articles
+ * @param {Array<Object>} articles - Articles that were included
+ * @param {Object} overrides - Result fields to override
+ * @returns {Object} Batch result
+ */
+function batchResult(articles, overrides = {}) {
+  return {
+    batchNumber: 1,
+    articles: articles.map(a => ({ article_id: a.article_id, title: a.title, relevance_score: 8, category: 'news', priority: 'main', paragraphs: ['p'] })),
+    failures: [],
+    truncations: [],
+    validation: { repaired: [], dropped: [] },
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  clearArticleCache();
+  delete process.env.ARTICLE_CACHE;
+});
+
+test('LRU evicts the least recently used entry', () => {
+  const lru = createLruCache(2);
+  lru.set('a', 1);
+  lru.set('b', 2);
+  lru.get('a');
+  lru.set('c', 3);
+
+  assert.equal(lru.get('b'), undefined);
+  assert.equal(lru.get('a'), 1);
+  assert.equal(lru.size, 2);
+});
+
+test('keys depend on content and scope, not on the article ID', () => {
+  const [article] = makeArticles(1);
+  const otherScope = articleCacheScope({ client: TEST_CLIENT, context: { topics: ['Finance'] }, country: 'Sweden' });
+
+  assert.equal(articleCacheKey(article, SCOPE), articleCacheKey({ ...article, article_id: 'new-id' }, SCOPE));
+  assert.notEqual(articleCacheKey(article, SCOPE), articleCacheKey({ ...article, summary: 'Updated' }, SCOPE));
+  assert.notEqual(articleCacheKey(article, SCOPE), articleCacheKey(article, otherScope));
+});
+
+test('caches included and skipped articles from a clean batch', async () => {
+  const batch = makeArticles(4);
+  assert.equal(await storeArticleAnalyses(batch, batchResult(batch.slice(0, 3)), SCOPE), 4);
+
+  const renamed = batch.map((a, i) => ({ ...a, article_id: `r${i + 1}` }));
+  const { hits, misses, stats } = await lookupArticleAnalyses([...renamed, ...makeArticles(6).slice(4)], SCOPE);
+  assert.equal(hits.length, 4);
+  assert.equal(misses.length, 2);
+  assert.equal(stats.hit_rate, 0.667);
+
+  const result = cachedBatchResult(hits);
+  assert.deepEqual(result.articles.map(a => a.article_id), ['r1', 'r2', 'r3']);
+  assert.equal(result.skipped, 1);
+  assert.equal(result.cached, true);
+});
+
+test('does not cache missing articles as skipped after truncation or failures', async () => {
+  const batch = makeArticles(4);
+  const truncated = batchResult(batch.slice(0, 2), { truncations: [{ batch_number: 1, strategy: 'salvage' }] });
+
+  assert.equal(await storeArticleAnalyses(batch, truncated, SCOPE), 2);
+  const { hits } = await lookupArticleAnalyses(batch, SCOPE);
+  assert.deepEqual(hits.map(h => h.article.article_id), ['a1', 'a2']);
+});
+
+test('matches output of articles without an ID by URL or title', async () => {
+  const batch = makeArticles(3).map(({ article_id, ...article }) => article);
+  // The model never saw an ID for these: one comes back by URL, one by title only
+  const result = batchResult([], {
+    articles: [
+      { title: 'Reworded headline', source: { name: 'DI', url: batch[0].url }, relevance_score: 8, category: 'news', priority: 'main', paragraphs: ['p'] },
+      { title: batch[1].title, relevance_score: 7, category: 'news', priority: 'b_side', paragraphs: ['p'] }
+    ]
+  });
+
+  assert.equal(await storeArticleAnalyses(batch, result, SCOPE), 3);
+  const { hits } = await lookupArticleAnalyses(batch, SCOPE);
+  const cached = cachedBatchResult(hits);
+  assert.deepEqual(cached.articles.map(a => a.article_id), [batch[0].url, batch[1].url]);
+  assert.equal(cached.skipped, 1);
+});
+
+test('does not cache skipped articles when some output cannot be attributed', async () => {
+  const batch = makeArticles(3);
+  const result = batchResult(batch.slice(0, 1), {
+    articles: [...batchResult(batch.slice(0, 1)).articles, { title: 'Unknown story', relevance_score: 6, category: 'news', priority: 'main', paragraphs: ['p'] }]
+  });
+
+  assert.equal(await storeArticleAnalyses(batch, result, SCOPE), 1);
+  const { hits } = await lookupArticleAnalyses(batch, SCOPE);
+  assert.deepEqual(hits.map(h => h.entry.status), ['included']);
+});
+
+test('a taxonomy change invalidates the scope', () => {
+  const scope = (definition) => articleCacheScope({ client: TEST_CLIENT, context: { topics: ['Energy'] }, taxonomy: buildTaxonomy(definition) });
+  const energy = { version: 1, topics: [{ name: 'Energy', synonyms: { en: ['power'] } }] };
+
+  assert.equal(scope(energy), scope(structuredClone(energy)));
+  assert.notEqual(scope(energy), scope({ ...energy, version: 2 }));
+  assert.notEqual(scope(energy), scope({ version: 1, topics: [{ name: 'Energy', synonyms: { en: ['power', 'electricity'] } }] }));
+});
+
+test('ARTICLE_CACHE=off bypasses the cache', async () => {
+  process.env.ARTICLE_CACHE = 'off';
+  const batch = makeArticles(2);
+
+  assert.equal(await storeArticleAnalyses(batch, batchResult(batch), SCOPE), 0);
+  const { hits, stats } = await lookupArticleAnalyses(batch, SCOPE);
+  assert.equal(hits.length, 0);
+  assert.equal(stats.enabled, false);
+});
@@ -0,0 +1,173 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  authenticateRequest,
+  requireApiKey,
+  requireSignature,
+  requireAdmin,
+  canAccessClient,
+  signRequest,
+  hashApiKey,
+  resetApiKeys,
+  AuthError
+} from '../src/services/auth.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const TIMESTAMP = String(NOW / 1000);
+
+beforeEach(() => {
+  process.env.API_KEYS = JSON.stringify([
+    { name: 'backend', key_sha256: hashApiKey('backend-key'), client_ids: ['client-a', 'client-b'] },
+    { name: 'ops', key: 'ops-key', client_ids: [], admin: true },
+    { name: 'partner', key: 'partner-key', client_ids: ['client-c'], signing_secret: 'partner-secret' }
+  ]);
+  delete process.env.AUTH;
+  resetApiKeys();
+});
+
+after(() => {
+  delete process.env.API_KEYS;
+  resetApiKeys();
+});
+
+/**
+ * Minimal Express-like request
+ * @param {Object} options - { headers, method, url, body }
+ * @returns {Object} Request
+ */
+function makeRequest({ headers = {}, method = 'POST', url = '/generate-digest', body = '' } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    method,
+    path: url.split('?')[0],
+    originalUrl: url,
+    ip: '10.0.0.7',
+    rawBody: body ? Buffer.from(body) : undefined,
+    get: (name) => lower[name.toLowerCase()]
+  };
+}
+
+/**
+ * Minimal Express-like response recording status and body
+ * @returns {Object} Response
+ */
+function makeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * Headers for a signed partner request
+ * @param {Object} request - { method, url, body, timestamp }
+ * @returns {Object} Headers
+ */
+function signedHeaders({ method = 'POST', url = '/generate-digest', body = '', timestamp = TIMESTAMP }) {
+  return {
+    'X-API-Key': 'partner-key',
+    'X-Digest-Timestamp': timestamp,
+    'X-Digest-Signature': `sha256=${signRequest({ secret: 'partner-secret', timestamp, method, path: url, body })}`
+  };
+}
+
+test('accepts bearer and X-API-Key keys, stored hashed or plain', () => {
+  const backend = authenticateRequest(makeRequest({ headers: { Authorization: 'Bearer backend-key' } }), NOW);
+  assert.deepEqual(backend, { name: 'backend', client_ids: ['client-a', 'client-b'], admin: false, signed: false });
+
+  assert.equal(authenticateRequest(makeRequest({ headers: { 'X-API-Key': 'ops-key' } }), NOW).admin, true);
+});
+
+test('rejects missing and unknown keys with 401 and logs the attempt', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.throws(() => authenticateRequest(makeRequest(), NOW), (error) => error instanceof AuthError && error.status === 401);
+
+  const res = makeResponse();
+  let called = false;
+  requireApiKey(makeRequest({ headers: { Authorization: 'Bearer nope' } }), res, () => { called = true; });
+
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(res.body, { success: false, error: 'Invalid API key' });
+  const entry = JSON.parse(warn.mock.calls[0].arguments[0]);
+  assert.equal(entry.component, 'auth');
+  assert.equal(entry.msg, 'Rejected POST /generate-digest: Invalid API key');
+  assert.equal(entry.ip, '10.0.0.7');
+  assert.doesNotMatch(warn.mock.calls[0].arguments[0], /nope/);
+});
+
+test('scopes keys to clients; admin keys reach every client', () => {
+  const backend = authenticateRequest(makeRequest({ headers: { 'X-API-Key': 'backend-key' } }), NOW);
+  const ops = authenticateRequest(makeRequest({ headers: { 'X-API-Key': 'ops-key' } }), NOW);
+
+  assert.equal(canAccessClient(backend, 'client-a'), true);
+  assert.equal(canAccessClient(backend, 'client-c'), false);
+  assert.equal(canAccessClient(ops, 'client-c'), true);
+  assert.equal(canAccessClient({ client_ids: ['*'], admin: false }, 'anything'), true);
+
+  const res = makeResponse();
+  requireAdmin({ ...makeRequest(), auth: backend }, res, () => assert.fail('non-admin passed'));
+  assert.equal(res.statusCode, 403);
+});
+
+test('keys with a signing secret require a valid, fresh, unused signature', () => {
+  const body = '{"client_id":"client-c"}';
+
+  assert.throws(() => authenticateRequest(makeRequest({ headers: { 'X-API-Key': 'partner-key' }, body }), NOW), /signature required/);
+
+  const headers = signedHeaders({ body });
+  assert.equal(authenticateRequest(makeRequest({ headers, body }), NOW).signed, true);
+  assert.throws(() => authenticateRequest(makeRequest({ headers, body }), NOW + 1000), /already used/);
+
+  const tampered = signedHeaders({ body, timestamp: String(NOW / 1000 + 1) });
+  assert.throws(() => authenticateRequest(makeRequest({ headers: tampered, body: '{"client_id":"client-a"}' }), NOW), /Invalid request signature/);
+
+  const stale = signedHeaders({ body, timestamp: String(NOW / 1000 - 301) });
+  assert.throws(() => authenticateRequest(makeRequest({ headers: stale, body }), NOW), /outside the accepted window/);
+});
+
+test('checks the key before the body and the signature after it', () => {
+  const body = '{"client_id":"client-c"}';
+  const next = () => { next.calls++; };
+  next.calls = 0;
+
+  // Key check: no body needed, signature not yet required
+  const req = makeRequest({ headers: signedHeaders({ body, timestamp: String(Math.floor(Date.now() / 1000)) }) });
+  requireApiKey(req, makeResponse(), next);
+  assert.equal(next.calls, 1);
+  assert.equal(req.auth.signed, true);
+
+  // Signature check once the parser has set rawBody
+  req.rawBody = Buffer.from(body);
+  requireSignature(req, makeResponse(), next);
+  assert.equal(next.calls, 2);
+
+  const unsigned = makeRequest({ headers: { 'X-API-Key': 'partner-key' }, body });
+  const res = makeResponse();
+  requireApiKey(unsigned, res, next);
+  requireSignature(unsigned, res, () => assert.fail('unsigned request passed'));
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(res.body, { success: false, error: 'Request signature required' });
+
+  // Keys without a signing secret pass the signature check untouched
+  const backend = makeRequest({ headers: { 'X-API-Key': 'backend-key' } });
+  requireApiKey(backend, makeResponse(), next);
+  requireSignature(backend, makeResponse(), next);
+  assert.equal(next.calls, 5);  // Including the unsigned request's key check
+});
+
+test('AUTH=off lets every request through as admin', () => {
+  process.env.AUTH = 'off';
+  const req = makeRequest();
+  let called = false;
+
+  requireApiKey(req, makeResponse(), () => { called = true; });
+  requireSignature(req, makeResponse(), () => {});
+
+  assert.equal(called, true);
+  assert.equal(req.auth.admin, true);
+});
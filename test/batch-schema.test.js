@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateFilteredArticle, validateBatchOutput } from '../src/services/batch-schema.js';
+
+const batch = [
+  { article_id: 'a1', title: 'Vattenfall', source: 'Dagens Industri', url: 'https://example.com/1' }
+];
+
+const valid = {
+  article_id: 'a1',
+  title: 'Vattenfall invests in nuclear',
+  source: { name: 'Dagens Industri', url: 'https://example.com/1' },
+  relevance_score: 9,
+  category: 'business',
+  priority: 'main',
+  paragraphs: ['One.', 'Two.'],
+  continued_from_previous: false
+};
+
+test('accepts a valid article without repairs', () => {
+  const { article, repairs, errors } = validateFilteredArticle(valid, batch);
+
+  assert.deepEqual(article, valid);
+  assert.deepEqual(repairs, []);
+  assert.deepEqual(errors, []);
+});
+
+test('repairs near-miss fields', () => {
+  const { article, repairs } = validateFilteredArticle({
+    ...valid,
+    source: 'Dagens Industri',
+    relevance_score: '12',
+    category: 'EU Relations',
+    priority: 'b-side',
+    paragraphs: ['One.', 'Two.', 'Three.', 'Four.']
+  }, batch);
+
+  assert.deepEqual(article.source, { name: 'Dagens Industri', url: 'https://example.com/1' });
+  assert.equal(article.relevance_score, 10);
+  assert.equal(article.category, 'eu_relations');
+  assert.equal(article.priority, 'b_side');
+  assert.deepEqual(article.paragraphs, ['One.', 'Two.', 'Three. Four.']);
+  assert.equal(repairs.length, 6);
+});
+
+test('fills a missing source from the input article', () => {
+  const { article } = validateFilteredArticle({ ...valid, source: undefined }, batch);
+  assert.deepEqual(article.source, { name: 'Dagens Industri', url: 'https://example.com/1' });
+});
+
+test('drops articles that cannot be repaired, with reasons', () => {
+  const result = validateBatchOutput({
+    filtered_articles: [valid, { ...valid, title: '', paragraphs: [] }, 'nonsense'],
+    skipped_count: 3,
+    duplicate_count: -1
+  }, batch);
+
+  assert.equal(result.articles.length, 1);
+  assert.equal(result.skipped, 3);
+  assert.equal(result.duplicates, 0);
+  assert.deepEqual(result.validation.dropped.map(d => d.reasons), [
+    ['title is missing', 'paragraphs is empty'],
+    ['item is not an object']
+  ]);
+});
+
+test('rejects output without a filtered_articles array', () => {
+  assert.throws(() => validateBatchOutput({ articles: [] }), /filtered_articles is not an array/);
+});
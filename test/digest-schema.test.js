@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateDigestRequest, assertDigestResponse, SchemaValidationError } from '../src/services/digest-schema.js';
+import { makeArticles } from './helpers/fixtures.js';
+
+const story = {
+  title: 'Vattenfall invests in nuclear',
+  source: { name: 'Dagens Industri', url: 'https://example.com/1' },
+  relevance_score: 9,
+  category: 'business',
+  priority: 'main',
+  paragraphs: ['One.']
+};
+
+const emptySections = { news: [], business: [], politics: [], eu_relations: [] };
+
+const response = {
+  success: true,
+  report: {
+    metadata: {
+      generated_at: '2025-01-01T00:00:00.000Z',
+      articles_reviewed: 1,
+      articles_included: 1,
+      main_stories: 1,
+      b_side_stories: 0,
+      incomplete: false
+    },
+    main_stories: [story],
+    sections: { ...emptySections, business: [story] },
+    b_side: emptySections
+  },
+  email: { subject: 'Digest', body_html: '<p>Hi</p>', body_text: 'Hi', key_highlights: [story.title] },
+  _metadata: {}
+};
+
+test('accepts a valid request', () => {
+  const errors = validateDigestRequest({
+    client_id: 'client-1',
+    articles: makeArticles(2),
+    country: 'Sweden',
+    context: { topics: ['Energy'], keywords: [], country_primary: 'Sweden' },
+    last_digest: { created_at: '2025-01-01', article_count: 10, sections: {} }
+  });
+
+  assert.deepEqual(errors, []);
+});
+
+test('lists every offending field path in a request', () => {
+  const errors = validateDigestRequest({
+    articles: [{ title: 'Fine' }, 'not an article', { title: 42 }],
+    context: { topics: 'Energy', keywords: ['ok', 7] },
+    last_digest: { article_count: -1 }
+  });
+
+  assert.deepEqual(errors.map(e => e.path), [
+    'client_id',
+    'articles[1]',
+    'articles[2].title',
+    'context.topics',
+    'context.keywords[1]',
+    'last_digest.article_count'
+  ]);
+  assert.equal(errors[0].message, 'is required');
+});
+
+test('rejects an empty articles array and a non-object body', () => {
+  assert.deepEqual(validateDigestRequest({ client_id: 'c', articles: [] }).map(e => e.path), ['articles']);
+  assert.deepEqual(validateDigestRequest(null).map(e => e.path), ['(root)']);
+});
+
+test('accepts a response matching the output contract', () => {
+  assert.doesNotThrow(() => assertDigestResponse(response));
+});
+
+test('refuses a response that violates the output contract', () => {
+  const broken = {
+    ...response,
+    report: { ...response.report, main_stories: [{ ...story, category: 'sports', paragraphs: 'One.' }] },
+    email: { ...response.email, subject: '' }
+  };
+
+  assert.throws(() => assertDigestResponse(broken), (error) => {
+    assert.ok(error instanceof SchemaValidationError);
+    assert.deepEqual(error.errors.map(e => e.path), [
+      'report.main_stories[0].category',
+      'report.main_stories[0].paragraphs',
+      'email.subject'
+    ]);
+    return true;
+  });
+});
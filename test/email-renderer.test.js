@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderDigestEmail, renderDigestText, htmlToText, getClientBranding, escapeHtml } from '../src/services/email-renderer.js';
+
+/**
+ * Normalized story
+ * @param {Object} fields - Overrides
+ * @returns {Object} Story
+ */
+function story(fields = {}) {
+  return {
+    title: 'Vattenfall expands wind power',
+    source: { name: 'Dagens Industri', url: 'https://www.di.se/1' },
+    relevance_score: 9,
+    category: 'business',
+    priority: 'main',
+    paragraphs: ['First paragraph.', 'Second paragraph.'],
+    ...fields
+  };
+}
+
+/**
+ * Report with the merger's shape
+ * @param {Array<Object>} main - Main stories
+ * @param {Array<Object>} bSide - B-side stories
+ * @returns {Object} Report
+ */
+function report(main, bSide = []) {
+  const byCategory = (stories) => Object.fromEntries(
+    ['news', 'business', 'politics', 'eu_relations'].map(c => [c, stories.filter(s => s.category === c)])
+  );
+  return {
+    metadata: { generated_at: '2026-10-19T06:00:00Z', incomplete: false },
+    main_stories: main,
+    sections: byCategory(main),
+    b_side: byCategory(bSide)
+  };
+}
+
+const CLIENT = { id: 'client-1', name: 'Test Client' };
+
+test('renders a table-based document with sections, paragraphs and source links', () => {
+  const html = renderDigestEmail(
+    report([story(), story({ title: 'Riksdag votes on energy bill', category: 'politics', source: { name: 'SVT', url: 'https://svt.se/2' } })]),
+    { client: CLIENT, subject: 'Your digest', introHtml: '<p>Dear Test Client,</p>', preheader: 'Wind power grows' }
+  );
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<table role="presentation"[^>]*width="600"/);
+  assert.match(html, /<title>Your digest<\/title>/);
+  assert.match(html, /<p>Dear Test Client,<\/p>/);
+  assert.match(html, /mso-hide:all;">Wind power grows</);
+  assert.match(html, /<p style="[^"]*">First paragraph\.<\/p><p style="[^"]*">Second paragraph\.<\/p>/);
+  assert.match(html, /<a href="https:\/\/www\.di\.se\/1" target="_blank" style="[^"]*">Read at Dagens Industri →<\/a>/);
+  // Category order follows ARTICLE_CATEGORIES; empty sections are left out
+  assert.ok(html.indexOf('>Business</h2>') < html.indexOf('>Politics</h2>'));
+  assert.doesNotMatch(html, />News<\/h2>/);
+  assert.doesNotMatch(html, /<div[^>]*style="[^"]*(float|flex|grid)/);
+});
+
+test('marks continued stories and collapses the B-side', () => {
+  const html = renderDigestEmail(
+    report([story({ continued_from_previous: true })], [story({ title: 'Minor grid update', priority: 'b_side', category: 'news' })]),
+    { client: CLIENT, language: 'sv' }
+  );
+
+  assert.match(html, /text-transform:uppercase;vertical-align:middle;">Fortsättning<\/span>/);
+  assert.match(html, /<details[^>]*>\s*<summary[^>]*>B-sidan \(1 nyheter\)/);
+  assert.match(html, /<li[^>]*><a href="https:\/\/www\.di\.se\/1"[^>]*>Minor grid update<\/a>/);
+  assert.match(html, /<html lang="sv">/);
+});
+
+test('escapes story text and drops unsafe links', () => {
+  const html = renderDigestEmail(report([story({
+    title: '<script>alert(1)</script>',
+    paragraphs: ['A & B "quoted"'],
+    source: { name: 'Evil', url: 'javascript:alert(1)' }
+  })]), { client: CLIENT });
+
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /A &amp; B &quot;quoted&quot;/);
+  assert.doesNotMatch(html, /javascript:/);
+});
+
+test('applies client branding and rejects unsafe values', () => {
+  const html = renderDigestEmail(report([story()]), {
+    client: { ...CLIENT, branding: { brand_name: 'Acme Energy', logo_url: 'https://cdn.acme.se/logo.png', primary_color: '#0a7', footer_text: 'Acme internal' } }
+  });
+
+  assert.match(html, /<img src="https:\/\/cdn\.acme\.se\/logo\.png" alt="Acme Energy"/);
+  assert.match(html, /background-color:#0a7;/);
+  assert.match(html, /Acme internal/);
+
+  assert.deepEqual(getClientBranding({ branding: { primary_color: 'red;background:url(x)', logo_url: 'data:image/png;base64,AAA' } }), {
+    brand_name: 'Mundus Digest',
+    logo_url: null,
+    primary_color: '#1f3a5f',
+    accent_color: '#d97706',
+    footer_text: getClientBranding({}).footer_text
+  });
+  assert.equal(escapeHtml(`<a href="x">'`), '&lt;a href=&quot;x&quot;&gt;&#39;');
+});
+
+test('renders the plain-text alternative with wrapped lines and numbered links', () => {
+  const text = renderDigestText(
+    report(
+      [story({ continued_from_previous: true, paragraphs: ['Word '.repeat(40).trim()], additional_sources: [{ name: 'SvD', url: 'https://svd.se/3' }] })],
+      [story({ title: 'Minor grid update', priority: 'b_side', category: 'news' })]
+    ),
+    { client: CLIENT, introHtml: '<p>Dear Test Client &amp; team,</p><ul><li>Wind</li></ul>' }
+  );
+
+  assert.match(text, /^Mundus Digest - 2026-10-19\n=+\n\nDear Test Client & team,\n\n- Wind\n\nBUSINESS\n--------\n\n/);
+  assert.match(text, /Vattenfall expands wind power \(Continued\) \[1\]\nDagens Industri\n/);
+  assert.match(text, /Also reported by: SvD \[2\]/);
+  // The B-side story shares its URL with the main story and reuses [1]
+  assert.match(text, /B-SIDE \(1 STORIES\)\n-+\n\n- Minor grid update \[1\] - Dagens Industri\n/);
+  assert.match(text, /\n\[1\] https:\/\/www\.di\.se\/1\n\[2\] https:\/\/svd\.se\/3\n$/);
+  assert.ok(text.split('\n').every(line => line.length <= 72));
+  assert.doesNotMatch(text, /<[a-z]/);
+});
+
+test('converts intro HTML to text', () => {
+  assert.equal(htmlToText('<p>Hej&nbsp;Åsa,<br>rad två</p><p>&#8364; &#x41; &bogus;</p><style>p{}</style>'), 'Hej Åsa,\nrad två\n\n€ A &bogus;');
+});
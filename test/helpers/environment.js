@@ -0,0 +1,32 @@
+/**
+ * Offline test environment
+ * Starts the mock Anthropic server and Supabase stub and points the service at them.
+ */
+
+import { startMockAnthropicServer } from '../../src/mock/anthropic-mock-server.js';
+import { startMockSupabase } from './mock-supabase.js';
+import { TEST_CLIENT } from './fixtures.js';
+
+/**
+ * Start mocks and configure environment variables
+ * @returns {Promise<Object>} { anthropic, supabase, close }
+ */
+export async function startTestEnvironment() {
+  const anthropic = await startMockAnthropicServer();
+  const supabase = await startMockSupabase({ clients: { [TEST_CLIENT.id]: TEST_CLIENT } });
+
+  process.env.ANTHROPIC_API_URL = anthropic.url;
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  process.env.SUPABASE_URL = supabase.url;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-key';
+  delete process.env.LLM_FIXTURE_MODE;
+
+  return {
+    anthropic,
+    supabase,
+    close: async () => {
+      await anthropic.close();
+      await supabase.close();
+    }
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * Shared test data
+ */
+
+export const TEST_CLIENT = {
+  id: 'client-1',
+  name: 'Test Client',
+  preferences: { language: 'en' }
+};
+
+/**
+ * Build sample articles
+ * @param {number} count - Number of articles
+ * @returns {Array<Object>} Articles
+ */
+export function makeArticles(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    article_id: `a${i + 1}`,
+    title: `Energy story ${i + 1}`,
+    summary: `Summary of energy story ${i + 1}`,
+    content: `Content of energy story ${i + 1} about solar and wind power.`,
+    source: 'Dagens Industri',
+    url: `https://example.com/${i + 1}`
+  }));
+}
@@ -0,0 +1,127 @@
+/**
+ * Minimal Supabase REST stub for tests
+ * Serves digest_clients rows by id and fixed rows for other tables; everything else is empty.
+ * Reads support eq/gte/lt/in filters, select columns, order, limit/offset and
+ * `Prefer: count=exact`, and return at most MAX_ROWS rows like PostgREST's default.
+ * Inserts (POST) are appended to the table.
+ */
+
+import http from 'node:http';
+
+const MAX_ROWS = 1000;
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+
+/**
+ * Compare two column values (timestamps by time)
+ * @param {*} a - Row value
+ * @param {string} b - Filter value
+ * @returns {number} Sign of a - b
+ */
+function compare(a, b) {
+  const [left, right] = [Date.parse(a), Date.parse(b)];
+  if (typeof a === 'string' && !Number.isNaN(left) && !Number.isNaN(right)) return left - right;
+  return Number(a) - Number(b);
+}
+
+/**
+ * Apply PostgREST-style filters from the query string
+ * @param {Array<Object>} rows - Table rows
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Array<Object>} Matching rows
+ */
+function filterRows(rows, params) {
+  let result = rows;
+  for (const [column, filter] of params) {
+    if (RESERVED_PARAMS.has(column)) continue;
+    const [, op, value] = filter.match(/^(\w+)\.(.*)$/) || [];
+    if (op === 'eq') result = result.filter(r => String(r[column]) === value);
+    if (op === 'gte') result = result.filter(r => compare(r[column], value) >= 0);
+    if (op === 'lt') result = result.filter(r => compare(r[column], value) < 0);
+    if (op === 'in') {
+      const values = value.replace(/^\(|\)$/g, '').split(',').map(v => v.replace(/^"|"$/g, ''));
+      result = result.filter(r => values.includes(String(r[column])));
+    }
+  }
+  return result;
+}
+
+/**
+ * Sort by an `order` parameter ("created_at.asc,request_id.desc")
+ * @param {Array<Object>} rows - Rows
+ * @param {string} order - Order parameter
+ * @returns {Array<Object>} Sorted copy
+ */
+function orderRows(rows, order) {
+  const keys = order.split(',').map(part => part.split('.'));
+  return [...rows].sort((a, b) => {
+    for (const [column, direction] of keys) {
+      const diff = String(a[column] ?? '').localeCompare(String(b[column] ?? ''));
+      if (diff !== 0) return direction === 'desc' ? -diff : diff;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Start the stub
+ * @param {Object} options - { clients: { [id]: row }, tables: { [name]: rows } }
+ * @returns {Promise<Object>} { url, clients, tables, close } - `clients` and `tables` can be changed between requests
+ */
+export function startMockSupabase({ clients = {}, tables = {} } = {}) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const table = url.pathname.replace('/rest/v1/', '');
+    const id = url.searchParams.get('id')?.replace(/^eq\./, '');
+    const single = (req.headers.accept || '').includes('vnd.pgrst.object');
+
+    if (req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const inserted = JSON.parse(body);
+        tables[table] = [...(tables[table] || []), ...(Array.isArray(inserted) ? inserted : [inserted])];
+        res.statusCode = 201;
+        res.end();
+      });
+      return;
+    }
+
+    let rows = table === 'digest_clients'
+      ? (clients[id] ? [clients[id]] : [])
+      : filterRows(tables[table] || [], url.searchParams);
+    const total = rows.length;
+
+    if (url.searchParams.get('order')) rows = orderRows(rows, url.searchParams.get('order'));
+    const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || String(MAX_ROWS), 10), MAX_ROWS);
+    rows = rows.slice(offset, offset + limit);
+
+    const columns = url.searchParams.get('select');
+    if (columns && columns !== '*') {
+      const names = columns.split(',');
+      rows = rows.map(row => Object.fromEntries(names.map(name => [name, row[name]])));
+    }
+
+    res.setHeader('content-type', 'application/json');
+    if ((req.headers.prefer || '').includes('count=exact')) {
+      res.setHeader('content-range', `${rows.length > 0 ? `${offset}-${offset + rows.length - 1}` : '*'}/${total}`);
+    }
+    if (req.method === 'HEAD') return res.end();
+    if (single && rows.length !== 1) {
+      res.statusCode = 406;
+      return res.end(JSON.stringify({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }));
+    }
+    res.end(JSON.stringify(single ? rows[0] : rows));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        clients,
+        tables,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
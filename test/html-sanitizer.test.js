@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sanitizeHtml, sanitizeEmailHtml } from '../src/services/html-sanitizer.js';
+import { renderDigestEmail } from '../src/services/email-renderer.js';
+
+test('keeps allowed formatting and links', () => {
+  const html = '<p>Dear <strong>Acme</strong>,</p><ul><li><a href="https://di.se/a?x=1&amp;y=2" target="_blank">Wind</a></li></ul><p>Best,<br>Mundus</p>';
+  const { html: clean, removed } = sanitizeHtml(html);
+
+  assert.deepEqual(removed, {});
+  assert.equal(clean, '<p>Dear <strong>Acme</strong>,</p><ul><li><a href="https://di.se/a?x=1&amp;y=2" target="_blank" rel="noopener noreferrer">Wind</a></li></ul><p>Best,<br>Mundus</p>');
+});
+
+test('removes scripts, tracking pixels, handlers and unsafe URLs', () => {
+  const { html, removed } = sanitizeHtml([
+    '<p onclick="steal()">Hello</p>',
+    '<script>alert(1)</script>',
+    '<img src="https://tracker.example/p.gif?u=1" width="1" height="1">',
+    '<a href="javascript:alert(1)">a</a>',
+    '<a href=" java\tscript:alert(1)">b</a>',
+    '<a href="data:text/html,<script>x</script>">c</a>',
+    '<span class="x">d</span>',
+    '<iframe src="https://evil.example">inside</iframe>',
+    '<!-- [if mso]> hidden <![endif] -->',
+    '<img src=x onerror=alert(1)//'
+  ].join(''));
+
+  assert.equal(html, '<p>Hello</p><a>a</a><a>b</a><a>c</a><span>d</span>&lt;img src=x onerror=alert(1)//');
+  assert.deepEqual(removed, {
+    'p[onclick]': 1,
+    '<script>': 1,
+    '<img>': 1,
+    'a[href]': 3,
+    'span[class]': 1,
+    '<iframe>': 1,
+    comment: 1
+  });
+});
+
+test('model HTML gets no CSS at all, so no CSS trick can load a tracking image', () => {
+  const { html, removed } = sanitizeHtml([
+    `<p style="background-image:image-set('https://t.example/p.gif' 1x)">a</p>`,
+    '<p style="background:\\75 rl(https://t.example/p.gif)">b</p>',
+    '<p style="color:#333">c</p>'
+  ].join(''));
+
+  assert.equal(html, '<p>a</p><p>b</p><p>c</p>');
+  assert.deepEqual(removed, { 'p[style]': 3 });
+});
+
+test('document CSS with escapes or resource functions is rejected', () => {
+  const payloads = [
+    'background:url(https://t.example/p.gif)',
+    "background-image:image-set('https://t.example/p.gif' 1x)",
+    'background:\\75 rl(https://t.example/p.gif)',
+    'background:&#92;75 rl(https://t.example/p.gif)',
+    "background:-webkit-image-set('https://t.example/p.gif' 1x)",
+    "background:image('https://t.example/p.gif')",
+    "background:src('https://t.example/p.gif')"
+  ];
+
+  for (const css of payloads) {
+    const inline = sanitizeHtml(`<td style="${css}">x</td>`, { profile: 'document' });
+    assert.deepEqual(inline.removed, { 'td[style]': 1 }, css);
+    assert.doesNotMatch(inline.html, /t\.example/, css);
+
+    const block = sanitizeHtml(`<style>td { ${css.replace('&#92;', '\\')} }</style>`, { profile: 'document' });
+    assert.deepEqual(block.removed, { '<style>': 1 }, css);
+  }
+
+  const fontFace = sanitizeHtml("<style>@font-face { font-family: x; src: local('x') }</style>", { profile: 'document' });
+  assert.deepEqual(fontFace.removed, { '<style>': 1 });
+});
+
+test('unwraps unknown tags, closes open ones and escapes stray brackets', () => {
+  const { html, removed } = sanitizeHtml('<font color="red">Big</font> news <b>1 < 2 <p>one<p>two</div>');
+
+  assert.equal(html, 'Big news <b>1 &lt; 2 <p>one</p><p>two</p></b>');
+  assert.deepEqual(removed, { '<font>': 1, '</div>': 1 });
+});
+
+test('leaves the rendered digest email unchanged and strips what slipped into it', () => {
+  const story = {
+    title: 'Wind <power>',
+    source: { name: 'DI', url: 'https://di.se/1' },
+    category: 'business',
+    priority: 'main',
+    paragraphs: ['Text'],
+    continued_from_previous: true
+  };
+  const body = renderDigestEmail(
+    { metadata: { incomplete: true }, main_stories: [story], sections: { business: [story] }, b_side: { news: [story] } },
+    { client: { branding: { logo_url: 'https://cdn.acme.example/logo.png' } }, subject: 'Digest', introHtml: '<p>Hi</p>' }
+  );
+
+  const { email, removed } = sanitizeEmailHtml({ subject: 'Digest', body_html: body, intro_html: '<p>Hi</p>' });
+  assert.deepEqual(removed, {});
+  assert.match(email.body_html, /^<!DOCTYPE html>/);
+  assert.match(email.body_html, /<style>\n@media only screen/);
+  assert.match(email.body_html, /<img src="https:\/\/cdn\.acme\.example\/logo\.png"/);
+  assert.match(email.body_html, /<details style=/);
+  assert.match(email.body_html, /Wind &lt;power&gt;/);
+
+  const tampered = sanitizeEmailHtml({
+    body_html: body.replace('</body>', '<script>x()</script><style>p{background:url(https://t.example)}</style></body>'),
+    intro_html: '<p>Hi<img src="https://t.example/p.gif"></p>'
+  });
+  assert.deepEqual(tampered.removed, { intro_html: { '<img>': 1 }, body_html: { '<script>': 1, '<style>': 1 } });
+  assert.doesNotMatch(tampered.email.body_html, /x\(\)|t\.example/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scoreArticles, lexicalPreFilter } from '../src/services/lexical-scorer.js';
+
+const articles = [
+  { article_id: 'bank', title: 'Megasol ökar kraftigt vinst', summary: 'Banken Megasol redovisar kraftigt vinst i kvartalet.' },
+  { article_id: 'solar', title: 'Solcellsparken i Skåne byggs ut', summary: 'Ny solcellspark och batterilager kopplas till elnätet.' },
+  { article_id: 'pharma', title: 'Läkemedelsbolag köper konkurrent', summary: 'Affären värderas till 2 miljarder kronor.' },
+  { article_id: 'wind', title: 'Vattenfall sells wind farm', summary: 'The offshore wind project changes owner.' }
+];
+
+test('ranks topic matches first and scores noise at zero', () => {
+  const ranked = scoreArticles(articles, { topics: ['Energy'] });
+
+  assert.deepEqual(ranked.map(a => a.article_id).slice(0, 2).sort(), ['solar', 'wind']);
+  assert.equal(ranked.find(a => a.article_id === 'pharma').lexical_score, 0);
+  assert.ok(ranked[0].lexical_matches.length > 0);
+});
+
+test('matches Swedish inflections and compound parts', () => {
+  const ranked = scoreArticles([
+    { article_id: 'plant', title: 'Kärnkraftverket i Ringhals stängs för revision', summary: '' },
+    { article_id: 'other', title: 'Ny VD på Volvo', summary: '' }
+  ], { topics: [], keywords: ['kraft', 'kärnkraftverk'] });
+
+  assert.equal(ranked[0].article_id, 'plant');
+  assert.deepEqual(ranked[0].lexical_matches.sort(), ['kraft', 'kärnkraftverk']);
+});
+
+test('strips Finnish case endings for Finnish articles', () => {
+  const finnish = [
+    { article_id: 'nuclear', title: 'Olkiluodon ydinvoiman tuotanto kasvaa', summary: 'Tuulivoimasta saatiin myös ennätysmäärä sähköä.' },
+    { article_id: 'other', title: 'Uusi toimitusjohtaja Nokialle', summary: '' }
+  ];
+  const query = { topics: [], keywords: ['ydinvoima', 'tuulivoima'] };
+
+  assert.equal(scoreArticles(finnish, query)[0].lexical_score, 0);
+
+  const byQuery = scoreArticles(finnish, { ...query, language: 'fi' });
+  assert.equal(byQuery[0].article_id, 'nuclear');
+  assert.deepEqual(byQuery[0].lexical_matches.sort(), ['tuulivoima', 'ydinvoima']);
+
+  // The article's own language wins over the query language
+  const byArticle = scoreArticles(finnish.map(a => ({ ...a, language: 'fi-FI' })), { ...query, language: 'sv' });
+  assert.deepEqual(byArticle[0].lexical_matches.sort(), ['tuulivoima', 'ydinvoima']);
+});
+
+test('masks the topic\'s known false positives before matching', () => {
+  const ranked = scoreArticles(articles, { topics: ['Energy'], keywords: ['sol*', 'kraft*'] });
+  const bank = ranked.find(a => a.article_id === 'bank');
+
+  assert.equal(bank.lexical_score, 0);
+  assert.deepEqual(bank.lexical_negative_matches.sort(), ['kraftig*', 'megasol', 'vinst*']);
+  assert.ok(ranked.find(a => a.article_id === 'solar').lexical_score > 0);
+});
+
+test('does not apply exclusions of unrelated topics', () => {
+  const ranked = scoreArticles(articles, { topics: ['Finance'] });
+
+  assert.equal(ranked[0].article_id, 'bank');
+  assert.equal(ranked[0].lexical_negative_matches, undefined);
+});
+
+test('scores subtopics and unknown topics', () => {
+  const nuclear = scoreArticles([
+    { article_id: 'plant', title: 'Kärnkraftverket i Ringhals stängs', summary: '' },
+    { article_id: 'wind', title: 'Vattenfall sells wind farm', summary: '' }
+  ], { topics: ['Nuclear'] });
+  assert.equal(nuclear[0].article_id, 'plant');
+  assert.equal(nuclear[1].lexical_score, 0);
+
+  const shipping = scoreArticles(articles.concat({ article_id: 'ship', title: 'Shipping rates climb', summary: '' }), { topics: ['Shipping'] });
+  assert.equal(shipping[0].article_id, 'ship');
+});
+
+test('weights client keywords above generic topic terms', () => {
+  const score = (query) => scoreArticles(articles, query).find(a => a.article_id === 'wind').lexical_score;
+
+  const topicOnly = score({ topics: ['Energy'] });
+  const withKeyword = score({ topics: ['Energy'], keywords: ['Vattenfall'] });
+
+  assert.ok(withKeyword > topicOnly);
+});
+
+test('does not modify the input articles', () => {
+  scoreArticles(articles, { topics: ['Energy'] });
+
+  assert.equal(articles[0].lexical_score, undefined);
+});
+
+test('drops unmatched articles only when enough candidates matched', () => {
+  const kept = lexicalPreFilter(articles, { topics: ['Energy'] }, { minCandidates: 2 });
+  assert.equal(kept.discarded, 2);
+  assert.deepEqual(kept.articles.map(a => a.article_id).sort(), ['solar', 'wind']);
+
+  const all = lexicalPreFilter(articles, { topics: ['Energy'] }, { minCandidates: 3 });
+  assert.equal(all.discarded, 0);
+  assert.equal(all.articles.length, 4);
+  assert.deepEqual(all.articles.slice(2).map(a => a.lexical_score), [0, 0]);
+});
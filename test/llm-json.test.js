@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseClaudeJSON, salvageTruncatedJSON } from '../src/services/anthropic-client.js';
+
+test('salvages the complete array elements of truncated JSON', () => {
+  const text = '{"filtered_articles": [{"title": "A"}, {"title": "B, [still"}, {"title": "C", "para';
+  const { value } = salvageTruncatedJSON(text);
+
+  assert.deepEqual(value, { filtered_articles: [{ title: 'A' }, { title: 'B, [still' }] });
+});
+
+test('returns null when nothing complete can be salvaged', () => {
+  assert.equal(salvageTruncatedJSON('{"filtered_articles": [{"title": "A'), null);
+});
+
+test('parseClaudeJSON only salvages output that stopped at max_tokens', () => {
+  const text = '{"filtered_articles": [{"title": "A"}, {"title": "B"';
+  let salvage = null;
+
+  const value = parseClaudeJSON(text, { stopReason: 'max_tokens', onSalvage: (info) => { salvage = info; } });
+  assert.deepEqual(value.filtered_articles, [{ title: 'A' }]);
+  assert.ok(salvage);
+
+  assert.throws(() => parseClaudeJSON(text, { stopReason: 'end_turn' }));
+});
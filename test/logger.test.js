@@ -0,0 +1,109 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLogger, runWithLogContext, addLogContext, getLogContext } from '../src/services/logger.js';
+
+const log = createLogger('test-component', { stage: 'batch' });
+
+afterEach(() => {
+  delete process.env.LOG_LEVEL;
+  delete process.env.LOG_FORMAT;
+});
+
+/**
+ * Capture log lines written while running fn
+ * @param {Object} t - Test context
+ * @param {Function} fn - Code that logs
+ * @returns {Promise<Array<Object>>} Parsed entries
+ */
+async function capture(t, fn) {
+  const lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, (line) => lines.push(line));
+  }
+  await fn();
+  t.mock.restoreAll();
+  return lines.map(line => JSON.parse(line));
+}
+
+test('writes JSON lines with component, default fields and context', async (t) => {
+  const entries = await capture(t, () => runWithLogContext({ request_id: 'req-1' }, async () => {
+    addLogContext({ client_id: 'client-1' });
+    await new Promise(resolve => setImmediate(resolve));
+    log.warn('Batch slow', { batch_number: 2 });
+  }));
+
+  assert.equal(entries.length, 1);
+  const { time, ...entry } = entries[0];
+  assert.ok(!Number.isNaN(Date.parse(time)));
+  assert.deepEqual(entry, {
+    level: 'warn',
+    component: 'test-component',
+    stage: 'batch',
+    request_id: 'req-1',
+    client_id: 'client-1',
+    msg: 'Batch slow',
+    batch_number: 2
+  });
+  assert.deepEqual(getLogContext(), {});
+});
+
+test('nested contexts inherit and override; concurrent contexts stay apart', async (t) => {
+  const entries = await capture(t, () => Promise.all(['a', 'b'].map(id =>
+    runWithLogContext({ request_id: id, client_id: 'shared' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, id === 'a' ? 5 : 0));
+      await runWithLogContext({ job_id: `job-${id}` }, async () => log.info(`from ${id}`));
+    })
+  )));
+
+  assert.deepEqual(
+    entries.map(e => [e.msg, e.request_id, e.job_id, e.client_id]).sort(),
+    [['from a', 'a', 'job-a', 'shared'], ['from b', 'b', 'job-b', 'shared']]
+  );
+});
+
+test('filters by LOG_LEVEL', async (t) => {
+  process.env.LOG_LEVEL = 'warn';
+  const entries = await capture(t, () => {
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+    log.error('error');
+  });
+
+  assert.deepEqual(entries.map(e => e.level), ['warn', 'error']);
+});
+
+test('always masks secrets; article text only appears at debug level', async (t) => {
+  const fields = {
+    api_key: 'abc',
+    headers: { authorization: 'Bearer abc.def' },
+    note: 'used sk-ant-api03-secret and Bearer xyz',
+    article: { title: 'Kept title', content: 'Full article body', summary: 'Summary text' },
+    response_preview: '{"filtered_articles": ['
+  };
+
+  const info = (await capture(t, () => log.info('Calling sk-ant-api03-secret', fields)))[0];
+  assert.equal(info.msg, 'Calling [REDACTED]');
+  assert.equal(info.api_key, '[REDACTED]');
+  assert.equal(info.headers.authorization, '[REDACTED]');
+  assert.equal(info.note, 'used [REDACTED] and [REDACTED]');
+  assert.deepEqual(info.article, { title: 'Kept title', content: '[17 chars]', summary: '[12 chars]' });
+  assert.equal(info.response_preview, '[23 chars]');
+
+  process.env.LOG_LEVEL = 'debug';
+  const debug = (await capture(t, () => log.debug('Parsing', fields)))[0];
+  assert.equal(debug.api_key, '[REDACTED]');
+  assert.equal(debug.article.content, 'Full article body');
+  assert.equal(debug.response_preview, '{"filtered_articles": [');
+});
+
+test('pretty format for local development', (t) => {
+  process.env.LOG_FORMAT = 'pretty';
+  const lines = [];
+  t.mock.method(console, 'log', (line) => lines.push(line));
+
+  log.info('Hello', { count: 3 });
+
+  assert.match(lines[0], /^\S+ INFO  \[test-component\] Hello \{"stage":"batch","count":3\}$/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCounter, createGauge, createHistogram, renderMetrics, resetMetrics, clientLabel } from '../src/services/metrics.js';
+
+const requests = createCounter('test_requests_total', 'Test requests', ['route', 'status']);
+const inFlight = createGauge('test_in_flight', 'Test gauge', []);
+const latency = createHistogram('test_latency_seconds', 'Test latency', ['route'], [0.1, 1]);
+
+test('renders counters, gauges and cumulative histogram buckets', () => {
+  resetMetrics();
+  requests.inc({ route: '/generate-digest', status: 200 });
+  requests.inc({ route: '/generate-digest', status: 200 }, 2);
+  requests.inc({ route: '/generate-digest', status: 500 }, 0);  // Zero increments create no series
+  inFlight.inc();
+  inFlight.inc();
+  inFlight.dec();
+  latency.observe({ route: '/jobs' }, 0.05);
+  latency.observe({ route: '/jobs' }, 0.5);
+  latency.observe({ route: '/jobs' }, 3);
+
+  const text = renderMetrics();
+
+  assert.match(text, /# HELP test_requests_total Test requests\n# TYPE test_requests_total counter\n/);
+  assert.match(text, /^test_requests_total\{route="\/generate-digest",status="200"\} 3$/m);
+  assert.doesNotMatch(text, /status="500"/);
+  assert.match(text, /^test_in_flight 1$/m);
+  assert.match(text, /^test_latency_seconds_bucket\{route="\/jobs",le="0\.1"\} 1$/m);
+  assert.match(text, /^test_latency_seconds_bucket\{route="\/jobs",le="1"\} 2$/m);
+  assert.match(text, /^test_latency_seconds_bucket\{route="\/jobs",le="\+Inf"\} 3$/m);
+  assert.match(text, /^test_latency_seconds_sum\{route="\/jobs"\} 3\.55$/m);
+  assert.match(text, /^test_latency_seconds_count\{route="\/jobs"\} 3$/m);
+});
+
+test('escapes label values', () => {
+  resetMetrics();
+  requests.inc({ route: 'a"b\\c\nd', status: 200 });
+
+  assert.match(renderMetrics(), /route="a\\"b\\\\c\\nd"/);
+});
+
+test('client labels can be collapsed', (t) => {
+  t.after(() => { delete process.env.METRICS_CLIENT_LABELS; });
+
+  assert.equal(clientLabel('client-1'), 'client-1');
+  process.env.METRICS_CLIENT_LABELS = 'off';
+  assert.equal(clientLabel('client-1'), 'all');
+});
@@ -0,0 +1,143 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildMimeMessage,
+  encodeHeaderText,
+  encodeQuotedPrintable,
+  formatAddress,
+  formatHeader,
+  validateMimeOptions
+} from '../src/services/mime-message.js';
+
+afterEach(() => {
+  delete process.env.EMAIL_FROM;
+});
+
+/**
+ * Decode quoted-printable
+ * @param {string} body - Encoded body
+ * @returns {string} UTF-8 text with \n line endings
+ */
+function decodeQuotedPrintable(body) {
+  const joined = body.replace(/=\r\n/g, '').replace(/\r\n/g, '\n');
+  const bytes = [];
+  for (let i = 0; i < joined.length; i++) {
+    if (joined[i] === '=') {
+      bytes.push(parseInt(joined.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(joined.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+test('encodes non-ASCII header text as folded UTF-8 encoded-words', () => {
+  assert.equal(encodeHeaderText('Daily digest'), 'Daily digest');
+
+  const subject = 'Kärnkraft och vindkraft: Vattenfall ökar produktionen i Norrland och Åland';
+  const encoded = encodeHeaderText(subject);
+  const words = encoded.split('\r\n ');
+
+  assert.ok(words.length > 1);
+  assert.ok(words.every(word => /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/.test(word) && word.length <= 75));
+  assert.equal(words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString('utf8')).join(''), subject);
+});
+
+test('formats addresses and rejects malformed or injected ones', () => {
+  assert.equal(formatAddress('digest@mundus.example'), 'digest@mundus.example');
+  assert.equal(formatAddress('digest@mundus.example', 'Mundus'), '"Mundus" <digest@mundus.example>');
+  assert.equal(formatAddress('"Acme, Inc" <news@acme.example>'), '"Acme, Inc" <news@acme.example>');
+  assert.equal(formatAddress('Åsa Öberg <asa@acme.example>'), `=?UTF-8?B?${Buffer.from('Åsa Öberg').toString('base64')}?= <asa@acme.example>`);
+
+  assert.throws(() => formatAddress('not an address'), /Invalid email address/);
+  assert.throws(() => formatAddress('a@b.example\r\nBcc: victim@x.example'), /line breaks/);
+
+  assert.deepEqual(validateMimeOptions({ to: ['ok@x.example', 'broken'] }).map(e => e.path), ['mime.from', 'mime.to[1]']);
+  process.env.EMAIL_FROM = 'Digest <digest@mundus.example>';
+  assert.deepEqual(validateMimeOptions({}), []);
+  process.env.EMAIL_FROM = 'not an address';
+  assert.deepEqual(validateMimeOptions({}).map(e => e.path), ['mime.from']);
+  assert.deepEqual(validateMimeOptions({ from: 'digest@mundus.example' }), []);
+  assert.deepEqual(validateMimeOptions(null), []);
+});
+
+test('quoted-printable keeps lines short and round-trips Nordic text', () => {
+  const text = `Bästa läsare,\n${'Försörjningstrygghet på Åland = viktig fråga. '.repeat(5)}\ntrailing space \nend`;
+  const encoded = encodeQuotedPrintable(text);
+  const lines = encoded.split('\r\n');
+
+  assert.ok(lines.every(line => line.length <= 76));
+  assert.ok(lines.every(line => !/[ \t]$/.test(line)));
+  assert.doesNotMatch(encoded, /[^\x20-\x7e\r\n]/);
+  assert.match(encoded, /trailing space=20\r\nend$/);
+  assert.equal(decodeQuotedPrintable(encoded), text);
+});
+
+test('builds a multipart/alternative message with text and HTML parts', () => {
+  const mime = buildMimeMessage({
+    from: 'digest@mundus.example',
+    fromName: 'Mundus Digest',
+    to: ['a@client.example', 'Björn <b@client.example>'],
+    replyTo: 'support@mundus.example',
+    subject: 'Dagens nyheter: Sjöfart',
+    text: 'Hej Björn\n\n[1] https://example.com/a',
+    html: '<p>Hej Björn</p>',
+    date: new Date('2026-10-19T06:00:00Z'),
+    messageId: 'req:1'
+  });
+
+  const [head, ...rest] = mime.split('\r\n\r\n');
+  assert.match(head, /^From: "Mundus Digest" <digest@mundus\.example>\r\n/);
+  assert.match(head, /\r\nTo: a@client\.example,\r\n =\?UTF-8\?B\?[^?]+\?= <b@client\.example>\r\n/);
+  assert.match(head, /\r\nReply-To: support@mundus\.example\r\n/);
+  assert.match(head, /\r\nDate: Mon, 19 Oct 2026 06:00:00 \+0000\r\n/);
+  assert.match(head, /\r\nMessage-ID: <req-1@mundus\.example>\r\n/);
+  assert.match(head, /\r\nMIME-Version: 1\.0\r\n/);
+
+  const boundary = head.match(/boundary="([^"]+)"/)[1];
+  const body = rest.join('\r\n\r\n');
+  const parts = body.split(`--${boundary}`);
+  assert.equal(parts.length, 4);
+  assert.equal(parts[3], '--\r\n');
+  assert.match(parts[1], /Content-Type: text\/plain; charset=UTF-8\r\nContent-Transfer-Encoding: quoted-printable\r\n\r\n/);
+  assert.match(parts[2], /Content-Type: text\/html; charset=UTF-8/);
+  assert.equal(decodeQuotedPrintable(parts[1].split('\r\n\r\n').slice(1).join('\r\n\r\n').replace(/\r\n$/, '')), 'Hej Björn\n\n[1] https://example.com/a');
+
+  assert.throws(() => buildMimeMessage({ subject: 'x', text: 'x', html: 'x' }), /From address required/);
+});
+
+test('folds long ASCII headers at spaces to 78 columns', () => {
+  assert.equal(formatHeader('Subject', 'Short subject'), 'Subject: Short subject');
+  assert.equal(formatHeader('Subject', ''), 'Subject: ');
+
+  const subject = 'Energy, shipping and finance: Vattenfall raises output as Nordic power prices fall for the third week';
+  const folded = formatHeader('Subject', subject);
+  const lines = folded.split('\r\n');
+
+  assert.ok(lines.length > 1);
+  assert.ok(lines.every(line => line.length <= 78));
+  assert.ok(lines.slice(1).every(line => /^ \S/.test(line)));
+  assert.equal(folded.replace(/\r\n /g, ' '), `Subject: ${subject}`);
+
+  const long = `Subject: ${'x'.repeat(100)}`;
+  assert.equal(formatHeader('Subject', 'x'.repeat(100)), long);
+});
+
+test('collapses line breaks in model and client header text instead of failing', () => {
+  const mime = buildMimeMessage({
+    from: 'digest@mundus.example',
+    fromName: 'Acme\r\nBcc: victim@x.example',
+    subject: 'Weekly digest\r\nBcc: victim@x.example\n\tand more',
+    text: 'x',
+    html: 'x'
+  });
+  const head = mime.split('\r\n\r\n')[0];
+
+  assert.match(head, /^From: "Acme Bcc: victim@x\.example" <digest@mundus\.example>\r\n/);
+  assert.match(head, /\r\nSubject: Weekly digest Bcc: victim@x\.example and more\r\n/);
+  assert.doesNotMatch(head, /\r\nBcc:/);
+
+  assert.throws(() => buildMimeMessage({ from: 'digest@mundus.example', to: 'a@b.example\r\nBcc: c@d.example', text: 'x', html: 'x' }), /line breaks/);
+});
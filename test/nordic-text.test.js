@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyze, foldDiacritics, isStopword, normalizeTokens, splitCompound, stem } from '../src/services/nordic-text.js';
+
+test('splits compounds into known parts only', () => {
+  assert.deepEqual(splitCompound('kärnkraftverk'), ['kärn', 'kraft', 'verk']);
+  assert.deepEqual(splitCompound('solcellspark'), ['sol', 'cell', 'park']);
+  assert.deepEqual(splitCompound('elbil'), ['el', 'bil']);
+  assert.deepEqual(splitCompound('megasol'), ['megasol']);
+});
+
+test('folds diacritics', () => {
+  assert.equal(foldDiacritics('Kärnkraft Åre strøm Ærø'), 'Karnkraft Are strom AEro');
+});
+
+test('stems common inflections', () => {
+  assert.equal(stem('kraftverket'), 'kraftverk');
+  assert.equal(stem('solcellerna'), 'solcell');
+  assert.equal(stem('batterier'), 'batteri');
+  assert.equal(stem('sähköverkossa', 'fi'), 'sähköverko');
+  assert.equal(stem('el'), 'el');
+});
+
+test('recognizes stopwords per language', () => {
+  assert.ok(isStopword('och'));
+  assert.ok(isStopword('ikke', 'no'));
+  assert.ok(!isStopword('ikke', 'sv'));
+  assert.ok(!isStopword('sol'));
+});
+
+test('analyzes text into stems with compound parts', () => {
+  assert.deepEqual(analyze('Kärnkraftverket och solcellsparken'), [
+    ['karnkraftverk', 'karn', 'kraft', 'verk'],
+    ['solcellspark', 'sol', 'cell', 'park']
+  ]);
+  assert.deepEqual(normalizeTokens('Strømprisen i Norge'), ['strompris', 'norg']);
+});
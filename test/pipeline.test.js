@@ -0,0 +1,648 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { startTestEnvironment } from './helpers/environment.js';
+import { TEST_CLIENT, makeArticles } from './helpers/fixtures.js';
+import { generateDigest } from '../src/services/digest-generator.js';
+import { processBatch, processAllBatches } from '../src/services/batch-processor.js';
+import { mergeBatchResults } from '../src/services/result-merger.js';
+import { clearArticleCache } from '../src/services/article-cache.js';
+import { QuotaExceededError } from '../src/services/quota.js';
+import { createJob, subscribeToJob } from '../src/services/job-manager.js';
+import { loadUsageRecords, loadVariantOutcomes } from '../src/services/prompt-loader.js';
+import { renderMetrics, resetMetrics } from '../src/services/metrics.js';
+
+let env;
+
+before(async () => {
+  env = await startTestEnvironment();
+});
+
+after(async () => {
+  await env.close();
+});
+
+beforeEach(() => {
+  env.anthropic.requests.length = 0;
+  delete process.env.LLM_FIXTURE_MODE;
+  clearArticleCache();
+});
+
+test('runs pre-filter, batches and email against the mock API', async () => {
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(120),
+    country: 'Sweden',
+    context: { topics: ['Energy'] }
+  });
+
+  // 1 pre-filter + 4 batches of 25 + 1 email
+  assert.equal(env.anthropic.requests.length, 6);
+  assert.equal(result.report.metadata.batches_processed, 4);
+  assert.equal(result.report.metadata.articles_included, 100);
+  assert.equal(result.report.main_stories.length, 52);
+  assert.equal(result._metadata.email_generated_by, 'ai');
+  assert.equal(result.email.subject, 'Mock Digest for Test Client');
+  assert.match(result.email.body_html, /^<!DOCTYPE html>/);
+  assert.ok(result.email.body_html.includes(result.email.intro_html));
+  assert.ok(result.email.body_html.includes(result.report.main_stories[0].title));
+  assert.ok(result.email.body_text.includes(result.report.main_stories[0].title));
+  assert.equal(result.email.mime, undefined);
+  assert.deepEqual(result._metadata.html_sanitization, { changed: false, removed: {} });
+
+  const { stages, batches, total } = result._metadata.usage;
+  assert.deepEqual([stages.pre_filter.calls, stages.batch.calls, stages.email.calls], [1, 4, 1]);
+  assert.deepEqual(batches.map(b => b.label).sort(), ['batch 1', 'batch 2', 'batch 3', 'batch 4']);  // Completion order
+  assert.equal(total.input_tokens, stages.pre_filter.input_tokens + stages.batch.input_tokens + stages.email.input_tokens);
+  assert.ok(total.cost_usd > 0);
+
+  const stored = env.supabase.tables.digest_usage.at(-1);
+  assert.equal(stored.client_id, TEST_CLIENT.id);
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.cost_usd, total.cost_usd);
+});
+
+test('returns the email as a MIME message when requested', async () => {
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(10),
+    mime: { from: 'digest@mundus.example', to: ['reader@client.example'] },
+    request_id: 'req-42'
+  });
+
+  const { mime } = result.email;
+  assert.match(mime, /^From: "Mundus Digest" <digest@mundus\.example>\r\nTo: reader@client\.example\r\n/);
+  assert.match(mime, /\r\nMessage-ID: <req-42@mundus\.example>\r\n/);
+  assert.match(mime, /Content-Type: multipart\/alternative; boundary="([^"]+)"/);
+  assert.equal(mime.match(/Content-Transfer-Encoding: quoted-printable/g).length, 2);
+  assert.ok(mime.split('\r\n').every(line => line.length <= 998));
+});
+
+test('concurrent batches merge identically to sequential batches', async () => {
+  const articles = makeArticles(100);
+  const context = { client: TEST_CLIENT, country: 'Sweden' };
+
+  const sequential = await processAllBatches(articles, context, { concurrency: 1 });
+  const concurrent = await processAllBatches(articles, context, { concurrency: 4 });
+
+  assert.deepEqual(concurrent.map(r => r.batchNumber), [1, 2, 3, 4]);
+  assert.deepEqual(
+    mergeBatchResults(concurrent, TEST_CLIENT).report.main_stories,
+    mergeBatchResults(sequential, TEST_CLIENT).report.main_stories
+  );
+});
+
+test('retries overloaded responses instead of failing the digest', async () => {
+  env.anthropic.inject('overloaded', 'rate_limited');
+
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(10),
+    country: 'Sweden'
+  });
+
+  // Two rejected attempts, then 1 batch + 1 email
+  assert.equal(env.anthropic.requests.length, 4);
+  assert.equal(result.report.metadata.articles_included, 10);
+});
+
+test('splits a batch that keeps returning malformed JSON', async () => {
+  env.anthropic.inject('malformed_json', 'malformed_json');
+
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(10),
+    country: 'Sweden'
+  });
+
+  // 2 failed attempts, 2 halves, 1 email
+  assert.equal(env.anthropic.requests.length, 5);
+  assert.equal(result.report.metadata.articles_included, 10);
+  assert.equal(result.report.metadata.batches_split, 1);
+  assert.equal(result.report.metadata.incomplete, false);
+});
+
+test('salvages complete articles from a truncated tool call', async () => {
+  env.anthropic.inject('truncated');
+
+  const results = await processAllBatches(makeArticles(10), { client: TEST_CLIENT, country: 'Sweden' });
+  const { report } = mergeBatchResults(results, TEST_CLIENT);
+
+  // 5 emitted, the last one cut off mid-article
+  assert.equal(env.anthropic.requests.length, 1);
+  assert.equal(report.metadata.articles_included, 4);
+  assert.equal(report.metadata.salvage_applied, true);
+  assert.equal(report.metadata.truncated_batches[0].strategy, 'salvage');
+  assert.equal(report.metadata.validation.dropped_count, 1);
+});
+
+test('continues a truncated batch as JSON text when the tool call is empty', async () => {
+  env.anthropic.inject('truncated_empty', 'truncated');
+
+  const results = await processAllBatches(makeArticles(10), { client: TEST_CLIENT, country: 'Sweden' });
+  const { report } = mergeBatchResults(results, TEST_CLIENT);
+
+  // Tool call, text fallback cut in half, one continuation
+  assert.equal(env.anthropic.requests.length, 3);
+  assert.equal(report.metadata.articles_included, 10);
+  assert.deepEqual(report.metadata.truncated_batches[0], {
+    batch_number: '1',
+    strategy: 'continuation',
+    continuations: 1,
+    salvaged: false,
+    articles_recovered: 10
+  });
+});
+
+test('settles batch token reservations, including the text fallback, and releases failed ones', async () => {
+  const events = [];
+  const tokenBudget = {
+    reserve: async (estimate) => { events.push('reserve'); return { tokens: estimate }; },
+    settle: (entry, actual) => events.push(actual > 0 ? 'settle' : 'settle-empty'),
+    release: () => events.push('release')
+  };
+  const options = { batch: makeArticles(10), batchNumber: 1, totalBatches: 1, client: TEST_CLIENT, country: 'Sweden', tokenBudget };
+
+  env.anthropic.inject('truncated_empty', 'truncated');
+  await processBatch(options);
+  assert.deepEqual(events, ['reserve', 'settle', 'reserve', 'settle']);
+
+  events.length = 0;
+  env.anthropic.inject('invalid_request');
+  await assert.rejects(processBatch(options));
+  assert.deepEqual(events, ['reserve', 'release']);
+});
+
+test('returns a partial digest when a batch cannot be processed', async () => {
+  env.anthropic.inject('invalid_request', 'invalid_request');
+
+  const results = await processAllBatches(makeArticles(50), { client: TEST_CLIENT, country: 'Sweden' }, { concurrency: 1 });
+  const { report } = mergeBatchResults(results, TEST_CLIENT);
+
+  assert.equal(report.metadata.incomplete, true);
+  assert.equal(report.metadata.articles_included, 25);
+  assert.equal(report.metadata.failed_batches.length, 1);
+  assert.equal(report.metadata.failed_batches[0].reason, 'invalid_request');
+  assert.deepEqual(report.metadata.unprocessed_article_ids, makeArticles(25).map(a => a.article_id));
+});
+
+test('fails the digest when every batch fails', async () => {
+  env.anthropic.inject('invalid_request', 'invalid_request');
+
+  await assert.rejects(
+    generateDigest({ client_id: TEST_CLIENT.id, articles: makeArticles(10), country: 'Sweden' }),
+    /All 1 batches failed/
+  );
+});
+
+test("builds pre-filter examples from the client's taxonomy topics", async () => {
+  const preFilterPrompt = async (topics) => {
+    env.anthropic.requests.length = 0;
+    await generateDigest({ client_id: TEST_CLIENT.id, articles: makeArticles(120), country: 'Sweden', context: { topics } });
+    const request = env.anthropic.requests.find(r => r.tool_choice?.name === 'filter_articles_by_topic');
+    return request.messages[0].content;
+  };
+
+  const energy = await preFilterPrompt(['Energy']);
+  assert.ok(energy.includes('- ✅ Article about Nuclear (Energy) → RELEVANT'));
+  assert.ok(energy.includes('- ❌ Article that only matches "megasol" (Swedish bank, not solar energy) → NOT RELEVANT'));
+
+  clearArticleCache();
+  const healthcare = await preFilterPrompt(['Healthcare']);
+  assert.ok(healthcare.includes('Example: If topic is "Healthcare"'));
+  assert.ok(healthcare.includes('- ✅ Article about Pharmaceuticals (Healthcare) → RELEVANT'));
+  assert.doesNotMatch(healthcare, /"sol"|"kraft"|megasol|solar company|pharma company/);
+
+  clearArticleCache();
+  const unknown = await preFilterPrompt(['Shipping']);
+  assert.doesNotMatch(unknown, /Example:/);
+});
+
+test('falls back to the lexical ranking when the pre-filter fails', async () => {
+  // 110 energy stories plus 40 banking stories the lexical stage ranks last
+  const noise = Array.from({ length: 40 }, (_, i) => ({
+    article_id: `n${i + 1}`,
+    title: `Megasol bank report ${i + 1}`,
+    summary: 'Megasol redovisar kraftigt vinst.',
+    source: 'Placera',
+    url: `https://example.com/noise/${i + 1}`
+  }));
+  env.anthropic.inject('invalid_request');
+
+  const events = [];
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: [...noise, ...makeArticles(110)],
+    country: 'Sweden',
+    context: { topics: ['Energy'] },
+    onProgress: (event) => events.push(event)
+  });
+
+  const lexical = events.find(e => e.stage === 'lexical_score');
+  assert.equal(lexical.discarded, 40);
+  assert.equal(result._metadata.lexical_discarded, 40);
+  assert.ok(events.some(e => e.stage === 'pre_filter' && e.fallback === true));
+
+  const batchPrompts = env.anthropic.requests.filter(r => r.tool_choice?.name === 'submit_batch_analysis')
+    .map(r => JSON.stringify(r.messages));
+  assert.equal(batchPrompts.length, 4);
+  assert.ok(batchPrompts.every(p => !p.includes('Megasol')));
+});
+
+test('falls back to the template email when email generation fails', async () => {
+  // Batch succeeds, email call gets a text reply instead of a tool call
+  env.anthropic.inject(null, 'malformed_json');
+
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(10),
+    country: 'Sweden'
+  });
+
+  assert.equal(result._metadata.email_generated_by, 'template');
+  assert.match(result.email.intro_html, /^<p>Dear Test Client,<\/p>/);
+  assert.ok(result.email.body_html.includes(result.report.main_stories[0].title));
+});
+
+test('renders the template email in the request language', async () => {
+  env.anthropic.inject(null, 'malformed_json');
+
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(10),
+    country: 'Sweden',
+    context: { language: 'sv' }
+  });
+
+  assert.equal(result._metadata.email_generated_by, 'template');
+  assert.match(result.email.body_html, /<html lang="sv">/);
+  assert.ok(result.email.body_html.includes('Läs på'));
+  assert.match(result.email.intro_html, /^<p>Hej Test Client,<\/p>\n<p>Här är dagens viktigaste händelser:<\/p>/);
+  assert.match(result.email.intro_html, /<p>Med vänliga hälsningar,<br>Mundus Digest-teamet<\/p>$/);
+  assert.doesNotMatch(result.email.body_text, /Dear|Best regards/);
+});
+
+test("writes the AI email in the client's preferred language when the request sets none", async (t) => {
+  const original = env.supabase.clients[TEST_CLIENT.id];
+  env.supabase.clients[TEST_CLIENT.id] = { ...original, preferences: { language: 'sv' } };
+  t.after(() => { env.supabase.clients[TEST_CLIENT.id] = original; });
+
+  const result = await generateDigest({ client_id: TEST_CLIENT.id, articles: makeArticles(10), country: 'Sweden' });
+
+  const emailPrompt = JSON.stringify(env.anthropic.requests.find(r => r.tool_choice?.name === 'generate_digest_email').messages);
+  assert.ok(emailPrompt.includes('Language: Swedish'));
+  assert.equal(result._metadata.email_generated_by, 'ai');
+  assert.match(result.email.body_html, /<html lang="sv">/);
+});
+
+test('sanitizes a hostile model intro and reports it in _metadata', async (t) => {
+  // The mock model echoes the client name into its HTML, like a prompt-injected response would
+  const original = env.supabase.clients[TEST_CLIENT.id];
+  env.supabase.clients[TEST_CLIENT.id] = { ...original, name: 'Acme<script>steal()</script><img src="https://t.example/p.gif">' };
+  t.after(() => { env.supabase.clients[TEST_CLIENT.id] = original; });
+
+  const result = await generateDigest({ client_id: TEST_CLIENT.id, articles: makeArticles(10) });
+
+  assert.equal(result._metadata.email_generated_by, 'ai');
+  assert.deepEqual(result._metadata.html_sanitization, {
+    changed: true,
+    removed: { intro_html: { '<script>': 1, '<img>': 1 } }
+  });
+  for (const html of [result.email.intro_html, result.email.body_html]) {
+    assert.doesNotMatch(html, /<script|<img src="https:\/\/t\.example/);
+  }
+  assert.match(result.email.intro_html, /^<p>Dear Acme,<\/p>/);
+});
+
+test('records stage, LLM and fallback metrics', async () => {
+  resetMetrics();
+  // Overloaded batch attempt, then a good batch and an email without a tool call
+  env.anthropic.inject('overloaded', null, 'malformed_json');
+
+  await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(10),
+    country: 'Sweden'
+  });
+
+  const text = renderMetrics();
+  const value = (series) => {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line ? Number(line.split(' ')[1]) : undefined;
+  };
+  const client = `client_id="${TEST_CLIENT.id}"`;
+
+  assert.equal(value('digest_llm_http_responses_total{provider="anthropic",stage="batch",status="529"}'), 1);
+  assert.equal(value('digest_llm_http_responses_total{provider="anthropic",stage="batch",status="200"}'), 1);
+  assert.equal(value('digest_stage_duration_seconds_count{stage="batch"}'), 1);
+  assert.equal(value('digest_stage_duration_seconds_count{stage="merge"}'), 1);
+  assert.equal(value('digest_stage_duration_seconds_count{stage="email"}'), 1);
+  assert.equal(value('digest_stage_duration_seconds_count{stage="pre_filter"}'), undefined);
+  assert.equal(value(`digest_email_fallbacks_total{${client},reason="error"}`), 1);
+  assert.equal(value(`digest_generations_total{${client},status="completed"}`), 1);
+  assert.equal(value('digest_in_flight'), 0);
+  assert.ok(value(`digest_llm_tokens_total{${client},stage="batch",type="input"}`) > 0);
+});
+
+test('tags every log line of a digest with its request and client ID', async (t) => {
+  const lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, (line) => lines.push(line));
+  }
+
+  await generateDigest({
+    request_id: 'req-logs',
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(120),
+    country: 'Sweden',
+    context: { topics: ['Energy'] }
+  });
+  t.mock.restoreAll();
+
+  const entries = lines.map(line => JSON.parse(line));
+  const components = new Set(entries.map(e => e.component));
+  for (const component of ['digest-generator', 'pre-filter', 'batch-processor', 'anthropic', 'result-merger', 'email-gen']) {
+    assert.ok(components.has(component), `no log lines from ${component}`);
+  }
+  assert.ok(entries.every(e => e.request_id === 'req-logs' && e.client_id === TEST_CLIENT.id));
+  assert.ok(entries.filter(e => e.component === 'batch-processor').every(e => e.stage === 'batch'));
+});
+
+test('jobs keep the caller\'s request ID and log their job ID alongside it', async (t) => {
+  const lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, (line) => lines.push(line));
+  }
+
+  const job = createJob({ request_id: 'req-job', client_id: TEST_CLIENT.id, articles: makeArticles(10), country: 'Sweden' });
+  await new Promise(resolve => subscribeToJob(job.id, (event) => { if (event.type === 'done') resolve(); }));
+  t.mock.restoreAll();
+
+  assert.equal(job.result._metadata.request_id, 'req-job');
+  assert.equal(job.result._metadata.job_id, job.id);
+  const entries = lines.map(line => JSON.parse(line)).filter(e => e.component !== 'job-manager');
+  assert.ok(entries.length > 0);
+  assert.ok(entries.every(e => e.request_id === 'req-job' && e.job_id === job.id));
+});
+
+test('renders stage prompts from stored templates with client overrides', async (t) => {
+  env.supabase.tables.prompts = [
+    { name: 'digest-batch', version: 2, client_id: null, template: 'GLOBAL BATCH {{articles_text}}' },
+    {
+      name: 'digest-batch',
+      version: 1,
+      client_id: TEST_CLIENT.id,
+      template: 'CLIENT BATCH {{batch_number}}/{{total_batches}} for {{client_name}}{{#if topics}} about {{topic_list}}{{/if}}\n\n{{articles_text}}'
+    },
+    { name: 'digest-email', version: 5, client_id: null, template: 'EMAIL TEMPLATE\n- Name: {{client_name}}\n{{#each main_stories}}{{@number}}. {{title}}\n{{/each}}' },
+    { name: 'digest-pre-filter', version: 1, client_id: null, template: '{{#if topics}}never closed' }
+  ];
+  t.after(() => { delete env.supabase.tables.prompts; });
+
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(120),
+    country: 'Sweden',
+    context: { topics: ['Energy'] }
+  });
+
+  assert.deepEqual(result._metadata.prompts, {
+    pre_filter: { name: 'digest-pre-filter', version: null, source: 'built-in', variant: null },
+    batch: { name: 'digest-batch', version: 1, source: 'client', variant: null },
+    email: { name: 'digest-email', version: 5, source: 'global', variant: null }
+  });
+
+  const prompts = (toolName) => env.anthropic.requests.filter(r => r.tool_choice?.name === toolName)
+    .map(r => JSON.stringify(r.messages));
+  assert.ok(prompts('filter_articles_by_topic')[0].includes('You are a content curator'));
+  assert.ok(prompts('submit_batch_analysis')[0].startsWith('[{"role":"user","content":"CLIENT BATCH 1/4 for Test Client about Energy'));
+  assert.ok(prompts('generate_digest_email')[0].includes('1. Energy story'));
+  assert.equal(result.report.metadata.articles_included, 100);
+  assert.equal(result.email.subject, 'Mock Digest for Test Client');
+});
+
+test('tags prompt variants on the digest and records their outcome', async (t) => {
+  env.supabase.tables.prompts = [
+    { name: 'digest-batch', variant: 'terse', traffic_percent: 100, version: 3, client_id: null, template: 'TERSE BATCH\n\n{{articles_text}}' },
+    { name: 'digest-email', variant: 'warm', traffic_percent: 0, version: 1, client_id: null, template: '- Name: {{client_name}}' }
+  ];
+  t.after(() => {
+    delete env.supabase.tables.prompts;
+    delete env.supabase.tables.prompt_variant_outcomes;
+  });
+  env.anthropic.inject('malformed_json');
+
+  const result = await generateDigest({
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(10),
+    country: 'Sweden',
+    request_id: 'request-1'
+  });
+
+  assert.deepEqual(result._metadata.prompts.batch, { name: 'digest-batch', version: 3, source: 'global', variant: 'terse' });
+  assert.deepEqual(result._metadata.prompts.email, { name: 'digest-email', version: null, source: 'built-in', variant: 'control' });
+  assert.equal(result._metadata.request_id, 'request-1');
+  assert.equal(result.report.metadata.json_failures, 1);
+  assert.ok(result._metadata.usage.total.input_tokens > 0);
+
+  const outcomes = env.supabase.tables.prompt_variant_outcomes;
+  assert.deepEqual(outcomes.map(o => [o.stage, o.variant]), [['batch', 'terse'], ['email', 'control']]);
+  assert.equal(outcomes[0].articles_included, 10);
+  assert.equal(outcomes[0].json_failures, 1);
+  assert.equal(outcomes[0].input_tokens, result._metadata.usage.stages.batch.input_tokens);
+  assert.equal(outcomes[1].input_tokens, result._metadata.usage.stages.email.input_tokens);
+  assert.ok(outcomes[0].input_tokens < result._metadata.usage.total.input_tokens);
+
+  // Template fallback: the email variant was not what the client received
+  env.supabase.tables.prompt_variant_outcomes = [];
+  clearArticleCache();
+  env.anthropic.inject(null, 'malformed_json');
+  const fallback = await generateDigest({ client_id: TEST_CLIENT.id, articles: makeArticles(10), country: 'Sweden' });
+  assert.equal(fallback._metadata.email_generated_by, 'template');
+  assert.deepEqual(env.supabase.tables.prompt_variant_outcomes.map(o => o.stage), ['batch']);
+});
+
+test('pages through prompt variant outcomes in a stable order', async (t) => {
+  const at = new Date('2026-10-01T06:00:00Z').toISOString();
+  env.supabase.tables.prompt_variant_outcomes = Array.from({ length: 1500 }, (_, i) => ({
+    prompt_name: 'digest-batch',
+    stage: i % 2 === 0 ? 'email' : 'batch',
+    variant: i % 3 === 0 ? 'terse' : 'control',
+    request_id: `request-${String(Math.floor(i / 2)).padStart(4, '0')}`,
+    created_at: at
+  }));
+  t.after(() => { delete env.supabase.tables.prompt_variant_outcomes; });
+
+  const outcomes = await loadVariantOutcomes({ promptName: 'digest-batch', since: '2026-10-01' });
+
+  assert.equal(outcomes.length, 1500);
+  assert.equal(new Set(outcomes.map(o => `${o.request_id}/${o.stage}`)).size, 1500);
+  assert.deepEqual(outcomes.slice(0, 2).map(o => [o.request_id, o.stage]), [['request-0000', 'batch'], ['request-0000', 'email']]);
+});
+
+test('re-runs only batch articles that are not cached', async () => {
+  const options = { client_id: TEST_CLIENT.id, country: 'Sweden', context: { topics: ['Energy'] } };
+  const first = await generateDigest({ ...options, articles: makeArticles(30) });
+  assert.deepEqual(
+    [first._metadata.article_cache.hits, first._metadata.article_cache.misses, first._metadata.article_cache.stored],
+    [0, 30, 30]
+  );
+
+  env.anthropic.requests.length = 0;
+  const second = await generateDigest({ ...options, articles: makeArticles(40) });
+
+  const batchPrompts = env.anthropic.requests.filter(r => r.tool_choice?.name === 'submit_batch_analysis');
+  assert.equal(batchPrompts.length, 1);
+  assert.equal((JSON.stringify(batchPrompts[0].messages).match(/Article \d+: /g) || []).length, 10);
+  assert.equal(second._metadata.article_cache.hits, 30);
+  assert.equal(second._metadata.article_cache.hit_rate, 0.75);
+  assert.equal(second.report.metadata.articles_included, 40);
+  assert.equal(second.report.metadata.batches_processed, 1);
+
+  // Different client context is a different cache scope
+  env.anthropic.requests.length = 0;
+  const other = await generateDigest({ ...options, context: { topics: ['Finance'] }, articles: makeArticles(30) });
+  assert.equal(other._metadata.article_cache.hits, 0);
+});
+
+test('serves cached analyses from the file tier after a restart', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'article-cache-'));
+  process.env.ARTICLE_CACHE_STORE = 'file';
+  process.env.ARTICLE_CACHE_DIR = dir;
+  t.after(async () => {
+    delete process.env.ARTICLE_CACHE_STORE;
+    delete process.env.ARTICLE_CACHE_DIR;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const options = { client_id: TEST_CLIENT.id, articles: makeArticles(25), country: 'Sweden' };
+  const first = await generateDigest(options);
+  assert.equal((await readdir(dir)).length, 25);
+
+  clearArticleCache();  // Memory tier is gone, as after a restart
+  env.anthropic.requests.length = 0;
+  const second = await generateDigest(options);
+
+  assert.equal(second._metadata.article_cache.persistent_hits, 25);
+  assert.equal(env.anthropic.requests.length, 1);  // Email only
+  assert.deepEqual(second.report.main_stories, first.report.main_stories);
+});
+
+test('enforces client quotas before any LLM call', async (t) => {
+  const client = (quota) => ({ ...TEST_CLIENT, id: 'client-quota', quota });
+  t.after(() => { delete env.supabase.clients['client-quota']; });
+
+  env.supabase.clients['client-quota'] = client({ articles_per_request: 50 });
+  await assert.rejects(
+    generateDigest({ client_id: 'client-quota', articles: makeArticles(60), country: 'Sweden' }),
+    (error) => error instanceof QuotaExceededError && error.status === 413
+  );
+  assert.equal(env.anthropic.requests.length, 0);
+
+  // Soft mode: capped to the limit, smaller target count and no AI email once the budget is spent
+  env.supabase.clients['client-quota'] = client({ articles_per_request: 50, tokens_per_month: 1, mode: 'soft', soft_target_count: 30 });
+  env.supabase.tables.digest_usage = [
+    ...(env.supabase.tables.digest_usage || []),
+    { client_id: 'client-quota', status: 'completed', created_at: new Date().toISOString(), input_tokens: 10, output_tokens: 0 }
+  ];
+  const result = await generateDigest({ client_id: 'client-quota', articles: makeArticles(60), country: 'Sweden' });
+
+  assert.equal(result._metadata.quota.degraded, true);
+  assert.deepEqual(result._metadata.quota.exceeded.sort(), ['articles_per_request', 'tokens_per_month']);
+  assert.equal(result.report.metadata.articles_included, 30);
+  assert.equal(result._metadata.email_generated_by, 'template');
+  assert.ok(env.anthropic.requests.every(r => r.tool_choice?.name !== 'generate_digest_email'));
+});
+
+test('stores usage for a completed digest that made no LLM call', async (t) => {
+  // Spent token budget in soft mode: template email, and the second run is all cache hits
+  env.supabase.clients['client-cached'] = { ...TEST_CLIENT, id: 'client-cached', quota: { tokens_per_month: 1, mode: 'soft' } };
+  const previous = env.supabase.tables.digest_usage;
+  env.supabase.tables.digest_usage = [
+    { client_id: 'client-cached', status: 'completed', created_at: new Date().toISOString(), input_tokens: 10, output_tokens: 0 }
+  ];
+  t.after(() => {
+    delete env.supabase.clients['client-cached'];
+    env.supabase.tables.digest_usage = previous;
+  });
+
+  const options = { client_id: 'client-cached', articles: makeArticles(20), country: 'Sweden' };
+  await generateDigest(options);
+  env.anthropic.requests.length = 0;
+  const result = await generateDigest({ ...options, request_id: 'all-cached' });
+
+  assert.equal(env.anthropic.requests.length, 0);
+  assert.equal(result._metadata.usage.total.calls, 0);
+  const stored = env.supabase.tables.digest_usage.find(r => r.request_id === 'all-cached');
+  assert.equal(stored?.status, 'completed');
+  assert.equal(stored.input_tokens, 0);
+});
+
+test('pages through usage records past the 1000-row response limit', async (t) => {
+  const day = Date.parse('2026-10-01T00:00:00Z');
+  const rows = Array.from({ length: 2500 }, (_, i) => ({
+    request_id: `usage-${String(i).padStart(4, '0')}`,
+    client_id: i % 5 === 0 ? 'client-other' : 'client-paged',
+    status: 'completed',
+    created_at: new Date(day + (i % 100) * 60000).toISOString(),
+    input_tokens: 1,
+    output_tokens: 2
+  }));
+  const previous = env.supabase.tables.digest_usage;
+  env.supabase.tables.digest_usage = rows;
+  t.after(() => { env.supabase.tables.digest_usage = previous; });
+
+  const records = await loadUsageRecords({ clientId: 'client-paged', from: '2026-10-01', to: '2026-10-02' });
+  assert.equal(records.length, 2000);
+  assert.equal(new Set(records.map(r => r.request_id)).size, 2000);
+
+  const tokens = await loadUsageRecords({ clientId: 'client-paged', columns: 'input_tokens,output_tokens' });
+  assert.deepEqual(Object.keys(tokens[0]), ['input_tokens', 'output_tokens']);
+});
+
+test('replays recorded fixtures without calling the API', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'llm-fixtures-'));
+  process.env.LLM_FIXTURE_DIR = dir;
+  const options = {
+    client_id: TEST_CLIENT.id,
+    articles: makeArticles(30),
+    country: 'Sweden'
+  };
+
+  try {
+    process.env.LLM_FIXTURE_MODE = 'record';
+    const recorded = await generateDigest(options);
+    assert.equal((await readdir(dir)).length, 3);  // 2 batches + email
+
+    env.anthropic.requests.length = 0;
+    clearArticleCache();
+    process.env.LLM_FIXTURE_MODE = 'replay';
+    const replayed = await generateDigest(options);
+
+    assert.equal(env.anthropic.requests.length, 0);
+    assert.deepEqual(replayed.report.main_stories, recorded.report.main_stories);
+    assert.deepEqual(replayed.email, recorded.email);
+  } finally {
+    delete process.env.LLM_FIXTURE_DIR;
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('replay mode reports requests with no fixture', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'llm-fixtures-'));
+  process.env.LLM_FIXTURE_DIR = dir;
+  process.env.LLM_FIXTURE_MODE = 'replay';
+
+  try {
+    await assert.rejects(
+      generateDigest({ client_id: TEST_CLIENT.id, articles: makeArticles(5), country: 'Sweden' }),
+      /No LLM fixture for batch 1/
+    );
+  } finally {
+    delete process.env.LLM_FIXTURE_DIR;
+    await rm(dir, { recursive: true, force: true });
+  }
+});
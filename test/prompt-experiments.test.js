@@ -0,0 +1,124 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  assignmentBucket,
+  selectVariants,
+  assignVariant,
+  buildVariantOutcomes,
+  aggregateVariantStats,
+  CONTROL_VARIANT
+} from '../src/services/prompt-experiments.js';
+
+const VARIANT_ROWS = [
+  { name: 'digest-batch', variant: 'short', traffic_percent: 30, version: 1, template: 'short v1', client_id: null },
+  { name: 'digest-batch', variant: 'short', traffic_percent: 30, version: 2, template: 'short v2', client_id: null },
+  { name: 'digest-batch', variant: 'strict', traffic_percent: 20, version: 1, template: 'strict', client_id: null },
+  { name: 'digest-batch', variant: 'paused', traffic_percent: 50, version: 1, template: 'paused', client_id: null, is_active: false },
+  { name: 'digest-batch', variant: 'mine', traffic_percent: 100, version: 1, template: 'mine', client_id: 'client-a' },
+  { name: 'digest-batch', version: 7, template: 'baseline', client_id: null }
+];
+
+afterEach(() => {
+  delete process.env.PROMPT_EXPERIMENT_UNIT;
+});
+
+test('buckets are deterministic and spread over 0-100', () => {
+  assert.equal(assignmentBucket('digest-batch', 'client-1'), assignmentBucket('digest-batch', 'client-1'));
+  assert.notEqual(assignmentBucket('digest-batch', 'client-1'), assignmentBucket('digest-email', 'client-1'));
+
+  const buckets = Array.from({ length: 1000 }, (_, i) => assignmentBucket('digest-batch', `client-${i}`));
+  assert.ok(buckets.every(b => b >= 0 && b < 100));
+  assert.ok(buckets.filter(b => b < 50).length > 430 && buckets.filter(b => b < 50).length < 570);
+});
+
+test('selects the newest active variants, client variants replacing global ones', () => {
+  const global = selectVariants(VARIANT_ROWS, 'digest-batch', 'client-b');
+  assert.deepEqual(global.map(r => [r.variant, r.template]), [['short', 'short v2'], ['strict', 'strict']]);
+
+  const client = selectVariants(VARIANT_ROWS, 'digest-batch', 'client-a');
+  assert.deepEqual(client.map(r => r.variant), ['mine']);
+  assert.deepEqual(selectVariants(VARIANT_ROWS, 'digest-email', 'client-a'), []);
+});
+
+test('assigns variants by traffic percentage with the rest on control', () => {
+  const variants = selectVariants(VARIANT_ROWS, 'digest-batch', null);
+  const counts = {};
+  for (let i = 0; i < 1000; i++) {
+    const { variant } = assignVariant(variants, 'digest-batch', { clientId: `client-${i}` });
+    counts[variant] = (counts[variant] || 0) + 1;
+  }
+
+  assert.ok(counts.short > 240 && counts.short < 360, `short: ${counts.short}`);
+  assert.ok(counts.strict > 140 && counts.strict < 260, `strict: ${counts.strict}`);
+  assert.ok(counts[CONTROL_VARIANT] > 430 && counts[CONTROL_VARIANT] < 570, `control: ${counts[CONTROL_VARIANT]}`);
+  assert.equal(assignVariant([], 'digest-batch', { clientId: 'client-1' }), null);
+});
+
+test('per-client assignment is stable across requests, per-request assignment is not', () => {
+  const variants = [{ name: 'digest-batch', variant: 'half', traffic_percent: 50, template: 'x' }];
+  const assign = (requestId) => assignVariant(variants, 'digest-batch', { clientId: 'client-1', requestId }).variant;
+
+  const perClient = new Set(Array.from({ length: 20 }, (_, i) => assign(`request-${i}`)));
+  assert.equal(perClient.size, 1);
+
+  process.env.PROMPT_EXPERIMENT_UNIT = 'request';
+  const perRequest = new Set(Array.from({ length: 20 }, (_, i) => assign(`request-${i}`)));
+  assert.equal(perRequest.size, 2);
+  assert.equal(assignVariant(variants, 'digest-batch', { clientId: 'c', requestId: 'r' }).assign_by, 'request');
+});
+
+test('aggregates outcomes per prompt and variant', () => {
+  const row = (variant, fields) => ({ prompt_name: 'digest-batch', stage: 'batch', variant, ...fields });
+  const stats = aggregateVariantStats([
+    row('short', { articles_included: 10, main_stories: 6, b_side_stories: 4, json_failures: 1, latency_ms: 1000, input_tokens: 100, output_tokens: 50 }),
+    row('short', { articles_included: 20, main_stories: 9, b_side_stories: 1, json_failures: 0, latency_ms: 2000, input_tokens: 300, output_tokens: 150 }),
+    row('control', { articles_included: 5, main_stories: 0, b_side_stories: 0, json_failures: 2, latency_ms: 500, input_tokens: 10, output_tokens: 5 })
+  ]);
+
+  assert.deepEqual(stats.map(s => s.variant), ['control', 'short']);
+  assert.deepEqual(stats[1], {
+    prompt_name: 'digest-batch',
+    stage: 'batch',
+    variant: 'short',
+    digests: 2,
+    avg_articles_included: 15,
+    main_ratio: 0.75,
+    json_failures: 1,
+    json_failures_per_digest: 0.5,
+    avg_latency_ms: 1500,
+    avg_input_tokens: 200,
+    avg_output_tokens: 100
+  });
+  assert.equal(stats[0].main_ratio, null);
+});
+
+test('builds outcome rows with each stage\'s own tokens', () => {
+  const stage = (input_tokens, output_tokens) => ({ calls: 1, input_tokens, output_tokens });
+  const result = (emailGeneratedBy) => ({
+    report: { metadata: { articles_included: 10, main_stories: 6, b_side_stories: 4 } },
+    _metadata: {
+      client_id: 'client-1',
+      request_id: 'request-1',
+      generated_at: '2026-10-01T06:00:00.000Z',
+      email_generated_by: emailGeneratedBy,
+      prompts: {
+        pre_filter: null,
+        batch: { name: 'digest-batch', version: 2, variant: 'short' },
+        email: { name: 'digest-email', version: null, variant: CONTROL_VARIANT }
+      }
+    }
+  });
+  const usage = { stages: { pre_filter: stage(0, 0), batch: stage(900, 400), email: stage(120, 60) } };
+
+  const rows = buildVariantOutcomes(result('ai'), { latencyMs: 1200, usage });
+  assert.deepEqual(rows.map(r => [r.stage, r.variant, r.input_tokens, r.output_tokens]), [
+    ['batch', 'short', 900, 400],
+    ['email', CONTROL_VARIANT, 120, 60]
+  ]);
+  assert.equal(rows[0].latency_ms, 1200);
+
+  // The template email went out, so the email variant gets no credit or blame
+  const fallback = buildVariantOutcomes(result('template'), { latencyMs: 1200, usage });
+  assert.deepEqual(fallback.map(r => r.stage), ['batch']);
+});
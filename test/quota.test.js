@@ -0,0 +1,112 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startMockSupabase } from './helpers/mock-supabase.js';
+import { getClientQuota, sumUsageTokens, checkClientQuota, QuotaExceededError } from '../src/services/quota.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+let supabase;
+
+before(async () => {
+  supabase = await startMockSupabase();
+  process.env.SUPABASE_URL = supabase.url;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-key';
+});
+
+after(async () => {
+  await supabase.close();
+});
+
+afterEach(() => {
+  supabase.tables.digest_usage = [];
+  delete process.env.QUOTA_ARTICLES_PER_REQUEST;
+  delete process.env.QUOTA_MODE;
+});
+
+/**
+ * digest_usage row
+ * @param {string} created_at - Timestamp
+ * @param {number} tokens - Input tokens
+ * @param {string} status - Digest status
+ * @returns {Object} Row
+ */
+function usageRow(created_at, tokens, status = 'completed') {
+  return { client_id: 'client-q', created_at, status, input_tokens: tokens, output_tokens: 0 };
+}
+
+test('client limits override environment defaults; zero is unlimited', () => {
+  process.env.QUOTA_ARTICLES_PER_REQUEST = '500';
+  process.env.QUOTA_MODE = 'soft';
+
+  assert.deepEqual(getClientQuota({ quota: { digests_per_day: 3, tokens_per_month: 0 } }), {
+    digests_per_day: 3,
+    tokens_per_month: null,
+    articles_per_request: 500,
+    mode: 'soft',
+    soft_target_count: 50
+  });
+  assert.equal(getClientQuota({ quota: { mode: 'hard' } }).mode, 'hard');
+});
+
+test('sums input, output and cache tokens', () => {
+  assert.equal(sumUsageTokens([
+    { input_tokens: 100, output_tokens: 20, cache_creation_input_tokens: 5, cache_read_input_tokens: 1 },
+    { input_tokens: 10, output_tokens: null }
+  ]), 136);
+});
+
+test('counts completed digests today and all tokens this month', async () => {
+  const client = { id: 'client-q', quota: { digests_per_day: 100, tokens_per_month: 1000000 } };
+  supabase.tables.digest_usage = [
+    usageRow('2026-10-19T08:00:00Z', 100),
+    usageRow('2026-10-19T09:00:00Z', 50, 'failed'),
+    usageRow('2026-10-02T09:00:00Z', 1000),
+    usageRow('2026-09-30T23:00:00Z', 9999),
+    { ...usageRow('2026-10-19T08:00:00Z', 7), client_id: 'client-other' }
+  ];
+
+  const { usage } = await checkClientQuota(client, { articleCount: 10, now: NOW });
+  assert.deepEqual(usage, { digests_today: 1, tokens_this_month: 1150 });
+});
+
+test('counts usage past the 1000-row response limit', async () => {
+  const client = { id: 'client-q', quota: { digests_per_day: 1500 } };
+  supabase.tables.digest_usage = Array.from({ length: 1500 }, (_, i) => ({
+    ...usageRow(new Date(Date.parse('2026-10-19T00:00:00Z') + i * 1000).toISOString(), 1),
+    request_id: `request-${i}`
+  }));
+
+  await assert.rejects(checkClientQuota(client, { articleCount: 10, now: NOW }), (error) =>
+    error.limit === 'digests_per_day' && error.current === 1500);
+
+  const { usage, exceeded } = await checkClientQuota({ ...client, quota: { tokens_per_month: 2000 } }, { articleCount: 10, now: NOW });
+  assert.equal(usage.tokens_this_month, 1500);
+  assert.deepEqual(exceeded, []);
+});
+
+test('hard mode rejects with a status per limit', async () => {
+  const client = { id: 'client-q', quota: { digests_per_day: 2, tokens_per_month: 5000, articles_per_request: 100 } };
+
+  await assert.rejects(checkClientQuota(client, { articleCount: 101, now: NOW }), (error) =>
+    error instanceof QuotaExceededError && error.status === 413 && error.limit === 'articles_per_request');
+
+  supabase.tables.digest_usage = [usageRow('2026-10-19T08:00:00Z', 10), usageRow('2026-10-19T09:00:00Z', 10)];
+  await assert.rejects(checkClientQuota(client, { articleCount: 10, now: NOW }), (error) =>
+    error.status === 429 && error.limit === 'digests_per_day' && error.retryAfter === 12 * 3600);
+
+  supabase.tables.digest_usage = [usageRow('2026-10-01T08:00:00Z', 6000)];
+  await assert.rejects(checkClientQuota(client, { articleCount: 10, now: NOW }), (error) =>
+    error.status === 402 && error.limit === 'tokens_per_month' && error.current === 6000);
+});
+
+test('soft mode degrades instead of rejecting', async () => {
+  const client = { id: 'client-q', quota: { tokens_per_month: 5000, articles_per_request: 100, mode: 'soft', soft_target_count: 20 } };
+
+  const withinBudget = await checkClientQuota(client, { articleCount: 150, now: NOW });
+  assert.deepEqual([withinBudget.exceeded, withinBudget.degraded, withinBudget.articleLimit], [['articles_per_request'], false, 100]);
+
+  supabase.tables.digest_usage = [usageRow('2026-10-01T08:00:00Z', 6000)];
+  const overBudget = await checkClientQuota(client, { articleCount: 10, now: NOW });
+  assert.equal(overBudget.degraded, true);
+  assert.equal(overBudget.targetCount, 20);
+});
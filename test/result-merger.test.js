@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeBatchResults, mergeDuplicateStories } from '../src/services/result-merger.js';
+import { canonicalizeUrl, dedupeArticlesByUrl } from '../src/services/article-formatter.js';
+import { TEST_CLIENT } from './helpers/fixtures.js';
+
+/**
+ * Build a normalized story
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Story
+ */
+function story(overrides) {
+  return {
+    title: 'Untitled',
+    source: { name: 'Source', url: '' },
+    relevance_score: 7,
+    category: 'business',
+    priority: 'main',
+    paragraphs: ['Nothing to see.'],
+    ...overrides
+  };
+}
+
+const vattenfallDI = story({
+  article_id: 'a1',
+  title: 'Vattenfall to build new nuclear reactors at Ringhals',
+  source: { name: 'Dagens Industri', url: 'https://www.di.se/vattenfall-ringhals' },
+  relevance_score: 9,
+  paragraphs: ['Vattenfall will build two new nuclear reactors at Ringhals, the company said on Tuesday.']
+});
+const vattenfallSvD = story({
+  article_id: 'a7',
+  title: 'Vattenfall plans new nuclear reactors at Ringhals',
+  source: { name: 'SvD', url: 'https://www.svd.se/a/ringhals' },
+  relevance_score: 8,
+  paragraphs: ['Vattenfall plans two new nuclear reactors at Ringhals, the company announced.']
+});
+const vattenfallSameUrl = story({
+  article_id: 'a9',
+  title: 'Ringhals expansion confirmed',
+  source: { name: 'Dagens Industri', url: 'http://di.se/vattenfall-ringhals/?utm_source=rss' },
+  relevance_score: 6,
+  priority: 'b_side'
+});
+const unrelated = story({
+  article_id: 'a3',
+  title: 'Riksbank holds interest rate steady',
+  source: { name: 'SvD', url: 'https://www.svd.se/a/riksbank' },
+  paragraphs: ['The Riksbank kept its policy rate unchanged.']
+});
+
+test('canonicalizes article URLs', () => {
+  assert.equal(canonicalizeUrl('https://www.di.se/a/b/?utm_source=rss&id=2#top'), 'di.se/a/b?id=2');
+  assert.equal(canonicalizeUrl('http://di.se/a/b'), 'di.se/a/b');
+  assert.equal(canonicalizeUrl('not a url'), null);
+});
+
+test('drops input articles with the same canonical URL', () => {
+  const articles = [
+    { title: 'A', url: 'https://www.di.se/a?utm_medium=x' },
+    { title: 'A again', url: 'http://di.se/a/' },
+    { title: 'No URL' },
+    { title: 'No URL either' }
+  ];
+
+  assert.deepEqual(dedupeArticlesByUrl(articles).map(a => a.title), ['A', 'No URL', 'No URL either']);
+});
+
+test('merges near-duplicate stories and keeps the best one', () => {
+  const { stories, mergedCount } = mergeDuplicateStories([vattenfallSvD, unrelated, vattenfallSameUrl, vattenfallDI]);
+
+  assert.equal(mergedCount, 2);
+  assert.deepEqual(stories.map(s => s.article_id), ['a1', 'a3']);
+
+  // a9 shares a1's canonical URL, so it adds no new source
+  assert.deepEqual(stories[0].additional_sources.map(s => s.article_id), ['a7']);
+  assert.equal(stories[1].additional_sources, undefined);
+});
+
+test('keeps templated but distinct stories apart', () => {
+  const stories = [1, 2, 12].map(n => story({
+    title: `Energy story ${n}`,
+    paragraphs: [`Mock summary of Energy story ${n}.`]
+  }));
+
+  assert.equal(mergeDuplicateStories(stories).mergedCount, 0);
+});
+
+test('reports cross-batch and input duplicates in metadata', () => {
+  const batchResults = [
+    { batchNumber: 1, articles: [vattenfallDI, unrelated], skipped: 0, duplicates: 1, failures: [] },
+    { batchNumber: 2, articles: [vattenfallSvD], skipped: 0, duplicates: 0, failures: [] }
+  ];
+
+  const { report } = mergeBatchResults(batchResults, TEST_CLIENT, null, { inputDuplicates: 2 });
+
+  assert.equal(report.metadata.articles_included, 2);
+  assert.equal(report.metadata.cross_batch_duplicates, 1);
+  assert.equal(report.metadata.input_url_duplicates, 2);
+  assert.equal(report.metadata.duplicates_removed, 4);
+  assert.equal(report.main_stories[0].additional_sources[0].name, 'SvD');
+});
+
+test('merges Finnish stories that differ only in case endings in a Finnish digest', () => {
+  const batchResults = [{
+    batchNumber: 1,
+    articles: [
+      story({ article_id: 'f1', title: 'Fortumin tuulivoimasta uusi ennätys Suomessa', source: { name: 'HS', url: 'https://hs.fi/a' }, paragraphs: ['Tuotanto kasvoi.'] }),
+      story({ article_id: 'f2', title: 'Fortumin tuulivoimalla uusi ennätys Suomessa', source: { name: 'YLE', url: 'https://yle.fi/b' }, paragraphs: ['Sähköä tuli enemmän kuin koskaan.'] })
+    ],
+    skipped: 0,
+    duplicates: 0,
+    failures: []
+  }];
+
+  assert.equal(mergeBatchResults(batchResults, TEST_CLIENT, null).report.metadata.cross_batch_duplicates, 0);
+
+  const { report } = mergeBatchResults(batchResults, TEST_CLIENT, null, { language: 'fi' });
+  assert.equal(report.metadata.cross_batch_duplicates, 1);
+  assert.equal(report.main_stories.length, 1);
+});
@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildTaxonomy,
+  buildTaxonomyFromRows,
+  describeTopicsForPrompt,
+  getDefaultTaxonomy,
+  getTopicExclusions,
+  getTopicTerms,
+  loadTaxonomy,
+  resolveTopics
+} from '../src/services/taxonomy.js';
+import { startMockSupabase } from './helpers/mock-supabase.js';
+
+const rows = [
+  { id: 'shipping', parent_id: null, name: 'Shipping', synonyms: { en: ['shipping'], sv: ['sjöfart*'] }, exclusions: [{ term: 'shippingbolag', note: 'company news only' }] },
+  { id: 'ports', parent_id: 'shipping', name: 'Ports', synonyms: { en: ['port*'], sv: ['hamn*'] }, exclusions: null }
+];
+
+let supabase;
+after(async () => {
+  await supabase?.close();
+});
+
+test('resolves topics by name or ID, including subtopics', () => {
+  const taxonomy = getDefaultTaxonomy();
+  const [energy, nuclear, ev] = resolveTopics(taxonomy, ['Energy', 'nuclear', 'electric vehicles']);
+
+  assert.equal(energy.name, 'Energy');
+  assert.deepEqual(energy.children.map(c => c.id).slice(0, 3), ['nuclear', 'solar', 'wind']);
+  assert.equal(nuclear.parent, energy);
+  assert.equal(ev.name, 'Electric Vehicles');
+});
+
+test('topic terms include subtopic synonyms in every language', () => {
+  const [energy] = resolveTopics(getDefaultTaxonomy(), ['Energy']);
+  const terms = getTopicTerms(energy);
+
+  assert.ok(terms.includes('energy'));
+  assert.ok(terms.includes('kärnkraft*'));
+  assert.ok(terms.includes('tuulivoima*'));
+});
+
+test('subtopics inherit exclusions from their ancestors', () => {
+  const [solar] = resolveTopics(getDefaultTaxonomy(), ['Solar']);
+
+  assert.ok(getTopicExclusions(solar).some(e => e.term === 'megasol'));
+});
+
+test('unknown topics fall back to the topic name', () => {
+  const [topic] = resolveTopics(getDefaultTaxonomy(), ['Aquaculture']);
+
+  assert.equal(topic.unknown, true);
+  assert.deepEqual(getTopicTerms(topic), ['aquaculture']);
+});
+
+test('describes topics and exclusions for prompts', () => {
+  const taxonomy = buildTaxonomyFromRows(rows);
+  const { hints, exclusions } = describeTopicsForPrompt(resolveTopics(taxonomy, ['Shipping']));
+
+  assert.equal(hints, '- Shipping: shipping, sjöfart\n  - Ports: port, hamn');
+  assert.equal(exclusions, '- "shippingbolag": company news only (NOT relevant)');
+});
+
+test('rejects definitions without topics', () => {
+  assert.throws(() => buildTaxonomy({}), /topics array/);
+});
+
+test('loads the taxonomy from Supabase when configured', async () => {
+  supabase = await startMockSupabase({ tables: { topic_taxonomy: rows } });
+  process.env.SUPABASE_URL = supabase.url;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-key';
+  process.env.TAXONOMY_SOURCE = 'supabase';
+
+  try {
+    const taxonomy = await loadTaxonomy({ force: true });
+    assert.deepEqual(taxonomy.roots.map(r => r.name), ['Shipping']);
+    assert.equal(resolveTopics(taxonomy, ['ports'])[0].parent.name, 'Shipping');
+
+    // Cached until forced
+    assert.equal(await loadTaxonomy(), taxonomy);
+  } finally {
+    delete process.env.TAXONOMY_SOURCE;
+  }
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderTemplate, compileTemplate } from '../src/services/template-renderer.js';
+import { selectPromptVersion } from '../src/services/prompt-loader.js';
+
+test('replaces variables and dotted paths, missing values render empty', () => {
+  const output = renderTemplate('Hello {{ client.name }} ({{topics}}){{missing}}!', {
+    client: { name: 'Acme' },
+    topics: ['Energy', 'Finance']
+  });
+
+  assert.equal(output, 'Hello Acme (Energy, Finance)!');
+});
+
+test('renders conditionals with else and unless', () => {
+  const template = '{{#if topics}}Topics: {{topic_list}}{{else}}General news{{/if}}{{#unless last_digest}} (first digest){{/unless}}';
+
+  assert.equal(renderTemplate(template, { topics: ['Energy'], topic_list: 'Energy', last_digest: {} }), 'Topics: Energy');
+  assert.equal(renderTemplate(template, { topics: [] }), 'General news (first digest)');
+});
+
+test('loops expose item fields, this, @number and @last, and fall back to else', () => {
+  const template = '{{#each articles}}[{{@number}}] {{title}} - {{client}}{{#unless @last}}\n{{/unless}}{{else}}none{{/each}}';
+  const render = compileTemplate(template);
+
+  assert.equal(
+    render({ client: 'Acme', articles: [{ title: 'Solar' }, { title: 'Wind' }] }),
+    '[1] Solar - Acme\n[2] Wind - Acme'
+  );
+  assert.equal(render({ articles: [] }), 'none');
+  assert.equal(renderTemplate('{{#each tags}}<{{this}}>{{/each}}', { tags: ['a', 'b'] }), '<a><b>');
+});
+
+test('rejects unbalanced or unknown blocks', () => {
+  assert.throws(() => renderTemplate('{{#if x}}open', {}), /never closed/);
+  assert.throws(() => renderTemplate('{{#each x}}{{/if}}', {}), /unexpected \{\{\/if\}\}/);
+  assert.throws(() => renderTemplate('{{#with x}}{{/with}}', {}), /invalid block tag/);
+  assert.throws(() => renderTemplate('{{else}}', {}), /unexpected \{\{else\}\}/);
+});
+
+test('prefers the newest active client template over global templates', () => {
+  const rows = [
+    { name: 'digest-batch', version: 3, template: 'global v3', client_id: null },
+    { name: 'digest-batch', version: 1, template: 'client v1', client_id: 'client-a' },
+    { name: 'digest-batch', version: 2, template: 'client v2', client_id: 'client-a' },
+    { name: 'digest-batch', version: 4, template: 'client v4', client_id: 'client-a', is_active: false },
+    { name: 'digest-email', version: 9, template: 'email', client_id: null }
+  ];
+
+  assert.equal(selectPromptVersion(rows, 'digest-batch', 'client-a').template, 'client v2');
+  assert.equal(selectPromptVersion(rows, 'digest-batch', 'client-b').template, 'global v3');
+  assert.equal(selectPromptVersion(rows, 'digest-pre-filter', 'client-a'), null);
+});
@@ -0,0 +1,68 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeCost, createUsageTracker, summarizeUsage, resetPriceTable } from '../src/services/usage-tracker.js';
+
+afterEach(() => {
+  delete process.env.LLM_PRICES;
+  resetPriceTable();
+});
+
+test('prices models by longest prefix, including cache tokens', () => {
+  // claude-sonnet-4: $3 input, $15 output, $3.75 cache write, $0.30 cache read per million
+  const cost = computeCost('claude-sonnet-4-5-20250929', {
+    input_tokens: 1_000_000,
+    output_tokens: 100_000,
+    cache_creation_input_tokens: 200_000,
+    cache_read_input_tokens: 1_000_000
+  });
+  assert.equal(cost, 3 + 1.5 + 0.75 + 0.3);
+
+  assert.equal(computeCost('gpt-4o-mini-2024-07-18', { input_tokens: 1_000_000 }), 0.15);
+  assert.equal(computeCost('unknown-model', { input_tokens: 10 }), null);
+});
+
+test('LLM_PRICES overrides the price file', () => {
+  process.env.LLM_PRICES = JSON.stringify({ 'claude-sonnet-4': { input: 1, output: 2 } });
+  resetPriceTable();
+
+  assert.equal(computeCost('claude-sonnet-4-5', { input_tokens: 1_000_000, output_tokens: 1_000_000 }), 3);
+  assert.equal(computeCost('claude-sonnet-4-5', { cache_read_input_tokens: 1_000_000 }), 1);  // Falls back to the input price
+});
+
+test('tracker breaks usage down per stage and batch call', () => {
+  const tracker = createUsageTracker();
+  const model = 'claude-sonnet-4-5';
+  tracker.record({ stage: 'pre_filter', model, usage: { input_tokens: 1000, output_tokens: 100 }, label: 'pre-filter' });
+  tracker.record({ stage: 'batch', model, usage: { input_tokens: 2000, output_tokens: 500, cache_read_input_tokens: 300 }, label: 'batch 1' });
+  tracker.record({ stage: 'batch', model: 'mystery', usage: { input_tokens: 10, output_tokens: 5 }, label: 'batch 2' });
+
+  const { stages, batches, total } = tracker.summary();
+  assert.deepEqual(stages.email, { calls: 0, input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0 });
+  assert.equal(stages.batch.calls, 2);
+  assert.equal(stages.batch.cache_read_input_tokens, 300);
+  assert.equal(stages.batch.unpriced_calls, 1);
+  assert.deepEqual(batches.map(b => [b.label, b.cost_usd]), [['batch 1', 0.013590], ['batch 2', null]]);
+  assert.equal(total.input_tokens, 3010);
+  assert.equal(total.cost_usd, 0.0045 + 0.01359);
+});
+
+test('summarizes stored records per client and stage', () => {
+  const record = (client_id, cost_usd, status = 'completed') => ({
+    client_id,
+    status,
+    calls: 2,
+    input_tokens: 100,
+    output_tokens: 10,
+    cost_usd,
+    stages: { batch: { calls: 2, input_tokens: 100, output_tokens: 10, cost_usd } }
+  });
+
+  const summary = summarizeUsage([record('a', 0.5), record('b', 2), record('a', 0.25, 'failed')]);
+
+  assert.equal(summary.digests, 3);
+  assert.equal(summary.failed_digests, 1);
+  assert.equal(summary.total.cost_usd, 2.75);
+  assert.deepEqual(summary.by_client.map(c => [c.client_id, c.digests, c.cost_usd]), [['b', 1, 2], ['a', 2, 0.75]]);
+  assert.equal(summary.by_stage.batch.calls, 6);
+});
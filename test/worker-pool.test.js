@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runPool, createTokenBudget } from '../src/services/worker-pool.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runPool keeps item order and respects the concurrency limit', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await runPool([30, 5, 20, 1, 10], 2, async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await delay(ms);
+    inFlight--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(maxInFlight, 2);
+});
+
+test('runPool stops scheduling after the first failure', async () => {
+  const started = [];
+
+  await assert.rejects(
+    runPool([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('boom');
+    }),
+    /boom/
+  );
+
+  assert.deepEqual(started, [1, 2]);
+});
+
+test('token budget admits work within the limit and blocks beyond it', async () => {
+  const budget = createTokenBudget(1000);
+
+  const controller = new AbortController();
+
+  await budget.reserve(600);
+  const pending = budget.reserve(600, controller.signal);
+  const second = await Promise.race([
+    pending.then(() => 'reserved'),
+    delay(50).then(() => 'waiting')
+  ]);
+
+  assert.equal(second, 'waiting');
+  controller.abort(new Error('done'));
+  await assert.rejects(pending, /done/);
+});
+
+test('token budget settles reservations with actual usage', async () => {
+  const budget = createTokenBudget(1000);
+
+  const entry = await budget.reserve(900);
+  budget.settle(entry, 100);
+
+  const next = await Promise.race([
+    budget.reserve(800).then(() => 'reserved'),
+    delay(50).then(() => 'waiting')
+  ]);
+  assert.equal(next, 'reserved');
+});
+
+test('token budget releases reservations of failed calls', async () => {
+  const budget = createTokenBudget(1000);
+
+  const entry = await budget.reserve(900);
+  budget.release(entry);
+
+  const next = await Promise.race([
+    budget.reserve(900).then(() => 'reserved'),
+    delay(50).then(() => 'waiting')
+  ]);
+  assert.equal(next, 'reserved');
+});
+
+test('token budget is a no-op when disabled', async () => {
+  const budget = createTokenBudget(0);
+  assert.equal(await budget.reserve(1e9), null);
+});